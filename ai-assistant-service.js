@@ -18,7 +18,8 @@ import { TranslationService } from './translation-service.js';
 
 export class AIAssistantService {
     constructor() {
-        this.translationService = new TranslationService();
+        // Assistant answers are conversational - no point caching them
+        this.translationService = new TranslationService({ cache: false, dictionary: false });
         this.conversationHistory = [];
         this.currentContext = ''; // Current text being studied
         this.maxHistoryLength = 10;
@@ -31,6 +32,48 @@ export class AIAssistantService {
         this.translationService.setApiKey(apiKey);
     }
 
+    /**
+     * Use a custom Gemini model ladder (see TranslationService.setGeminiModels)
+     */
+    setGeminiModels(models) {
+        this.translationService.setGeminiModels(models);
+    }
+
+    /**
+     * Queue provider calls with the translations (see TranslationService.setScheduler)
+     */
+    setScheduler(scheduler) {
+        this.translationService.setScheduler(scheduler);
+    }
+
+    /**
+     * Read the studied text as Mandarin or Cantonese (see TranslationService.setTranslationStyle)
+     */
+    setTranslationStyle(preferences) {
+        this.translationService.setTranslationStyle(preferences);
+    }
+
+    /**
+     * Use the user's edited prompts (see TranslationService.setPromptLibrary)
+     */
+    setPromptLibrary(library) {
+        this.translationService.setPromptLibrary(library);
+    }
+
+    /**
+     * Log token usage (see TranslationService.setUsageTracker)
+     */
+    setUsageTracker(tracker) {
+        this.translationService.setUsageTracker(tracker);
+    }
+
+    /**
+     * Document the following questions belong to (for per-document usage)
+     */
+    setUsageContext(context) {
+        this.translationService.setUsageContext(context);
+    }
+
     /**
      * Set context text (e.g., from translation)
      */
@@ -53,20 +96,50 @@ export class AIAssistantService {
     }
 
     /**
-     * Explain Chinese text with meaning, usage, and cultural context
-     * @param {string} text - Chinese text to explain
-     * @param {string} targetLanguage - Language for the explanation
-     * @param {function} onStreamUpdate - Optional streaming callback
+     * Get the provider with a capability check
+     * @param {string} feature - Key under capabilities.assistant (e.g. 'explain')
+     * @param {string} label - Human readable feature name for the error
      */
-    async explainText(text, targetLanguage = 'english', onStreamUpdate = null) {
+    _getProviderFor(feature, label) {
         const provider = this._getProvider();
         if (!provider) {
             throw new Error('Translation service not initialized.');
         }
+        if (!this.supports(feature)) {
+            throw new Error(`${label} is not available with ${this.translationService.getProviderName()}.`);
+        }
+        return provider;
+    }
+
+    /**
+     * Check whether an assistant feature is served by the current provider
+     * @param {string} feature - 'explain' | 'grammar' | 'ask' | 'askWithImage' | 'practice'
+     */
+    supports(feature) {
+        return this.translationService.supports(`assistant.${feature}`);
+    }
+
+    /**
+     * Get the full capability descriptor of the underlying provider
+     */
+    getCapabilities() {
+        return this.translationService.getCapabilities();
+    }
+
+    /**
+     * Explain Chinese text with meaning, usage, and cultural context
+     * @param {string} text - Chinese text to explain
+     * @param {string} targetLanguage - Language for the explanation
+     * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
+     */
+    async explainText(text, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        const provider = this._getProviderFor('explain', 'Explanations');
 
         this._addToHistory('user', `Explain: ${text}`);
 
-        const result = await provider.explainText(text, targetLanguage, onStreamUpdate);
+        const result = await this._schedule(options, ({ signal, onStreamUpdate: stream }) =>
+            provider.explainText(text, targetLanguage, stream, this._providerOptions({ ...options, signal }, targetLanguage, 'explain')), onStreamUpdate);
 
         this._addToHistory('assistant', result);
         return result;
@@ -77,16 +150,15 @@ export class AIAssistantService {
      * @param {string} text - Chinese text to analyze
      * @param {string} targetLanguage - Language for the analysis
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null) {
-        const provider = this._getProvider();
-        if (!provider) {
-            throw new Error('Translation service not initialized.');
-        }
+    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        const provider = this._getProviderFor('grammar', 'Grammar analysis');
 
         this._addToHistory('user', `Grammar analysis: ${text}`);
 
-        const result = await provider.analyzeGrammar(text, targetLanguage, onStreamUpdate);
+        const result = await this._schedule(options, ({ signal, onStreamUpdate: stream }) =>
+            provider.analyzeGrammar(text, targetLanguage, stream, this._providerOptions({ ...options, signal }, targetLanguage, 'grammar')), onStreamUpdate);
 
         this._addToHistory('assistant', result);
         return result;
@@ -97,21 +169,21 @@ export class AIAssistantService {
      * @param {string} question - The user's question
      * @param {string} targetLanguage - Language for the response
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async askQuestion(question, targetLanguage = 'english', onStreamUpdate = null) {
-        const provider = this._getProvider();
-        if (!provider) {
-            throw new Error('Translation service not initialized.');
-        }
+    async askQuestion(question, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        const provider = this._getProviderFor('ask', 'Questions');
 
         this._addToHistory('user', question);
 
-        const result = await provider.askQuestion(
+        const context = this.currentContext;
+        const result = await this._schedule(options, ({ signal, onStreamUpdate: stream }) => provider.askQuestion(
             question,
-            this.currentContext,
+            context,
             targetLanguage,
-            onStreamUpdate
-        );
+            stream,
+            this._providerOptions({ ...options, signal }, targetLanguage, 'question')
+        ), onStreamUpdate);
 
         this._addToHistory('assistant', result);
         return result;
@@ -123,21 +195,20 @@ export class AIAssistantService {
      * @param {string} imageDataUrl - Base64 data URL of the captured image
      * @param {string} targetLanguage - Language for the response
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null) {
-        const provider = this._getProvider();
-        if (!provider) {
-            throw new Error('Translation service not initialized.');
-        }
+    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        const provider = this._getProviderFor('askWithImage', 'Questions about images');
 
         this._addToHistory('user', `[Image] ${question}`);
 
-        const result = await provider.askQuestionWithImage(
+        const result = await this._schedule(options, ({ signal, onStreamUpdate: stream }) => provider.askQuestionWithImage(
             question,
             imageDataUrl,
             targetLanguage,
-            onStreamUpdate
-        );
+            stream,
+            this._providerOptions({ ...options, signal }, targetLanguage, 'imageQuestion')
+        ), onStreamUpdate);
 
         this._addToHistory('assistant', result);
         return result;
@@ -148,21 +219,34 @@ export class AIAssistantService {
      * @param {string} topic - Topic or word to practice
      * @param {string} difficulty - 'beginner', 'intermediate', or 'advanced'
      * @param {string} targetLanguage - Language for instructions
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english') {
-        const provider = this._getProvider();
-        if (!provider) {
-            throw new Error('Translation service not initialized.');
-        }
+    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english', options = {}) {
+        const provider = this._getProviderFor('practice', 'Practice exercises');
 
         this._addToHistory('user', `Practice: ${topic} (${difficulty})`);
 
-        const result = await provider.generatePractice(topic, difficulty, targetLanguage);
+        const result = await this._schedule(options, ({ signal }) =>
+            provider.generatePractice(topic, difficulty, targetLanguage, this._providerOptions({ ...options, signal }, targetLanguage, 'practice')));
 
         this._addToHistory('assistant', result);
         return result;
     }
 
+    // Usage logging, the source variety and the user's edit of the prompt template, if any
+    _providerOptions(options, targetLanguage, promptId) {
+        return this.translationService.trackUsage('assistant', {
+            variety: this.translationService.translationStyle.variety,
+            ...options,
+            prompts: this.translationService.getPromptTemplates(targetLanguage, [promptId])
+        });
+    }
+
+    // Assistant requests are explicit user actions unless options.priority says otherwise
+    _schedule(options, call, onStreamUpdate = null) {
+        return this.translationService.schedule(options, call, { onStreamUpdate });
+    }
+
     /**
      * Add a message to conversation history
      */
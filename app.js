@@ -4,6 +4,7 @@
 import { config } from './config.js';
 import { PDFViewer } from './pdf-viewer.js';
 import { SelectionBox } from './selection-box.js';
+import { LayoutOverlay } from './layout-overlay.js';
 import { OCRService } from './ocr-service.js';
 import { TranslationService } from './translation-service.js';
 import { StorageService } from './storage-service.js';
@@ -14,6 +15,25 @@ import { HistoryService } from './history-service.js';
 import { CameraTranslator } from './camera-translator.js';
 import { DocumentManager } from './document-manager.js';
 import { AIAssistantService } from './ai-assistant-service.js';
+import { UsageTracker, USAGE_FEATURES } from './usage-tracker.js';
+import { GlossaryService } from './glossary-service.js';
+import { getConfidenceLevel } from './translation-verifier.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { PromptLibrary, ALL_LANGUAGES } from './prompt-library.js';
+import {
+    isAbortError,
+    RateLimitedError,
+    AuthError,
+    SafetyBlockedError,
+    TimeoutError,
+    NetworkError,
+    InvalidResponseError
+} from './providers/errors.js';
+import { validateGeminiModels } from './providers/gemini-provider.js';
+import { TRANSLATION_STYLES, CHINESE_SCRIPTS, CHINESE_VARIETIES } from './providers/prompts.js';
+import { PROMPT_TEMPLATES, PROMPT_SAMPLE_VALUES, renderTemplate, checkTemplate } from './providers/prompt-templates.js';
+import { LANGUAGES, getLanguage, getDocumentLanguages, getPromptLanguageName } from './providers/languages.js';
+import { ROMANIZATIONS, formatPinyin } from './providers/pinyin.js';
 
 class ChineseTranslatorApp {
     constructor() {
@@ -27,13 +47,25 @@ class ChineseTranslatorApp {
         this.wordHighlighter = null;
         this.documentManager = null;
 
+        // In-flight provider requests, one AbortController per channel
+        // ('selection', 'wordPairs', 'examples', 'bot', 'assistant')
+        this.requestControllers = new Map();
+
         // Auth state
         this.isLoggedIn = false;
         this.isLoginMode = true; // true = login, false = signup
 
         this.settings = {
             apiKey: (config.GEMINI_API_KEY || '').trim(),
-            targetLanguage: config.DEFAULT_LANGUAGE || 'english'
+            targetLanguage: config.DEFAULT_LANGUAGE || 'english',
+            translationStyle: 'natural', // Key of TRANSLATION_STYLES (providers/prompts.js)
+            chineseScript: 'as-shown',   // Key of CHINESE_SCRIPTS
+            chineseVariety: 'mandarin',  // Key of CHINESE_VARIETIES ('cantonese': Jyutping)
+            verifyTranslations: false,   // Back-translate selections for a confidence badge
+            selectionLayout: false,      // Draw selection translations over the text instead of a sticky note
+            romanization: 'pinyin',      // Key of ROMANIZATIONS (providers/pinyin.js)
+            toneSandhi: false,           // Show tones as spoken (一, 不, third tones)
+            geminiModels: null // Per-operation overrides of config.GEMINI_MODELS
         };
 
         this.initializeApp();
@@ -45,15 +77,32 @@ class ChineseTranslatorApp {
 
         // Initialize services
         this.pdfViewer = new PDFViewer();
+        this.pdfLayout = new LayoutOverlay(document.getElementById('pdfContainer'), document.getElementById('pdfCanvas'));
+        this.imageLayout = new LayoutOverlay(document.getElementById('imageContainer'), document.getElementById('uploadedImage'));
         this.ocrService = new OCRService();
-        this.translationService = new TranslationService();
+        this.translationService = new TranslationService({ cache: config.TRANSLATION_CACHE });
         this.storageService = new StorageService();
         this.authService = new AuthService();
         this.creditService = new CreditService();
         this.historyService = new HistoryService();
         this.wordHighlighter = new WordHighlighter('wordHighlightContent');
+        this.currentPinyin = { pinyin: '', chinese: null }; // As the provider sent it, for #pinyinText
+        this.applyRomanization();
         this.documentManager = new DocumentManager();
         this.aiAssistantService = new AIAssistantService();
+        this.usageTracker = new UsageTracker({ ...config.USAGE_TRACKING, pricing: config.USAGE_PRICING });
+        this.translationService.setUsageTracker(this.usageTracker);
+        this.aiAssistantService.setUsageTracker(this.usageTracker);
+        this.glossaryService = new GlossaryService();
+        this.translationService.setGlossary(this.glossaryService);
+        // One queue for both services: explicit actions go ahead of live mode and word pairs
+        this.requestScheduler = new RequestScheduler(config.REQUEST_SCHEDULER);
+        this.translationService.setScheduler(this.requestScheduler);
+        this.aiAssistantService.setScheduler(this.requestScheduler);
+        this.promptLibrary = new PromptLibrary();
+        this.translationService.setPromptLibrary(this.promptLibrary);
+        this.aiAssistantService.setPromptLibrary(this.promptLibrary);
+        this.promptDrafts = new Map();    // Unsaved prompt edits: 'id:language' -> template (null = reset)
 
         // Set up document manager callbacks
         this.documentManager.onTabChange = (doc) => this.handleTabChange(doc);
@@ -61,9 +110,16 @@ class ChineseTranslatorApp {
         // Listen for new document requests from tab bar
         document.addEventListener('openNewDocument', () => this.showUploadArea());
 
+        this.translationService.setGeminiModels(this.getGeminiModels());
+        this.aiAssistantService.setGeminiModels(this.getGeminiModels());
+        this.translationService.setTranslationStyle(this.getTranslationStyle());
+        this.aiAssistantService.setTranslationStyle(this.getTranslationStyle());
         this.translationService.setApiKey(this.settings.apiKey);
         this.aiAssistantService.setApiKey(this.settings.apiKey);
 
+        // Language <select>s come from the registry in providers/languages.js
+        this.populateLanguageSelects();
+
         // Initialize UI event listeners
         this.initEventListeners();
 
@@ -76,6 +132,11 @@ class ChineseTranslatorApp {
         // Initialize AI Assistant listeners
         this.initAIAssistantListeners();
 
+        // Hide features the configured provider can't serve
+        this.applyProviderCapabilities();
+        // ...and again once it has said what it can do (custom model handshake)
+        this.translationService.connectProvider().then(() => this.applyProviderCapabilities());
+
         // Listen for auth state changes
         this.authService.onAuthStateChange((user) => {
             this.handleAuthStateChange(user);
@@ -87,6 +148,112 @@ class ChineseTranslatorApp {
         console.log('App initialized successfully');
     }
 
+    /**
+     * Fill every language <select> from the language registry
+     */
+    populateLanguageSelects() {
+        const documentOption = ({ code, flag, name, nativeName }) =>
+            `<option value="${code}">${flag} ${nativeName}${nativeName !== name ? ` (${name})` : ''}</option>`;
+        const botOption = ({ code, flag, name }) => `<option value="${code}">${flag} ${name}</option>`;
+
+        const documentOptions = getDocumentLanguages().map(documentOption).join('');
+        document.getElementById('startLanguage').innerHTML = documentOptions;
+        document.getElementById('targetLanguage').innerHTML = documentOptions;
+
+        const botSource = document.getElementById('botSourceLang');
+        botSource.innerHTML = '<option value="auto">🔮 Auto-detect</option>' + LANGUAGES.map(botOption).join('');
+        botSource.value = 'chinese';
+
+        const botTarget = document.getElementById('botTargetLang');
+        botTarget.innerHTML = LANGUAGES.map(botOption).join('');
+        botTarget.value = 'english';
+
+        document.getElementById('promptLanguageSelect').innerHTML = `<option value="${ALL_LANGUAGES}">🌐 All languages</option>` +
+            getDocumentLanguages().map(({ code, flag, name }) => `<option value="${code}">${flag} ${name} only</option>`).join('');
+        document.getElementById('promptTemplateSelect').innerHTML = Object.entries(PROMPT_TEMPLATES)
+            .map(([id, { label }]) => `<option value="${id}">${label}</option>`).join('');
+
+        this.applyTargetLanguage();
+    }
+
+    /**
+     * Label the translation modal and lay out its text for the target
+     * language (right-to-left for Arabic)
+     */
+    applyTargetLanguage() {
+        const language = getLanguage(this.settings.targetLanguage) || getLanguage('english');
+        document.getElementById('translationLabel').textContent = `Translation (${language.nativeName})`;
+        this.setTextLanguage(document.getElementById('translatedText'), language.code);
+    }
+
+    /**
+     * Set an element's lang/dir so fonts, screen readers and voices
+     * treat its text as the given language
+     */
+    setTextLanguage(element, code) {
+        const language = getLanguage(code);
+        if (!element || !language) return;
+        element.lang = language.tts;
+        element.dir = language.dir;
+    }
+
+    /**
+     * Show/hide UI according to what the current providers support,
+     * so switching providers never leaves buttons that fail at runtime.
+     */
+    applyProviderCapabilities() {
+        const caps = this.translationService.getCapabilities();
+        const assistantCaps = this.aiAssistantService.getCapabilities().assistant;
+
+        const setVisible = (id, visible) => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = visible ? '' : 'none';
+        };
+
+        // Vision translation (PDF/image selection, live modes)
+        setVisible('captureBtn', caps.vision);
+        setVisible('imageCaptureBtn', caps.vision);
+        setVisible('liveTranslateModeBtn', caps.vision);
+        setVisible('pdfLayoutBtn', caps.layout);
+        setVisible('imageLayoutBtn', caps.layout);
+        setVisible('selectionLayoutGroup', caps.layout);
+        setVisible('liveCameraBtn', caps.vision && !!this.cameraTranslator);
+
+        // Translation bot
+        setVisible('textTranslatorBtn', caps.textTranslation);
+
+        // Confidence check (back-translation into Chinese)
+        setVisible('verifyTranslationsGroup', this.translationService.canVerifyTranslations());
+
+        // AI assistant
+        setVisible('aiExplainBtn', assistantCaps.explain);
+        setVisible('aiGrammarBtn', assistantCaps.grammar);
+        setVisible('aiPracticeBtn', assistantCaps.practice);
+        setVisible('askBtn', assistantCaps.askWithImage);
+        setVisible('imageAskBtn', assistantCaps.askWithImage);
+        setVisible('aiAssistantBtn', Object.values(assistantCaps).some(Boolean));
+
+        // Example sentences inside the word-by-word view
+        this.wordHighlighter.setExamplesEnabled(caps.exampleSentences);
+
+        // Only offer target languages the provider can produce
+        ['startLanguage', 'targetLanguage', 'botTargetLang'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            Array.from(select.options).forEach(option => {
+                option.disabled = !caps.languages.includes(option.value);
+            });
+        });
+
+        if (caps.languages.length > 0 && !caps.languages.includes(this.settings.targetLanguage)) {
+            console.warn(`[App] ${this.settings.targetLanguage} not supported by ${this.translationService.getProviderName()}, using ${caps.languages[0]}`);
+            this.settings.targetLanguage = caps.languages[0];
+            const startLanguage = document.getElementById('startLanguage');
+            if (startLanguage) startLanguage.value = this.settings.targetLanguage;
+            this.applyTargetLanguage();
+        }
+    }
+
     async restoreSession() {
         try {
             // Restore PDF
@@ -191,6 +358,7 @@ class ChineseTranslatorApp {
         this.addTouchClick('zoomInBtn', () => this.zoomIn());
         this.addTouchClick('zoomOutBtn', () => this.zoomOut());
         this.addTouchClick('newPdfBtn', () => this.resetApp());
+        this.addTouchClick('pdfLayoutBtn', () => this.translatePageLayout('pdf'));
 
         // Image/Camera upload
         const imageInput = document.getElementById('imageInput');
@@ -205,6 +373,7 @@ class ChineseTranslatorApp {
         // Image mode controls
         this.addTouchClick('newImageBtn', () => this.resetApp());
         this.addTouchClick('imageCaptureBtn', () => this.captureAndTranslateImage());
+        this.addTouchClick('imageLayoutBtn', () => this.translatePageLayout('image'));
 
         // Live camera mode
         this.initLiveCamera();
@@ -224,6 +393,30 @@ class ChineseTranslatorApp {
 
         // Translation modal
         this.addTouchClick('closeTranslationBtn', () => this.closeTranslation());
+        this.addTouchClick('retranslateBtn', () => this.forceRetranslate());
+
+        // Translation cache (settings)
+        this.addTouchClick('clearCacheBtn', () => this.clearTranslationCache());
+
+        // Glossary import (settings)
+        this.addTouchClick('importGlossaryBtn', () => document.getElementById('glossaryFileInput').click());
+        document.getElementById('glossaryFileInput').addEventListener('change', (e) => this.importGlossary(e));
+
+        // Prompt templates (settings)
+        document.getElementById('promptTemplateSelect').addEventListener('change', () => this.showPromptTemplate());
+        document.getElementById('promptLanguageSelect').addEventListener('change', () => this.showPromptTemplate());
+        document.getElementById('promptTemplateInput').addEventListener('input', (e) => {
+            const { id, language } = this.getPromptSelection();
+            this.promptDrafts.set(`${id}:${language}`, e.target.value);
+            this.updatePromptStatus();
+        });
+        this.addTouchClick('previewPromptBtn', () => this.previewPromptTemplate());
+        this.addTouchClick('resetPromptBtn', () => this.resetPromptTemplate());
+
+        // Gemini model ladder (settings)
+        this.addTouchClick('resetModelLadderBtn', () => {
+            document.getElementById('modelLadderInput').value = JSON.stringify(config.GEMINI_MODELS, null, 2);
+        });
 
         // Capture button
         this.addTouchClick('captureBtn', () => this.captureAndTranslate());
@@ -244,6 +437,21 @@ class ChineseTranslatorApp {
         translationModal.addEventListener('click', handleTranslationBackdrop);
         translationModal.addEventListener('touchend', handleTranslationBackdrop);
 
+        // Usage dashboard (opened from settings)
+        this.addTouchClick('openUsageBtn', () => {
+            this.closeSettings();
+            this.openUsageDashboard();
+        });
+        this.addTouchClick('closeUsageBtn', () => this.closeUsageDashboard());
+        this.addTouchClick('clearUsageBtn', () => this.clearUsage());
+        document.getElementById('usageRange').addEventListener('change', () => this.renderUsageDashboard());
+        const usageModal = document.getElementById('usageModal');
+        const handleUsageBackdrop = (e) => {
+            if (e.target.id === 'usageModal') this.closeUsageDashboard();
+        };
+        usageModal.addEventListener('click', handleUsageBackdrop);
+        usageModal.addEventListener('touchend', handleUsageBackdrop);
+
         // History modal
         this.addTouchClick('historyBtn', () => this.openHistory());
         this.addTouchClick('closeHistoryBtn', () => this.closeHistory());
@@ -347,6 +555,71 @@ class ChineseTranslatorApp {
         });
     }
 
+    /**
+     * Use one credit, or show the right "out of credits" modal
+     * @returns {Promise<boolean>} true if a credit was used
+     */
+    async useCreditOrPrompt() {
+        const creditResult = await this.creditService.useCredit();
+        if (!creditResult.success) {
+            if (creditResult.promptLogin) {
+                this.showGuestNoCreditsModal();
+            } else {
+                document.getElementById('noCreditsModal').style.display = 'flex';
+            }
+            return false;
+        }
+
+        document.getElementById('creditCount').textContent = creditResult.remainingCredits;
+        return true;
+    }
+
+    /**
+     * Start a cancellable request, aborting the one still running on the same channel
+     * @param {string} channel - e.g. 'selection', 'bot', 'assistant'
+     * @returns {AbortSignal} Pass as options.signal to the service call
+     */
+    beginRequest(channel) {
+        this.abortRequests(channel);
+        const controller = new AbortController();
+        this.requestControllers.set(channel, controller);
+        return controller.signal;
+    }
+
+    /**
+     * Forget a finished request (unless a newer one replaced it)
+     */
+    endRequest(channel, signal) {
+        if (this.requestControllers.get(channel)?.signal === signal) {
+            this.requestControllers.delete(channel);
+        }
+    }
+
+    /**
+     * Cancel whatever is in flight on the given channels
+     */
+    abortRequests(...channels) {
+        for (const channel of channels) {
+            this.requestControllers.get(channel)?.abort();
+            this.requestControllers.delete(channel);
+        }
+    }
+
+    /**
+     * Re-run the last selection translation, skipping the cache
+     */
+    async forceRetranslate() {
+        this.closeTranslation();
+
+        if (this.lastTranslationSource === 'image') {
+            await this.captureAndTranslateImage({ bypassCache: true });
+        } else if (this.lastTranslationSource === 'live') {
+            await this.pdfLiveTranslate({ bypassCache: true, priority: 'user' });
+        } else if (this.lastTranslationSource === 'pdf') {
+            await this.captureAndTranslate({ bypassCache: true });
+        }
+    }
+
     /**
      * Show modal prompting guests to sign up for more credits
      */
@@ -419,6 +692,7 @@ class ChineseTranslatorApp {
 
         // Display in translation modal
         document.getElementById('translatedText').textContent = entry.translation;
+        this.showGlossaryWarning('glossaryWarning', entry.chinese, entry.translation);
 
         // Show word pairs if available
         if (entry.wordPairs && entry.wordPairs.length > 0) {
@@ -456,6 +730,7 @@ class ChineseTranslatorApp {
 
     async handleAuthStateChange(user) {
         this.isLoggedIn = !!user;
+        this.glossaryService.setUser(user?.uid);
         const authBtn = document.getElementById('authBtn');
         const authBtnText = document.getElementById('authBtnText');
         const creditDisplay = document.getElementById('creditDisplay');
@@ -631,12 +906,17 @@ class ChineseTranslatorApp {
         this.wordHighlighter.setExampleCallback(async (chinese, pinyin) => {
             await this.handleExampleGeneration(chinese, pinyin);
         });
+
+        // Word chips double as the glossary editor
+        this.wordHighlighter.setGlossaryCallback((pair) => this.editGlossaryTerm(pair));
     }
 
     /**
      * Handle example sentence generation for a word
      */
     async handleExampleGeneration(chinese, pinyin) {
+        const signal = this.beginRequest('examples');
+
         try {
             // Show loading state in popover
             this.wordHighlighter.showExamplePopover([
@@ -647,7 +927,8 @@ class ChineseTranslatorApp {
             const sentences = await this.translationService.generateExampleSentences(
                 chinese,
                 pinyin,
-                this.settings.targetLanguage
+                this.settings.targetLanguage,
+                { signal }
             );
 
             if (sentences && sentences.length > 0) {
@@ -658,10 +939,13 @@ class ChineseTranslatorApp {
                 ], chinese);
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Failed to generate examples:', error);
             this.wordHighlighter.showExamplePopover([
                 { chinese: 'Error generating examples', pinyin: '', translation: 'Please try again' }
             ], chinese);
+        } finally {
+            this.endRequest('examples', signal);
         }
     }
 
@@ -670,6 +954,7 @@ class ChineseTranslatorApp {
 
         if (wordPairs && wordPairs.length > 0) {
             this.wordHighlighter.setWordPairs(wordPairs);
+            this.wordHighlighter.setGlossaryTerms(this.getGlossaryTerms());
             this.wordHighlighter.setMode('click'); // Default to click mode
 
             // Reset mode buttons
@@ -719,6 +1004,7 @@ class ChineseTranslatorApp {
             document.getElementById('pdfViewerArea').style.display = 'flex';
 
             this.selectionBox = new SelectionBox(pdfContainer);
+            this.pdfLayout.clear();
 
             this.hideLoading();
         } catch (error) {
@@ -773,6 +1059,7 @@ class ChineseTranslatorApp {
 
         const uploadedImage = document.getElementById('uploadedImage');
         uploadedImage.src = dataUrl;
+        this.imageLayout.clear();
 
         uploadedImage.onload = () => {
             // Show image viewer, hide other areas
@@ -792,6 +1079,22 @@ class ChineseTranslatorApp {
      * Handle tab change in the document manager
      */
     async handleTabChange(doc) {
+        // Results for the previous document must not land on this one
+        this.abortRequests('selection', 'wordPairs', 'examples');
+        this.cancelConfidenceCheck();
+        if (this.liveTranslateDebounceTimer) {
+            clearTimeout(this.liveTranslateDebounceTimer);
+            this.liveTranslateDebounceTimer = null;
+        }
+
+        this.pdfLayout.clear();
+        this.imageLayout.clear();
+
+        // Attribute token usage to the document on screen
+        const usageContext = doc ? { documentId: doc.id, documentName: doc.fullName } : null;
+        this.translationService.setUsageContext(usageContext);
+        this.aiAssistantService.setUsageContext(usageContext);
+
         if (!doc) {
             // No documents open, show upload area
             this.showUploadArea();
@@ -950,27 +1253,17 @@ class ChineseTranslatorApp {
     /**
      * Translate selected area from uploaded image
      */
-    async captureAndTranslateImage() {
-        // Check credits (works for both guests and logged in users)
-        const creditResult = await this.creditService.useCredit();
-        if (!creditResult.success) {
-            if (creditResult.promptLogin) {
-                this.showGuestNoCreditsModal();
-            } else {
-                document.getElementById('noCreditsModal').style.display = 'flex';
-            }
-            return;
-        }
-
-        // Update credit display
-        document.getElementById('creditCount').textContent = creditResult.remainingCredits;
-
-        if (!this.settings.apiKey) {
+    async captureAndTranslateImage(options = {}) {
+        if (!this.translationService.isConfigured()) {
             this.showError('Please configure your Gemini API key in settings first');
             return;
         }
 
         this.showLoading('Translating...');
+        const signal = this.beginRequest('selection');
+        this.abortRequests('wordPairs');
+        this.cancelConfidenceCheck();
+        options = { ...options, signal };
 
         try {
             // Get selection box position relative to image
@@ -997,6 +1290,36 @@ class ChineseTranslatorApp {
 
             const croppedDataUrl = canvas.toDataURL('image/png');
             const base64Data = croppedDataUrl.split(',')[1];
+            const visionPayload = { mimeType: 'image/png', data: base64Data };
+            const useLayout = this.settings.selectionLayout && this.translationService.supports('layout');
+            const useWordPairs = !useLayout && this.translationService.supports('wordPairs');
+
+            // Cached selections are free - only charge a credit when the provider is called
+            const cached = !options.bypassCache && await this.translationService.isCached(
+                useLayout ? 'layout' : useWordPairs ? 'wordPairs' : 'translate',
+                visionPayload,
+                this.settings.targetLanguage
+            );
+            if (!cached && !(await this.useCreditOrPrompt())) {
+                this.hideLoading();
+                return;
+            }
+
+            this.lastTranslationSource = 'image';
+
+            // Draw the translations over the text itself instead of a sticky note
+            if (useLayout) {
+                this.hideLoading();
+                this.hideImageStickyNote();
+                const originalText = await this.showLayoutTranslation('image', visionPayload, {
+                    x: cropX / uploadedImage.naturalWidth,
+                    y: cropY / uploadedImage.naturalHeight,
+                    width: cropWidth / uploadedImage.naturalWidth,
+                    height: cropHeight / uploadedImage.naturalHeight
+                }, options);
+                this.fetchWordPairs(visionPayload, options, originalText);
+                return;
+            }
 
             // Show sticky note with loading
             const imageSelectionBox = {
@@ -1008,11 +1331,21 @@ class ChineseTranslatorApp {
 
             this.hideLoading();
 
-            // Translate using Gemini Vision
-            const result = await this.translationService.translateWithWordPairs(
-                base64Data,
-                this.settings.targetLanguage
-            );
+            // Translate using Gemini Vision (plain translation if the provider has no word pairs)
+            const result = useWordPairs
+                ? await this.translationService.translateWithWordPairs(
+                    visionPayload,
+                    this.settings.targetLanguage,
+                    options
+                )
+                : {
+                    fullTranslation: await this.translationService.translate(
+                        visionPayload,
+                        this.settings.targetLanguage,
+                        null,
+                        options
+                    )
+                };
 
             const finalTranslation = result.fullTranslation || result.translation;
             if (finalTranslation) {
@@ -1020,7 +1353,7 @@ class ChineseTranslatorApp {
 
                 // Update modal content for View Word-by-Word
                 document.getElementById('originalText').textContent = result.originalText || '';
-                document.getElementById('pinyinText').textContent = result.fullPinyin || '';
+                this.showPinyinText(result.fullPinyin, result.originalText);
                 document.getElementById('translatedText').textContent = finalTranslation;
 
                 // Store for word highlight
@@ -1029,13 +1362,18 @@ class ChineseTranslatorApp {
                     this.wordHighlighter.setWordPairs(result.wordPairs);
                     this.showWordHighlight(result.wordPairs);
                 }
+                this.showGlossaryWarning('glossaryWarning', result.originalText, finalTranslation);
+                this.runConfidenceCheck(result.originalText, finalTranslation, 'image');
             } else {
                 imageSelectionBox.updateStickyNote('Could not translate. Try a different selection.');
             }
         } catch (error) {
-            console.error('Translation error:', error);
             this.hideLoading();
-            this.showError('Translation failed: ' + error.message);
+            if (isAbortError(error)) return;
+            console.error('Translation error:', error);
+            this.handleProviderError(error, () => this.captureAndTranslateImage(options));
+        } finally {
+            this.endRequest('selection', signal);
         }
     }
 
@@ -1172,21 +1510,26 @@ class ChineseTranslatorApp {
                 this.liveTranslateDebounceTimer = null;
             }
 
-            // Remove onMoveEnd callback
+            // Remove move callbacks and cancel whatever is still translating
             if (this.selectionBox) {
+                this.selectionBox.onMoveStart = null;
                 this.selectionBox.onMoveEnd = null;
                 this.selectionBox.hideStickyNote();
             }
+            this.abortRequests('selection', 'wordPairs');
 
             btn.classList.remove('active');
         } else {
             // Activate
             this.pdfLiveModeActive = true;
-            this.translationInProgress = false;
             btn.classList.add('active');
 
-            // Set up debounced translation on box movement
+            // Set up debounced translation on box movement. The old
+            // selection's translation is stale as soon as the box moves.
             if (this.selectionBox) {
+                this.selectionBox.onMoveStart = () => {
+                    this.abortRequests('selection', 'wordPairs');
+                };
                 this.selectionBox.onMoveEnd = () => {
                     this.scheduleDebounceTranslation();
                 };
@@ -1206,12 +1549,6 @@ class ChineseTranslatorApp {
             clearTimeout(this.liveTranslateDebounceTimer);
         }
 
-        // Don't schedule if translation is already in progress
-        // (wait for current one to finish, then onMoveEnd will retrigger)
-        if (this.translationInProgress) {
-            return;
-        }
-
         // Schedule translation after 800ms of no movement
         this.liveTranslateDebounceTimer = setTimeout(() => {
             if (this.pdfLiveModeActive) {
@@ -1221,29 +1558,33 @@ class ChineseTranslatorApp {
     }
 
     /**
-     * Perform live translation of PDF selection box
+     * Perform live translation of PDF selection box.
+     * Starting a new one cancels the previous request, so a stale
+     * result can never overwrite the sticky note.
      */
-    async pdfLiveTranslate() {
+    async pdfLiveTranslate(options = {}) {
         if (!this.pdfLiveModeActive || !this.pdfViewer?.pdfDoc || !this.selectionBox) {
             return;
         }
 
-        // Prevent concurrent translations
-        if (this.translationInProgress) {
-            return;
-        }
-
-        this.translationInProgress = true;
+        const signal = this.beginRequest('selection');
+        this.abortRequests('wordPairs');
+        this.cancelConfidenceCheck();
+        // hedge: with a provider chain, ask the next provider too if the first is slow
+        options = { priority: 'live', ...options, signal, hedge: true };
 
         try {
             // Show loading state on sticky note
             this.selectionBox.showStickyNote('⏳ Translating...', true);
 
+            // The modal still holds the previous selection
+            document.getElementById('originalText').textContent = '';
+            this.showPinyinText('');
+
             // Capture selection area
             const position = this.selectionBox.getCanvasPosition(this.pdfViewer.canvas);
             if (!position) {
                 this.selectionBox.updateStickyNote('Move selection to translate');
-                this.translationInProgress = false;
                 return;
             }
 
@@ -1256,7 +1597,6 @@ class ChineseTranslatorApp {
 
             if (!imageData) {
                 this.selectionBox.updateStickyNote('No image captured');
-                this.translationInProgress = false;
                 return;
             }
 
@@ -1272,10 +1612,15 @@ class ChineseTranslatorApp {
             const visionPayload = { mimeType: 'image/png', data: base64 };
 
             // Translate
+            this.lastTranslationSource = 'live';
+
             const translation = await this.translationService.translate(
                 visionPayload,
                 this.settings.targetLanguage,
-                (partial) => this.selectionBox.updateStickyNote(partial)
+                (partial) => {
+                    if (!signal.aborted) this.selectionBox.updateStickyNote(partial);
+                },
+                options
             );
 
             // Show result
@@ -1284,17 +1629,21 @@ class ChineseTranslatorApp {
 
                 // Update modal content for View Word-by-Word
                 document.getElementById('translatedText').textContent = translation;
+                document.getElementById('glossaryWarning').style.display = 'none';
 
                 // Fetch word pairs in background for View Word-by-Word feature
-                this.fetchWordPairs(visionPayload);
+                this.fetchWordPairs(visionPayload, options);
             } else {
                 this.selectionBox.updateStickyNote('No Chinese text detected');
             }
         } catch (error) {
+            if (isAbortError(error)) return; // Box moved or live mode ended
             console.error('Live translation error:', error);
-            this.selectionBox.updateStickyNote('Error - try moving the box');
+            // Keep it short - the next box move retries anyway
+            const { message } = this.describeProviderError(error);
+            this.selectionBox.updateStickyNote(`${message} Try moving the box.`);
         } finally {
-            this.translationInProgress = false;
+            this.endRequest('selection', signal);
         }
     }
 
@@ -1302,6 +1651,7 @@ class ChineseTranslatorApp {
         this.showLoading('Loading page...');
         try {
             await this.pdfViewer.previousPage();
+            this.pdfLayout.clear();
             localStorage.setItem('lastPage', this.pdfViewer.currentPage.toString());
         } catch (error) {
             this.showError('Failed to load page');
@@ -1313,6 +1663,7 @@ class ChineseTranslatorApp {
         this.showLoading('Loading page...');
         try {
             await this.pdfViewer.nextPage();
+            this.pdfLayout.clear();
             localStorage.setItem('lastPage', this.pdfViewer.currentPage.toString());
         } catch (error) {
             this.showError('Failed to load page');
@@ -1340,29 +1691,20 @@ class ChineseTranslatorApp {
         this.hideLoading();
     }
 
-    async captureAndTranslate() {
-        // Check credits before translating (works for both guests and logged in users)
-        const creditResult = await this.creditService.useCredit();
-        if (!creditResult.success) {
-            // Check if guest ran out of credits
-            if (creditResult.promptLogin) {
-                this.showGuestNoCreditsModal();
-            } else {
-                // Show regular no credits modal for logged in users
-                document.getElementById('noCreditsModal').style.display = 'flex';
-            }
-            return;
-        }
-
-        // Update credit display
-        document.getElementById('creditCount').textContent = creditResult.remainingCredits;
-
-        if (!this.settings.apiKey) {
+    /**
+     * @param {object} options - { bypassCache: true } for "force re-translate"
+     */
+    async captureAndTranslate(options = {}) {
+        if (!this.translationService.isConfigured()) {
             this.showError('Please configure your Gemini API key in settings first');
             return;
         }
 
         this.showLoading('Capturing image...');
+        const signal = this.beginRequest('selection');
+        this.abortRequests('wordPairs');
+        this.cancelConfidenceCheck();
+        options = { ...options, signal };
 
         try {
 
@@ -1401,8 +1743,34 @@ class ChineseTranslatorApp {
                 data: base64Data
             };
 
+            const useLayout = this.settings.selectionLayout && this.translationService.supports('layout');
+
+            // Cached selections are free - only charge a credit when the provider is called
+            const cached = !options.bypassCache && await this.translationService.isCached(
+                useLayout ? 'layout' : 'translate', visionPayload, this.settings.targetLanguage);
+            if (!cached && !(await this.useCreditOrPrompt())) {
+                this.hideLoading();
+                return;
+            }
+
+            this.lastTranslationSource = 'pdf';
             console.log('Image captured, sending to Gemini Vision...');
 
+            // Draw the translations over the text itself instead of a sticky note
+            if (useLayout) {
+                this.hideLoading();
+                this.selectionBox.hideStickyNote();
+                const canvasRect = canvas.getBoundingClientRect();
+                const originalText = await this.showLayoutTranslation('pdf', visionPayload, {
+                    x: position.x / canvasRect.width,
+                    y: position.y / canvasRect.height,
+                    width: position.width / canvasRect.width,
+                    height: position.height / canvasRect.height
+                }, options);
+                this.fetchWordPairs(visionPayload, options, originalText);
+                return;
+            }
+
             // Hide spinner
             this.hideLoading();
 
@@ -1411,16 +1779,18 @@ class ChineseTranslatorApp {
 
             // Clear previous modal content
             document.getElementById('originalText').textContent = '';
-            document.getElementById('pinyinText').textContent = '';
+            this.showPinyinText('');
             document.getElementById('translatedText').textContent = '';
+            document.getElementById('glossaryWarning').style.display = 'none';
 
             const translation = await this.translationService.translate(
                 visionPayload,
                 this.settings.targetLanguage,
                 (streamedText) => {
                     // Update sticky note with streaming text
-                    this.selectionBox.updateStickyNote(streamedText);
-                }
+                    if (!signal.aborted) this.selectionBox.updateStickyNote(streamedText);
+                },
+                options
             );
 
             // Final update - show complete translation in sticky note
@@ -1430,36 +1800,163 @@ class ChineseTranslatorApp {
             document.getElementById('translatedText').textContent = translation;
 
             // Asynchronously fetch word pairs for highlighting feature
-            // This runs in background after main translation is done
-            this.fetchWordPairs(visionPayload);
+            // This runs in background after main translation is done.
+            // Their original text is what the confidence check compares with.
+            this.fetchWordPairs(visionPayload, options)
+                .then(result => this.runConfidenceCheck(result?.originalText, translation, 'pdf'));
 
         } catch (error) {
             this.hideLoading();
+            if (isAbortError(error)) return;
             this.selectionBox.hideStickyNote();
             console.error('Process failed:', error);
-            alert('Error: ' + error.message);
+            this.handleProviderError(error, () => this.captureAndTranslate(options));
+        } finally {
+            this.endRequest('selection', signal);
         }
     }
 
-    async fetchWordPairs(visionPayload) {
+    /**
+     * Translate the whole PDF page or image, drawn block by block over the original
+     * @param {string} source - 'pdf' or 'image'
+     */
+    async translatePageLayout(source, options = {}) {
+        if (!this.translationService.isConfigured()) {
+            this.showError('Please configure your Gemini API key in settings first');
+            return;
+        }
+
+        const signal = this.beginRequest('selection');
+        this.abortRequests('wordPairs');
+        this.cancelConfidenceCheck();
+        options = { ...options, signal };
+
+        try {
+            let imagePayload;
+            if (source === 'pdf') {
+                const [, data] = document.getElementById('pdfCanvas').toDataURL('image/jpeg').split(',');
+                imagePayload = { mimeType: 'image/jpeg', data };
+            } else {
+                const [, mimeType, data] = this.currentImageData.match(/^data:([^;]+);base64,(.*)$/) || [];
+                if (!data) throw new Error('This image cannot be translated');
+                imagePayload = { mimeType, data };
+            }
+
+            const cached = !options.bypassCache &&
+                await this.translationService.isCached('layout', imagePayload, this.settings.targetLanguage);
+            if (!cached && !(await this.useCreditOrPrompt())) {
+                return;
+            }
+
+            await this.showLayoutTranslation(source, imagePayload, null, options);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Layout translation error:', error);
+            this.handleProviderError(error, () => this.translatePageLayout(source, options));
+        } finally {
+            this.endRequest('selection', signal);
+        }
+    }
+
+    /**
+     * Request text blocks and draw them over the PDF canvas or image
+     * @param {string} source - 'pdf' or 'image'
+     * @param {object} imagePayload - { mimeType, data } of the page or region
+     * @param {object|null} region - Where the image sits on the page
+     *   ({ x, y, width, height } as fractions), null for the whole page
+     * @returns {Promise<string|undefined>} The original text of the blocks, if any were shown
+     */
+    async showLayoutTranslation(source, imagePayload, region, options) {
+        const overlay = source === 'pdf' ? this.pdfLayout : this.imageLayout;
+        const page = this.pdfViewer.currentPage;
+        overlay.showLoading(region);
+
+        document.getElementById('originalText').textContent = '';
+        this.showPinyinText('');
+        document.getElementById('translatedText').textContent = '';
+        document.getElementById('glossaryWarning').style.display = 'none';
+
+        let result;
+        try {
+            result = await this.translationService.translateLayout(imagePayload, this.settings.targetLanguage, options);
+        } catch (error) {
+            overlay.clear();
+            throw error;
+        }
+
+        // The reader moved on to another page while we were waiting
+        if (source === 'pdf' && this.pdfViewer.currentPage !== page) return;
+
+        if (result.blocks.length === 0) {
+            overlay.clear();
+            this.showError('No text found in this area');
+            return;
+        }
+
+        const blocks = region ? LayoutOverlay.toPageBlocks(result.blocks, region) : result.blocks;
+        overlay.show(blocks, getLanguage(this.settings.targetLanguage));
+
+        // Keep the modal in sync so View Word-by-Word still has something to show
+        const { originalText, translation } = overlay.getText();
+        document.getElementById('originalText').textContent = originalText;
+        document.getElementById('translatedText').textContent = translation;
+        this.showGlossaryWarning('glossaryWarning', originalText, translation);
+        this.runConfidenceCheck(originalText, translation, 'layout');
+        return originalText;
+    }
+
+    /**
+     * Fetch word pairs in the background and show them in the modal.
+     * If the provider's word pairs fail, the offline dictionary fills in.
+     * @param {object} visionPayload - { mimeType, data } of the selection
+     * @param {string|null} originalText - The selection's text if already known
+     *   (e.g. from the layout overlay); without it the dictionary transcribes the image
+     * @returns {Promise<object|undefined>} The result, if it arrived
+     */
+    async fetchWordPairs(visionPayload, options = {}, originalText = null) {
+        if (!this.translationService.supports('wordPairs')) {
+            return;
+        }
+
+        const signal = this.beginRequest('wordPairs');
+
         try {
             console.log('Fetching word pairs for highlighting...');
-            const result = await this.translationService.translateWithWordPairs(
-                visionPayload,
-                this.settings.targetLanguage
-            );
+            let result;
+            try {
+                result = await this.translationService.translateWithWordPairs(
+                    visionPayload,
+                    this.settings.targetLanguage,
+                    { ...options, signal, priority: 'background' }
+                );
+            } catch (error) {
+                if (isAbortError(error) || !this.translationService.canLookUpWordPairs(this.settings.targetLanguage)) {
+                    throw error;
+                }
+                console.warn('Word pair fetch failed, using the offline dictionary:', error);
+                result = await this.translationService.lookupWordPairs(visionPayload, this.settings.targetLanguage, {
+                    ...options,
+                    signal,
+                    priority: 'background',
+                    originalText: originalText?.trim() || null
+                });
+                // The glosses in a row are no translation - keep the real one
+                result.fullTranslation = document.getElementById('translatedText').textContent || result.fullTranslation;
+            }
 
             // Update modal with original text and pinyin if available
             if (result.originalText) {
                 document.getElementById('originalText').textContent = result.originalText;
             }
             if (result.fullPinyin) {
-                document.getElementById('pinyinText').textContent = result.fullPinyin;
+                this.showPinyinText(result.fullPinyin, result.originalText);
             }
 
             if (result.wordPairs && result.wordPairs.length > 0) {
                 console.log('Word pairs received:', result.wordPairs.length);
                 this.showWordHighlight(result.wordPairs);
+                this.showGlossaryWarning('glossaryWarning', result.originalText,
+                    document.getElementById('translatedText').textContent);
 
                 // Save to history (for logged in users)
                 if (this.historyService.isAvailable()) {
@@ -1474,19 +1971,20 @@ class ChineseTranslatorApp {
                     console.log('Translation saved to history');
                 }
             }
+            return result;
         } catch (error) {
+            if (isAbortError(error)) return;
             console.warn('Word pair fetch failed (non-critical):', error);
             // Don't show error to user - word pairs are optional enhancement
+        } finally {
+            this.endRequest('wordPairs', signal);
         }
     }
 
     showTranslation(originalText, translatedText) {
         document.getElementById('originalText').textContent = originalText;
         document.getElementById('translatedText').textContent = translatedText;
-
-        const languageLabel = this.settings.targetLanguage === 'thai' ?
-            'Translation (ภาษาไทย)' : 'Translation (English)';
-        document.getElementById('translationLabel').textContent = languageLabel;
+        this.applyTargetLanguage();
 
         document.getElementById('translationModal').style.display = 'flex';
     }
@@ -1501,7 +1999,457 @@ class ChineseTranslatorApp {
 
     openSettings() {
         document.getElementById('targetLanguage').value = this.settings.targetLanguage;
+        document.getElementById('translationStyle').value = this.settings.translationStyle;
+        document.getElementById('chineseScript').value = this.settings.chineseScript;
+        document.getElementById('chineseVariety').value = this.settings.chineseVariety;
+        document.getElementById('verifyTranslations').value = this.settings.verifyTranslations ? 'on' : 'off';
+        document.getElementById('selectionLayout').value = this.settings.selectionLayout ? 'on' : 'off';
+        document.getElementById('romanization').value = this.settings.romanization;
+        document.getElementById('toneSandhi').value = this.settings.toneSandhi ? 'on' : 'off';
+        document.getElementById('modelLadderInput').value = JSON.stringify(this.getGeminiModels(), null, 2);
         document.getElementById('settingsModal').style.display = 'flex';
+        this.updateCacheInfo();
+        this.updateUsageInfo();
+        this.updateGlossaryInfo();
+        this.promptDrafts.clear();
+        this.showPromptTemplate();
+    }
+
+    async updateCacheInfo() {
+        const info = document.getElementById('cacheInfo');
+        if (!info) return;
+
+        const { entries, bytes } = await this.translationService.getCacheStats();
+        info.textContent = `${entries} saved translation${entries !== 1 ? 's' : ''} (${(bytes / 1024 / 1024).toFixed(1)} MB)`;
+    }
+
+    async clearTranslationCache() {
+        await this.translationService.clearCache();
+        await this.updateCacheInfo();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // GLOSSARY
+    // ═══════════════════════════════════════════════════════════════
+
+    getDocumentName() {
+        return this.documentManager.getActiveDocument()?.fullName || null;
+    }
+
+    getGlossaryTerms() {
+        return this.glossaryService.getEntries(this.getDocumentName()).map(entry => entry.term);
+    }
+
+    updateGlossaryInfo() {
+        const info = document.getElementById('glossaryInfo');
+        if (!info) return;
+
+        const documentName = this.getDocumentName();
+        const { user, document: documentTerms } = this.glossaryService.getStats(documentName);
+        info.textContent = documentName
+            ? `${user} term${user !== 1 ? 's' : ''} for all documents, ${documentTerms} for this one`
+            : `${user} term${user !== 1 ? 's' : ''}`;
+        document.getElementById('glossaryScopeDocument').disabled = !documentName;
+    }
+
+    /**
+     * Import a CSV/TSV file (term, translation[, notes]) into the chosen scope
+     */
+    async importGlossary(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow re-importing the same file
+        if (!file) return;
+
+        const scope = document.getElementById('glossaryScope').value;
+        const documentName = scope === 'document' ? this.getDocumentName() : null;
+
+        try {
+            const { imported, skipped } = this.glossaryService.importText(await file.text(), documentName);
+            alert(`Imported ${imported} glossary term${imported !== 1 ? 's' : ''}` +
+                (skipped ? ` (${skipped} line${skipped !== 1 ? 's' : ''} without a translation skipped)` : ''));
+        } catch (error) {
+            console.error('Glossary import failed:', error);
+            this.showError('Could not read the glossary file.');
+        }
+        this.updateGlossaryInfo();
+    }
+
+    /**
+     * Add, change or remove the glossary entry for a word chip
+     */
+    editGlossaryTerm(pair) {
+        const documentName = this.getDocumentName();
+        const existing = this.glossaryService.getEntry(pair.chinese, documentName);
+
+        const translation = prompt(
+            `Always translate "${pair.chinese}" as (leave empty to remove from the glossary):`,
+            existing?.translation ?? pair.translation
+        );
+        if (translation === null) return;
+
+        const scopeDocument = existing ? existing.scope === 'document' : false;
+        if (!translation.trim()) {
+            if (existing) {
+                this.glossaryService.removeEntry(pair.chinese, scopeDocument ? documentName : null);
+            }
+        } else {
+            const notes = prompt('Notes (optional):', existing?.notes || '');
+            if (notes === null) return;
+
+            const forDocument = existing
+                ? scopeDocument
+                : !!documentName && confirm(`Only use this for "${documentName}"?\n\nCancel = all documents.`);
+            this.glossaryService.setEntry({ term: pair.chinese, translation, notes }, forDocument ? documentName : null);
+        }
+
+        this.wordHighlighter.setGlossaryTerms(this.getGlossaryTerms());
+    }
+
+    /**
+     * List glossary terms the translation ignored (or hide the warning)
+     */
+    showGlossaryWarning(elementId, sourceText, translatedText) {
+        const warning = document.getElementById(elementId);
+        if (!warning) return;
+
+        const ignored = this.translationService.checkGlossary(sourceText, translatedText);
+        if (ignored.length === 0) {
+            warning.style.display = 'none';
+            return;
+        }
+
+        warning.textContent = `📘 Glossary not followed: ${ignored.map(entry => `${entry.term} → ${entry.translation}`).join(', ')}`;
+        warning.style.display = 'block';
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROMPTS
+    // ═══════════════════════════════════════════════════════════════
+
+    getPromptSelection() {
+        return {
+            id: document.getElementById('promptTemplateSelect').value,
+            language: document.getElementById('promptLanguageSelect').value
+        };
+    }
+
+    /**
+     * The template the editor shows: an unsaved draft, else what the
+     * language gets now (a draft for all languages shows through)
+     */
+    getPromptEditorText(id, language) {
+        const key = `${id}:${language}`;
+        if (this.promptDrafts.has(key)) {
+            const draft = this.promptDrafts.get(key);
+            if (draft !== null) return draft;
+        } else if (language === ALL_LANGUAGES || this.promptLibrary.resolve(id, language).source === 'language') {
+            return this.promptLibrary.resolve(id, language).template;
+        }
+        // Reset, or not edited for this language: what it falls back to
+        return language === ALL_LANGUAGES ? PROMPT_TEMPLATES[id].template : this.getPromptEditorText(id, ALL_LANGUAGES);
+    }
+
+    showPromptTemplate() {
+        const { id, language } = this.getPromptSelection();
+        const { variables } = PROMPT_TEMPLATES[id];
+
+        document.getElementById('promptTemplateInput').value = this.getPromptEditorText(id, language);
+        document.getElementById('promptVariables').textContent = 'Variables: ' +
+            Object.entries(variables).map(([name, description]) => `{{${name}}} - ${description}`).join(' · ');
+        document.getElementById('promptPreview').style.display = 'none';
+        this.updatePromptStatus();
+    }
+
+    updatePromptStatus() {
+        const status = document.getElementById('promptStatus');
+        const { id, language } = this.getPromptSelection();
+        const { source, outdated } = this.promptLibrary.resolve(id, language);
+
+        let text;
+        if (this.promptDrafts.has(`${id}:${language}`)) {
+            text = 'Unsaved changes';
+        } else if (source === 'default') {
+            text = `Built-in prompt (version ${PROMPT_TEMPLATES[id].version})`;
+        } else if (source === 'all') {
+            text = language === ALL_LANGUAGES ? 'Edited' : 'Uses the edit for all languages';
+        } else {
+            text = 'Edited for this language';
+        }
+        if (outdated) {
+            text += ' - the built-in prompt has changed since it was edited';
+        }
+        // The batch prompt can't follow an edited translation prompt (see TranslationService.translateBatch)
+        if (source !== 'default' && (id === 'visionTranslation' || id === 'textTranslation')) {
+            text += '. Multi-region translations send each region on its own while this is edited';
+        }
+
+        const edits = this.promptLibrary.getEditCount();
+        status.textContent = `${text} (${edits} edited prompt${edits !== 1 ? 's' : ''})`;
+        status.classList.toggle('prompt-status-outdated', outdated);
+    }
+
+    /**
+     * Render the template with sample values, listing any problems first
+     */
+    previewPromptTemplate() {
+        const { id, language } = this.getPromptSelection();
+        const template = document.getElementById('promptTemplateInput').value;
+        const problems = checkTemplate(id, template);
+        const values = {
+            ...PROMPT_SAMPLE_VALUES,
+            language: language === ALL_LANGUAGES ? PROMPT_SAMPLE_VALUES.language : getPromptLanguageName(language)
+        };
+
+        const preview = document.getElementById('promptPreview');
+        preview.textContent = problems.map(problem => `⚠️ ${problem}\n`).join('') +
+            (problems.length > 0 ? '\n' : '') + renderTemplate(template, values);
+        preview.classList.toggle('has-problems', problems.length > 0);
+        preview.style.display = 'block';
+    }
+
+    resetPromptTemplate() {
+        const { id, language } = this.getPromptSelection();
+        this.promptDrafts.set(`${id}:${language}`, null);
+        this.showPromptTemplate();
+    }
+
+    /**
+     * Save the prompt edits made since Settings was opened
+     * @throws {Error} Naming the first template with problems (nothing is saved then)
+     */
+    savePromptDrafts() {
+        for (const [key, template] of this.promptDrafts) {
+            const id = key.slice(0, key.indexOf(':'));
+            const problems = template === null ? [] : checkTemplate(id, template);
+            if (problems.length > 0) {
+                throw new Error(`${PROMPT_TEMPLATES[id].label}: ${problems[0]}`);
+            }
+        }
+
+        // All-languages edits first: a language edit is compared with them
+        const drafts = [...this.promptDrafts].sort(([a], [b]) =>
+            Number(b.endsWith(`:${ALL_LANGUAGES}`)) - Number(a.endsWith(`:${ALL_LANGUAGES}`)));
+        for (const [key, template] of drafts) {
+            const [id, language] = key.split(':');
+            if (template === null) {
+                this.promptLibrary.resetTemplate(id, language);
+            } else {
+                this.promptLibrary.setTemplate(id, language, template);
+            }
+        }
+        this.promptDrafts.clear();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CONFIDENCE CHECK
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Back-translate a finished translation and badge it with a confidence
+     * score (Settings → Confidence Check). Runs after the translation is
+     * shown, so it never delays it.
+     * @param {string} target - Where the badge goes: 'pdf' / 'image' (sticky
+     *   note and modal), 'layout' (modal) or 'bot' (translation bot)
+     */
+    async runConfidenceCheck(originalText, translation, target) {
+        if (!this.settings.verifyTranslations || !this.translationService.canVerifyTranslations()) return;
+        if (!originalText?.trim() || !translation?.trim()) return;
+
+        const channel = target === 'bot' ? 'botVerify' : 'verify';
+        const signal = this.beginRequest(channel);
+        this.showConfidence(target, null);
+
+        try {
+            const verification = await this.translationService.verifyTranslation(originalText, translation, { signal, priority: 'background' });
+            if (verification.confidence == null) {
+                this.showConfidence(target, undefined);
+                return;
+            }
+
+            // Keep it with the word-pairs result it belongs to
+            if (this.lastTranslationResult?.fullTranslation === translation) {
+                this.lastTranslationResult.verification = verification;
+            }
+            this.showConfidence(target, verification);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.warn('Confidence check failed (non-critical):', error);
+            this.showConfidence(target, undefined);
+        } finally {
+            this.endRequest(channel, signal);
+        }
+    }
+
+    /**
+     * Stop the selection's confidence check and clear its badge in the modal
+     */
+    cancelConfidenceCheck() {
+        this.abortRequests('verify');
+        const panel = document.getElementById('translationConfidence');
+        if (panel) panel.style.display = 'none';
+    }
+
+    /**
+     * @param {object|null|undefined} verification - The result, null while
+     *   checking, undefined to remove the badge
+     */
+    showConfidence(target, verification) {
+        const panelId = target === 'bot' ? 'botConfidence' : 'translationConfidence';
+        this.renderConfidencePanel(document.getElementById(panelId), verification);
+
+        if (target === 'pdf' && this.selectionBox) {
+            this.selectionBox.setStickyNoteBadge(verification === undefined ? null : this.createConfidenceBadge(verification));
+        } else if (target === 'image') {
+            const note = document.querySelector('#imageSelectionBox .sticky-note-content');
+            note?.querySelector('.confidence-badge')?.remove();
+            if (note && verification !== undefined) note.appendChild(this.createConfidenceBadge(verification));
+        }
+    }
+
+    createConfidenceBadge(verification) {
+        const badge = document.createElement('span');
+        if (!verification) {
+            badge.className = 'confidence-badge confidence-pending';
+            badge.textContent = '🔍 Checking…';
+            return badge;
+        }
+
+        const level = getConfidenceLevel(verification.confidence, {
+            high: config.TRANSLATION_VERIFICATION.highConfidence,
+            low: config.TRANSLATION_VERIFICATION.lowConfidence
+        });
+        const icon = { high: '✓', medium: '~', low: '⚠' }[level];
+        badge.className = `confidence-badge confidence-${level}`;
+        badge.textContent = `${icon} ${Math.round(verification.confidence * 100)}% confidence`;
+        if (verification.divergentSpans.length > 0) {
+            badge.title = `Check: ${verification.divergentSpans.map(span => span.text).join(', ')}`;
+        }
+        return badge;
+    }
+
+    renderConfidencePanel(panel, verification) {
+        if (!panel) return;
+        if (verification === undefined) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.innerHTML = '';
+        panel.appendChild(this.createConfidenceBadge(verification));
+
+        if (verification) {
+            const back = document.createElement('div');
+            back.className = 'confidence-back-translation';
+            back.textContent = `Back-translation: ${verification.backTranslation}`;
+            back.lang = 'zh';
+            panel.appendChild(back);
+
+            if (verification.divergentSpans.length > 0) {
+                const list = document.createElement('ul');
+                list.className = 'confidence-spans';
+                for (const span of verification.divergentSpans) {
+                    const item = document.createElement('li');
+                    const text = document.createElement('span');
+                    text.lang = 'zh';
+                    text.textContent = span.text;
+                    item.appendChild(text);
+                    const note = span.note || (span.source === 'overlap' ? 'not found in the back-translation' : '');
+                    if (note) item.append(` – ${note}`);
+                    list.appendChild(item);
+                }
+                panel.appendChild(list);
+            }
+        }
+
+        panel.style.display = 'block';
+    }
+
+    async updateUsageInfo() {
+        const info = document.getElementById('usageInfo');
+        if (!info) return;
+
+        const { total } = await this.usageTracker.getSummary(30);
+        info.textContent = `Last 30 days: ${total.requests} requests, ${this.formatTokens(total.totalTokens)} tokens (~${this.formatCost(total.cost)})`;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // USAGE DASHBOARD
+    // ═══════════════════════════════════════════════════════════════
+
+    async openUsageDashboard() {
+        document.getElementById('usageModal').style.display = 'flex';
+        await this.renderUsageDashboard();
+    }
+
+    closeUsageDashboard() {
+        document.getElementById('usageModal').style.display = 'none';
+    }
+
+    async renderUsageDashboard() {
+        const days = Number(document.getElementById('usageRange').value) || 30;
+        const summary = await this.usageTracker.getSummary(days);
+
+        document.getElementById('usageTotal').textContent =
+            `${summary.total.requests} requests · ${this.formatTokens(summary.total.promptTokens)} in / ` +
+            `${this.formatTokens(summary.total.outputTokens)} out · ~${this.formatCost(summary.total.cost)}`;
+
+        const byDay = Object.fromEntries(Object.entries(summary.byDay).sort(([a], [b]) => b.localeCompare(a)));
+        const byFeature = Object.fromEntries(Object.entries(summary.byFeature)
+            .map(([feature, totals]) => [USAGE_FEATURES[feature] || feature, totals]));
+
+        this.renderUsageTable('usageByDay', byDay);
+        this.renderUsageTable('usageByFeature', byFeature, true);
+        this.renderUsageTable('usageByDocument', summary.byDocument, true);
+        this.renderUsageTable('usageByModel', summary.byModel, true);
+    }
+
+    /**
+     * Fills a usage table body. Built with textContent - document names are user input.
+     * @param {boolean} sortByCost - Most expensive first (otherwise keeps the given order)
+     */
+    renderUsageTable(tbodyId, groups, sortByCost = false) {
+        const tbody = document.getElementById(tbodyId);
+        tbody.innerHTML = '';
+
+        let rows = Object.entries(groups);
+        if (sortByCost) {
+            rows = rows.sort(([, a], [, b]) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+        }
+        if (rows.length === 0) {
+            rows = [['No usage yet', null]];
+        }
+
+        for (const [label, totals] of rows) {
+            const tr = document.createElement('tr');
+            const cells = totals
+                ? [label, totals.requests, this.formatTokens(totals.totalTokens),
+                    totals.avgLatencyMs != null ? `${(totals.avgLatencyMs / 1000).toFixed(1)}s` : '-',
+                    this.formatCost(totals.cost)]
+                : [label, '', '', '', ''];
+            for (const value of cells) {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+    }
+
+    async clearUsage() {
+        if (!confirm('Delete all recorded API usage?')) return;
+        await this.usageTracker.clear();
+        await this.renderUsageDashboard();
+        await this.updateUsageInfo();
+    }
+
+    formatTokens(count) {
+        if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+        if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+        return String(count);
+    }
+
+    formatCost(usd) {
+        return usd > 0 && usd < 0.01 ? '<$0.01' : `$${usd.toFixed(2)}`;
     }
 
     closeSettings() {
@@ -1509,8 +2457,40 @@ class ChineseTranslatorApp {
     }
 
     saveSettings() {
+        let geminiModels;
+        try {
+            geminiModels = this.parseModelLadderOverrides(document.getElementById('modelLadderInput').value);
+        } catch (error) {
+            this.showError('Invalid model ladder: ' + error.message);
+            return;
+        }
+
+        try {
+            this.savePromptDrafts();
+        } catch (error) {
+            this.showError('Invalid prompt - ' + error.message);
+            return;
+        }
+
         const targetLanguage = document.getElementById('targetLanguage').value;
         this.settings.targetLanguage = targetLanguage;
+        this.applyTargetLanguage();
+        this.settings.translationStyle = document.getElementById('translationStyle').value;
+        this.settings.chineseScript = document.getElementById('chineseScript').value;
+        this.settings.chineseVariety = document.getElementById('chineseVariety').value;
+        this.settings.verifyTranslations = document.getElementById('verifyTranslations').value === 'on';
+        this.settings.selectionLayout = document.getElementById('selectionLayout').value === 'on';
+        this.settings.romanization = document.getElementById('romanization').value;
+        this.settings.toneSandhi = document.getElementById('toneSandhi').value === 'on';
+        this.translationService.setTranslationStyle(this.getTranslationStyle());
+        this.aiAssistantService.setTranslationStyle(this.getTranslationStyle());
+        this.applyRomanization();
+
+        if (JSON.stringify(geminiModels) !== JSON.stringify(this.settings.geminiModels)) {
+            this.settings.geminiModels = geminiModels;
+            this.translationService.setGeminiModels(this.getGeminiModels());
+            this.aiAssistantService.setGeminiModels(this.getGeminiModels());
+        }
 
         // Save to localStorage (only language preference)
         localStorage.setItem('chineseTranslator_settings', JSON.stringify(this.settings));
@@ -1534,12 +2514,106 @@ class ChineseTranslatorApp {
                 if (parsed.targetLanguage) {
                     this.settings.targetLanguage = parsed.targetLanguage;
                 }
+                if (Object.hasOwn(TRANSLATION_STYLES, parsed.translationStyle)) {
+                    this.settings.translationStyle = parsed.translationStyle;
+                }
+                if (Object.hasOwn(CHINESE_SCRIPTS, parsed.chineseScript)) {
+                    this.settings.chineseScript = parsed.chineseScript;
+                }
+                if (Object.hasOwn(CHINESE_VARIETIES, parsed.chineseVariety)) {
+                    this.settings.chineseVariety = parsed.chineseVariety;
+                }
+                if (typeof parsed.verifyTranslations === 'boolean') {
+                    this.settings.verifyTranslations = parsed.verifyTranslations;
+                }
+                if (typeof parsed.selectionLayout === 'boolean') {
+                    this.settings.selectionLayout = parsed.selectionLayout;
+                }
+                if (Object.hasOwn(ROMANIZATIONS, parsed.romanization)) {
+                    this.settings.romanization = parsed.romanization;
+                }
+                if (typeof parsed.toneSandhi === 'boolean') {
+                    this.settings.toneSandhi = parsed.toneSandhi;
+                }
+                if (parsed.geminiModels) {
+                    try {
+                        validateGeminiModels(parsed.geminiModels);
+                        this.settings.geminiModels = parsed.geminiModels;
+                    } catch (error) {
+                        console.warn('Ignoring saved model ladder:', error.message);
+                    }
+                }
             } catch (error) {
                 console.error('Failed to load settings:', error);
             }
         }
     }
 
+    getTranslationStyle() {
+        return { style: this.settings.translationStyle, script: this.settings.chineseScript, variety: this.settings.chineseVariety };
+    }
+
+    /**
+     * How pronunciations are shown: the chosen romanization, or Jyutping
+     * as the provider sent it when the source is Cantonese
+     */
+    getRomanization() {
+        return this.settings.chineseVariety === 'cantonese' ? 'jyutping' : this.settings.romanization;
+    }
+
+    /**
+     * Show the translation modal's pinyin in the chosen romanization
+     * @param {string} pinyin - As the provider sent it
+     * @param {string|null} chinese - The text it is for (needed for tone sandhi)
+     */
+    showPinyinText(pinyin, chinese = null) {
+        this.currentPinyin = { pinyin: pinyin || '', chinese };
+        document.getElementById('pinyinText').textContent = formatPinyin(this.currentPinyin.pinyin, this.getRomanization(), {
+            sandhi: this.settings.toneSandhi,
+            chinese
+        });
+    }
+
+    /**
+     * Re-render pinyin on screen after the romanization settings changed
+     */
+    applyRomanization() {
+        this.wordHighlighter.setRomanization(this.getRomanization(), { sandhi: this.settings.toneSandhi });
+        if (this.wordHighlighter.wordPairs.length > 0) {
+            this.wordHighlighter.render();
+        }
+        if (this.currentPinyin.pinyin) {
+            this.showPinyinText(this.currentPinyin.pinyin, this.currentPinyin.chinese);
+        }
+    }
+
+    /**
+     * The model ladder in use: config defaults with the user's overrides on top
+     */
+    getGeminiModels() {
+        return { ...config.GEMINI_MODELS, ...(this.settings.geminiModels || {}) };
+    }
+
+    /**
+     * Turn the Settings JSON into overrides - only the operations that
+     * differ from config, so later changes to the defaults still apply
+     * @returns {object|null} null when everything matches the defaults
+     */
+    parseModelLadderOverrides(text) {
+        if (!text.trim()) return null;
+
+        const models = JSON.parse(text);
+        validateGeminiModels(models);
+
+        const overrides = {};
+        for (const [operation, ladder] of Object.entries(models)) {
+            if (JSON.stringify(ladder) !== JSON.stringify(config.GEMINI_MODELS[operation])) {
+                overrides[operation] = ladder;
+            }
+        }
+        return Object.keys(overrides).length > 0 ? overrides : null;
+    }
+
     resetApp() {
         // Reset PDF viewer
         this.pdfViewer.reset();
@@ -1557,6 +2631,8 @@ class ChineseTranslatorApp {
         }
         document.getElementById('uploadedImage').src = '';
         this.hideImageStickyNote();
+        this.pdfLayout.clear();
+        this.imageLayout.clear();
 
         // Reset file inputs
         document.getElementById('pdfInput').value = '';
@@ -1571,6 +2647,7 @@ class ChineseTranslatorApp {
                 this.liveTranslateDebounceTimer = null;
             }
             if (this.selectionBox) {
+                this.selectionBox.onMoveStart = null;
                 this.selectionBox.onMoveEnd = null;
             }
             const liveBtn = document.getElementById('liveTranslateModeBtn');
@@ -1596,6 +2673,60 @@ class ChineseTranslatorApp {
         alert('⚠️ ' + message);
     }
 
+    /**
+     * Turns a provider error into something the user can act on
+     * @returns {{ message: string, canRetry: boolean, retryAfter: number|null }}
+     */
+    describeProviderError(error) {
+        if (error instanceof RateLimitedError) {
+            const wait = error.retryAfter ? ` Try again in ${Math.ceil(error.retryAfter)}s.` : ' Try again in a moment.';
+            return { message: 'The translation service is busy.' + wait, canRetry: true, retryAfter: error.retryAfter };
+        }
+        if (error instanceof AuthError) {
+            // The key comes from config (.env), not Settings - see loadSettings()
+            return { message: 'The configured API key is missing or was rejected. Check the provider\'s key in .env and reload the app.', canRetry: false, retryAfter: null };
+        }
+        if (error instanceof SafetyBlockedError) {
+            const reasons = error.categories
+                .map(c => c.replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase())
+                .join(', ');
+            return {
+                message: `The model declined to translate this${reasons ? ` (${reasons})` : ''}. Try a different selection.`,
+                canRetry: false,
+                retryAfter: null
+            };
+        }
+        if (error instanceof TimeoutError) {
+            return { message: 'The translation took too long. Try a smaller selection.', canRetry: true, retryAfter: null };
+        }
+        if (error instanceof NetworkError) {
+            return { message: 'Could not reach the translation service. Check your connection.', canRetry: true, retryAfter: null };
+        }
+        if (error instanceof InvalidResponseError) {
+            return { message: 'The model sent an answer we could not read.', canRetry: true, retryAfter: null };
+        }
+        return { message: 'Translation failed: ' + error.message, canRetry: true, retryAfter: null };
+    }
+
+    /**
+     * Shows a provider error and offers a retry when one can help
+     * (after the server's wait time, if it gave one).
+     * @param {Error} error
+     * @param {Function|null} retry - Re-runs the failed request
+     */
+    handleProviderError(error, retry = null) {
+        const { message, canRetry, retryAfter } = this.describeProviderError(error);
+
+        if (retry && canRetry) {
+            if (confirm(`⚠️ ${message}\n\nRetry?`)) {
+                setTimeout(retry, (retryAfter || 0) * 1000);
+            }
+            return;
+        }
+
+        this.showError(message);
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // TRANSLATION BOT METHODS
     // ═══════════════════════════════════════════════════════════════
@@ -1651,6 +2782,9 @@ class ChineseTranslatorApp {
 
     closeTranslatorBot() {
         document.getElementById('translatorBotModal').style.display = 'none';
+        // A confidence check still running would only badge a hidden dialog
+        if (this.requestControllers.has('botVerify')) this.showConfidence('bot', undefined);
+        this.abortRequests('bot', 'botVerify');
     }
 
     swapBotLanguages() {
@@ -1678,47 +2812,56 @@ class ChineseTranslatorApp {
             return;
         }
 
-        if (!this.settings.apiKey) {
+        if (!this.translationService.isConfigured()) {
             this.showError('Please configure your Gemini API key in settings first');
             return;
         }
 
-        // Check credits
-        const creditResult = await this.creditService.useCredit();
-        if (!creditResult.success) {
-            if (creditResult.promptLogin) {
-                this.showGuestNoCreditsModal();
-            } else {
-                document.getElementById('noCreditsModal').style.display = 'flex';
-            }
+        // Check credits (repeated translations come from the cache for free)
+        const cached = await this.translationService.isCached('translateText', inputText, targetLang, sourceLang);
+        if (!cached && !(await this.useCreditOrPrompt())) {
             return;
         }
-        document.getElementById('creditCount').textContent = creditResult.remainingCredits;
 
         // Show output section and prepare for streaming
         outputSection.style.display = 'block';
         outputText.textContent = '';
+        this.setTextLanguage(outputText, targetLang);
+        document.getElementById('botGlossaryWarning').style.display = 'none';
+        this.abortRequests('botVerify');
+        document.getElementById('botConfidence').style.display = 'none';
         outputText.classList.add('streaming');
         translateBtn.disabled = true;
         translateBtn.textContent = '⏳ Translating...';
+        const signal = this.beginRequest('bot');
 
         try {
             // Use streaming translation
-            await this.translationService.translateText(
+            const translation = await this.translationService.translateText(
                 inputText,
                 sourceLang,
                 targetLang,
                 (streamedText) => {
                     outputText.textContent = streamedText;
-                }
+                },
+                { signal }
             );
 
             outputText.classList.remove('streaming');
+            this.showGlossaryWarning('botGlossaryWarning', inputText, translation);
+
+            // Only Chinese sources can be checked by translating back into Chinese
+            const fromChinese = sourceLang === 'chinese' || (sourceLang === 'auto' && /\p{Script=Han}/u.test(inputText));
+            if (fromChinese && targetLang !== 'chinese') {
+                this.runConfidenceCheck(inputText, translation, 'bot');
+            }
         } catch (error) {
-            console.error('[TranslatorBot] Translation failed:', error);
-            outputText.textContent = 'Translation failed: ' + error.message;
             outputText.classList.remove('streaming');
+            if (isAbortError(error)) return;
+            console.error('[TranslatorBot] Translation failed:', error);
+            outputText.textContent = this.describeProviderError(error).message;
         } finally {
+            this.endRequest('bot', signal);
             translateBtn.disabled = false;
             translateBtn.textContent = '🚀 Translate';
         }
@@ -1783,6 +2926,7 @@ class ChineseTranslatorApp {
 
     closeAIAssistant() {
         document.getElementById('aiAssistantModal').style.display = 'none';
+        this.abortRequests('assistant');
     }
 
     async handleAISend() {
@@ -1791,6 +2935,12 @@ class ChineseTranslatorApp {
 
         if (!question) return;
 
+        const feature = this.capturedImageForAsk ? 'askWithImage' : 'ask';
+        if (!this.aiAssistantService.supports(feature)) {
+            this.showError(`Questions are not available with ${this.aiAssistantService.translationService.getProviderName()}`);
+            return;
+        }
+
         // Clear input
         inputEl.value = '';
 
@@ -1811,6 +2961,7 @@ class ChineseTranslatorApp {
 
         // Add assistant message placeholder for streaming
         const assistantMsgEl = this.addAIChatMessage('assistant', '', true);
+        const signal = this.beginRequest('assistant');
 
         try {
             let response;
@@ -1828,7 +2979,8 @@ class ChineseTranslatorApp {
                     (streamedText) => {
                         assistantMsgEl.querySelector('.ai-message-content').textContent = streamedText;
                         this.scrollAIChat();
-                    }
+                    },
+                    { signal }
                 );
             } else {
                 response = await this.aiAssistantService.askQuestion(
@@ -1837,16 +2989,23 @@ class ChineseTranslatorApp {
                     (streamedText) => {
                         assistantMsgEl.querySelector('.ai-message-content').textContent = streamedText;
                         this.scrollAIChat();
-                    }
+                    },
+                    { signal }
                 );
             }
 
             // Remove streaming class
             assistantMsgEl.classList.remove('streaming');
         } catch (error) {
+            if (isAbortError(error)) {
+                this.markAIMessageStopped(assistantMsgEl);
+                return;
+            }
             console.error('[AI Assistant] Error:', error);
-            assistantMsgEl.querySelector('.ai-message-content').textContent = 'Sorry, an error occurred: ' + error.message;
+            assistantMsgEl.querySelector('.ai-message-content').textContent = 'Sorry, an error occurred. ' + this.describeProviderError(error).message;
             assistantMsgEl.classList.remove('streaming');
+        } finally {
+            this.endRequest('assistant', signal);
         }
     }
 
@@ -1891,6 +3050,7 @@ class ChineseTranslatorApp {
 
         // Add assistant message placeholder for streaming
         const assistantMsgEl = this.addAIChatMessage('assistant', '', true);
+        const signal = this.beginRequest('assistant');
 
         try {
             let response;
@@ -1901,7 +3061,8 @@ class ChineseTranslatorApp {
                     (streamedText) => {
                         assistantMsgEl.querySelector('.ai-message-content').textContent = streamedText;
                         this.scrollAIChat();
-                    }
+                    },
+                    { signal }
                 );
             } else if (action === 'grammar') {
                 response = await this.aiAssistantService.analyzeGrammar(
@@ -1910,14 +3071,16 @@ class ChineseTranslatorApp {
                     (streamedText) => {
                         assistantMsgEl.querySelector('.ai-message-content').textContent = streamedText;
                         this.scrollAIChat();
-                    }
+                    },
+                    { signal }
                 );
             } else if (action === 'practice') {
                 // Practice doesn't support streaming
                 response = await this.aiAssistantService.generatePractice(
                     inputText,
                     'beginner',
-                    this.settings.targetLanguage
+                    this.settings.targetLanguage,
+                    { signal }
                 );
                 assistantMsgEl.querySelector('.ai-message-content').textContent = response;
                 this.scrollAIChat();
@@ -1926,12 +3089,27 @@ class ChineseTranslatorApp {
             // Remove streaming class
             assistantMsgEl.classList.remove('streaming');
         } catch (error) {
+            if (isAbortError(error)) {
+                this.markAIMessageStopped(assistantMsgEl);
+                return;
+            }
             console.error('[AI Assistant] Quick action error:', error);
-            assistantMsgEl.querySelector('.ai-message-content').textContent = 'Sorry, an error occurred: ' + error.message;
+            assistantMsgEl.querySelector('.ai-message-content').textContent = 'Sorry, an error occurred. ' + this.describeProviderError(error).message;
             assistantMsgEl.classList.remove('streaming');
+        } finally {
+            this.endRequest('assistant', signal);
         }
     }
 
+    /**
+     * Keep whatever streamed in before the assistant was closed
+     */
+    markAIMessageStopped(messageEl) {
+        const contentEl = messageEl.querySelector('.ai-message-content');
+        contentEl.textContent = contentEl.textContent ? `${contentEl.textContent} …(stopped)` : '(Stopped)';
+        messageEl.classList.remove('streaming');
+    }
+
     addAIChatMessage(role, content, isStreaming = false) {
         const chatContainer = document.getElementById('aiChatMessages');
 
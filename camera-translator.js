@@ -2,6 +2,7 @@
 // Real-time camera feed with live translation overlay
 
 import { TranslationService } from './translation-service.js';
+import { isAbortError } from './providers/errors.js';
 
 export class CameraTranslator {
     constructor(translationService) {
@@ -14,6 +15,7 @@ export class CameraTranslator {
         this.overlayCtx = null;
         this.isActive = false;
         this.isTranslating = false;
+        this.abortController = null; // Cancels the in-flight frame translation
         this.lastTranslation = '';
         this.translationInterval = null;
         this.targetLanguage = 'english';
@@ -89,6 +91,12 @@ export class CameraTranslator {
             this.translationInterval = null;
         }
 
+        // Cancel the frame that's still being translated
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
         // Stop all video tracks
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
@@ -130,6 +138,8 @@ export class CameraTranslator {
         if (!this.isActive || this.isTranslating) return;
 
         this.isTranslating = true;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
         this.showLoadingOverlay();
 
         try {
@@ -143,7 +153,9 @@ export class CameraTranslator {
             // Translate using Gemini Vision
             const result = await this.translationService.translate(
                 { mimeType: 'image/jpeg', data: base64Data },
-                this.targetLanguage
+                this.targetLanguage,
+                null,
+                { signal, hedge: true, priority: 'live' } // Live: race a second provider if the first is slow
             );
 
             if (result && result.trim()) {
@@ -153,10 +165,14 @@ export class CameraTranslator {
                 this.showTranslationOverlay('(No Chinese text detected)');
             }
         } catch (error) {
+            if (isAbortError(error)) return; // Camera stopped
             console.error('Translation error:', error);
             this.showTranslationOverlay('Translation failed - retrying...');
         } finally {
             this.isTranslating = false;
+            if (this.abortController?.signal === signal) {
+                this.abortController = null;
+            }
         }
     }
 
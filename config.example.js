@@ -2,5 +2,5 @@
 // Copy this file to config.js and add your actual API key
 export const config = {
     GEMINI_API_KEY: 'YOUR_GEMINI_API_KEY_HERE',
-    DEFAULT_LANGUAGE: 'english' // 'english' or 'thai'
+    DEFAULT_LANGUAGE: 'english' // Any code from providers/languages.js
 };
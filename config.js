@@ -6,5 +6,112 @@ export const config = {
     GEMINI_API_KEY: import.meta.env.VITE_GEMINI_API_KEY || '',
 
     // Default target language
-    DEFAULT_LANGUAGE: 'english'
+    DEFAULT_LANGUAGE: 'english',
+
+    // Local cache of translation results (IndexedDB), evicted least-recently-used
+    TRANSLATION_CACHE: {
+        maxEntries: 500,
+        maxBytes: 20 * 1024 * 1024
+    },
+
+    // Token usage log for the usage dashboard (Settings → API Usage)
+    USAGE_TRACKING: {
+        retentionDays: 90
+    },
+
+    // USD per 1M tokens, used to estimate cost in the usage dashboard.
+    // Check https://ai.google.dev/pricing when prices or models change.
+    USAGE_PRICING: {
+        'gemini-3-flash-preview': { input: 0.50, output: 3.00 },
+        'gemini-3-pro-preview': { input: 2.00, output: 12.00 },
+        'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.30 }
+    },
+
+    // Failover between providers (VITE_TRANSLATION_PROVIDER=chain, see provider-chain.js)
+    PROVIDER_CHAIN: {
+        failureThreshold: 3,    // Failures in a row before a provider is skipped
+        cooldownMs: 30000,      // How long it is skipped
+        windowSize: 20,         // Recent calls used for error rate / latency
+        hedgeDelayMs: 1500      // Live translation: ask the next provider after this long
+    },
+
+    // translateBatch(): regions per provider request, and requests (or
+    // single translations, for providers that can't batch) in flight
+    BATCH_TRANSLATION: {
+        maxRegionsPerRequest: 8,
+        concurrency: 3
+    },
+
+    // One queue for every provider call (see request-scheduler.js): calls in
+    // flight overall and per priority, and the pause after a 429 without Retry-After
+    REQUEST_SCHEDULER: {
+        maxConcurrent: 4,
+        limits: { user: 4, live: 2, background: 1 },
+        cooldownMs: 5000
+    },
+
+    // Confidence check (Settings → Confidence Check): how much the character
+    // overlap counts next to the model's judgement, and the badge levels
+    TRANSLATION_VERIFICATION: {
+        overlapWeight: 0.4,
+        highConfidence: 0.85,   // At or above: green badge
+        lowConfidence: 0.6      // Below: red badge, worth checking by hand
+    },
+
+    // Offline CC-CEDICT word pairs (providers/dictionary-provider.js): where the
+    // files are served (CC-Canto adds Jyutping), and their version - bump it
+    // after replacing a file so browsers import them again
+    OFFLINE_DICTIONARY: {
+        url: '/dictionary/cedict_ts.u8',
+        jyutpingUrl: '/dictionary/cccanto_readings.u8',
+        version: '2026-10-frequency'
+    },
+
+    // Gemini models per operation, tried in order until one succeeds.
+    // Each step: { model, timeout (ms, null = none), temperature, responseMimeType }
+    // When a model is retired, change it here (or override it in Settings).
+    GEMINI_MODELS: {
+        translate: [
+            { model: 'gemini-3-flash-preview', timeout: 45000, temperature: 0.1 },
+            { model: 'gemini-2.5-flash', timeout: 45000, temperature: 0.1 },
+            { model: 'gemini-3-pro-preview', timeout: 45000, temperature: 0.1 },
+            { model: 'gemini-1.5-flash', timeout: null, temperature: 0.1 } // Reliable fallback
+        ],
+        translateBatch: [
+            { model: 'gemini-3-flash-preview', timeout: 90000, temperature: 0.1, responseMimeType: 'application/json' },
+            { model: 'gemini-2.5-flash', timeout: null, temperature: 0.1, responseMimeType: 'application/json' }
+        ],
+        layout: [
+            { model: 'gemini-3-flash-preview', timeout: 90000, temperature: 0.1, responseMimeType: 'application/json' },
+            { model: 'gemini-2.5-flash', timeout: null, temperature: 0.1, responseMimeType: 'application/json' }
+        ],
+        wordPairs: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.1, responseMimeType: 'application/json' }
+        ],
+        translateText: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.3 }
+        ],
+        exampleSentences: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.7 }
+        ],
+        verify: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0, responseMimeType: 'application/json' }
+        ],
+        explain: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.5 }
+        ],
+        grammar: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.3 }
+        ],
+        ask: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.6 }
+        ],
+        askWithImage: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.6 }
+        ],
+        practice: [
+            { model: 'gemini-3-flash-preview', timeout: null, temperature: 0.7 }
+        ]
+    }
 };
@@ -0,0 +1,241 @@
+// Glossary Service
+// User and per-document term lists that every translation must follow
+//
+// An entry maps a Chinese term to its required translation:
+//   { term: '伺服电机', translation: 'servo motor', notes: 'never "servo engine"' }
+//
+// User terms apply to every document; document terms (keyed by file name,
+// which survives reloads unlike tab ids) add to them and win on conflicts.
+// Stored in localStorage per signed-in user (or 'guest').
+
+const STORAGE_PREFIX = 'chineseTranslator_glossary_';
+
+// Vision prompts can't be filtered by the source text, so cap what we send
+const MAX_PROMPT_ENTRIES = 200;
+
+export class GlossaryService {
+    constructor() {
+        this.userId = 'guest';
+        this.data = this.load();
+    }
+
+    /**
+     * Switch to another user's glossary (call on login/logout)
+     * @param {string|null} userId - null for guests
+     */
+    setUser(userId) {
+        this.userId = userId || 'guest';
+        this.data = this.load();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // LOOKUP
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * All entries that apply to a document (user terms + document terms)
+     * @param {string|null} documentName
+     * @returns {Array<{term, translation, notes, scope}>}
+     */
+    getEntries(documentName = null) {
+        const merged = new Map();
+        for (const entry of this.data.terms) {
+            merged.set(entry.term, { ...entry, scope: 'user' });
+        }
+        for (const entry of (documentName && this.data.documents[documentName]) || []) {
+            merged.set(entry.term, { ...entry, scope: 'document' });
+        }
+        return [...merged.values()];
+    }
+
+    /**
+     * The entry for one term, if any (document entry first)
+     */
+    getEntry(term, documentName = null) {
+        return this.getEntries(documentName).find(entry => entry.term === term) || null;
+    }
+
+    /**
+     * Entries to send with a prompt
+     * @param {string|null} sourceText - Text being translated; null for images
+     *   (then every entry is sent, longest terms first, up to a cap)
+     */
+    getEntriesForPrompt(sourceText, documentName = null) {
+        const entries = this.getEntries(documentName);
+        if (typeof sourceText === 'string') {
+            return entries.filter(entry => sourceText.includes(entry.term));
+        }
+        return entries
+            .sort((a, b) => b.term.length - a.term.length)
+            .slice(0, MAX_PROMPT_ENTRIES);
+    }
+
+    /**
+     * Finds glossary terms in the source whose required translation is
+     * missing from the output
+     * @returns {Array<{term, translation, notes}>} The ignored entries
+     */
+    checkTranslation(sourceText, translatedText, documentName = null) {
+        if (!sourceText || !translatedText) return [];
+
+        const output = normalize(translatedText);
+        return this.getEntries(documentName).filter(entry =>
+            sourceText.includes(entry.term) && !output.includes(normalize(entry.translation)));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EDITING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Add or replace an entry
+     * @param {object} entry - { term, translation, notes }
+     * @param {string|null} documentName - null for a user-wide term
+     */
+    setEntry({ term, translation, notes = '' }, documentName = null) {
+        term = (term || '').trim();
+        translation = (translation || '').trim();
+        if (!term || !translation) {
+            throw new Error('A glossary entry needs a term and a translation');
+        }
+
+        const list = this.getList(documentName, true);
+        const existing = list.findIndex(entry => entry.term === term);
+        const entry = { term, translation, notes: (notes || '').trim() };
+
+        if (existing >= 0) {
+            list[existing] = entry;
+        } else {
+            list.push(entry);
+        }
+        this.save();
+    }
+
+    /**
+     * @param {string|null} documentName - null for the user-wide list
+     */
+    removeEntry(term, documentName = null) {
+        const list = this.getList(documentName);
+        const index = list.findIndex(entry => entry.term === term);
+        if (index < 0) return;
+
+        list.splice(index, 1);
+        if (documentName && list.length === 0) {
+            delete this.data.documents[documentName];
+        }
+        this.save();
+    }
+
+    /**
+     * Import entries from CSV or TSV text: term, translation[, notes].
+     * The delimiter is detected from the first line; a header row
+     * (e.g. "term,translation,notes") is skipped.
+     * @returns {{ imported: number, skipped: number }}
+     */
+    importText(text, documentName = null) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) return { imported: 0, skipped: 0 };
+
+        const delimiter = lines[0].includes('\t') ? '\t' : ',';
+        const rows = lines.map(line => delimiter === '\t' ? line.split('\t') : parseCsvLine(line));
+        if (/^(term|chinese|source|中文)$/i.test(rows[0][0]?.trim())) {
+            rows.shift();
+        }
+
+        let imported = 0;
+        let skipped = 0;
+        const list = this.getList(documentName, true);
+
+        for (const [term = '', translation = '', notes = ''] of rows) {
+            if (!term.trim() || !translation.trim()) {
+                skipped++;
+                continue;
+            }
+            const entry = { term: term.trim(), translation: translation.trim(), notes: notes.trim() };
+            const existing = list.findIndex(e => e.term === entry.term);
+            if (existing >= 0) {
+                list[existing] = entry;
+            } else {
+                list.push(entry);
+            }
+            imported++;
+        }
+
+        this.save();
+        return { imported, skipped };
+    }
+
+    /**
+     * @returns {{ user: number, document: number }} Entry counts
+     */
+    getStats(documentName = null) {
+        return {
+            user: this.data.terms.length,
+            document: (documentName && this.data.documents[documentName]?.length) || 0
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // STORAGE
+    // ═══════════════════════════════════════════════════════════════
+
+    getList(documentName, create = false) {
+        if (!documentName) return this.data.terms;
+        if (create && !this.data.documents[documentName]) {
+            this.data.documents[documentName] = [];
+        }
+        return this.data.documents[documentName] || [];
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + this.userId));
+            if (saved && Array.isArray(saved.terms)) {
+                return { terms: saved.terms, documents: saved.documents || {} };
+            }
+        } catch (error) {
+            console.error('Failed to load glossary:', error);
+        }
+        return { terms: [], documents: {} };
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_PREFIX + this.userId, JSON.stringify(this.data));
+    }
+}
+
+function normalize(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Splits one CSV line, honouring "quoted, fields" and "" escapes
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
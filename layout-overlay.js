@@ -0,0 +1,162 @@
+// Layout Overlay Module
+// Draws translated text blocks over the PDF canvas or uploaded image,
+// each at the position of the original text (see translateLayout)
+
+export class LayoutOverlay {
+    /**
+     * @param {HTMLElement} containerElement - The positioned viewer container
+     * @param {HTMLElement} targetElement - The canvas or image the blocks belong to
+     */
+    constructor(containerElement, targetElement) {
+        this.container = containerElement;
+        this.target = targetElement;
+        this.blocks = [];
+
+        this.layer = document.createElement('div');
+        this.layer.className = 'layout-layer';
+        this.layer.style.display = 'none';
+        this.container.appendChild(this.layer);
+
+        // Keep the blocks on the text when the canvas is re-rendered or the window resized
+        this.resizeObserver = new ResizeObserver(() => this.sync());
+        this.resizeObserver.observe(this.target);
+    }
+
+    /**
+     * Convert blocks from a region's coordinates to the whole page's
+     * @param {Array} blocks - Blocks with boxes relative to the region
+     * @param {object} region - { x, y, width, height } as fractions of the page
+     */
+    static toPageBlocks(blocks, region) {
+        return blocks.map(block => {
+            const [x0, y0, x1, y1] = block.box;
+            return {
+                ...block,
+                box: [
+                    region.x + x0 * region.width,
+                    region.y + y0 * region.height,
+                    region.x + x1 * region.width,
+                    region.y + y1 * region.height
+                ]
+            };
+        });
+    }
+
+    /**
+     * Show a loading veil over part of the page while blocks are requested
+     * @param {object} region - { x, y, width, height } as fractions, or null for the whole page
+     */
+    showLoading(region = null, text = 'Translating...') {
+        this.clear();
+        const { x = 0, y = 0, width = 1, height = 1 } = region || {};
+
+        const veil = document.createElement('div');
+        veil.className = 'layout-loading';
+        this._place(veil, [x, y, x + width, y + height]);
+        veil.innerHTML = `<span class="loading-spinner-small"></span><span></span>`;
+        veil.lastElementChild.textContent = text;
+
+        this.layer.appendChild(veil);
+        this.layer.style.display = 'block';
+        this.sync();
+    }
+
+    /**
+     * Draw blocks over the page. Tapping a block shows its original text.
+     * @param {Array} blocks - [{ order, box: [x0, y0, x1, y1], originalText, translation }]
+     * @param {object} language - { tts, dir } of the translation (languages.js)
+     */
+    show(blocks, language = null) {
+        this.clear();
+        this.blocks = [...blocks];
+
+        for (const block of blocks) {
+            const element = document.createElement('div');
+            element.className = 'layout-block';
+            element.textContent = block.translation;
+            element.title = block.originalText;
+            element.dataset.order = block.order;
+            if (language) {
+                element.lang = language.tts;
+                element.dir = language.dir;
+            }
+            this._place(element, block.box);
+
+            element.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const showOriginal = !element.classList.contains('showing-original');
+                element.classList.toggle('showing-original', showOriginal);
+                element.textContent = showOriginal ? block.originalText : block.translation;
+                if (language) {
+                    element.lang = showOriginal ? 'zh' : language.tts;
+                    element.dir = showOriginal ? 'ltr' : language.dir;
+                }
+                this._fitText(element);
+            });
+
+            this.layer.appendChild(element);
+        }
+
+        this.layer.style.display = 'block';
+        this.sync();
+    }
+
+    /**
+     * Remove every block (e.g. when the page changes)
+     */
+    clear() {
+        this.blocks = [];
+        this.layer.innerHTML = '';
+        this.layer.style.display = 'none';
+    }
+
+    hasBlocks() {
+        return this.blocks.length > 0;
+    }
+
+    /**
+     * Original text and translation of every block, in reading order
+     */
+    getText() {
+        return {
+            originalText: this.blocks.map(block => block.originalText).filter(Boolean).join('\n'),
+            translation: this.blocks.map(block => block.translation).join('\n')
+        };
+    }
+
+    /**
+     * Line the layer up with the target element
+     */
+    sync() {
+        if (this.layer.style.display === 'none') return;
+
+        // offsetLeft/Top are relative to the container, so the layer scrolls with the target
+        this.layer.style.left = `${this.target.offsetLeft}px`;
+        this.layer.style.top = `${this.target.offsetTop}px`;
+        this.layer.style.width = `${this.target.offsetWidth}px`;
+        this.layer.style.height = `${this.target.offsetHeight}px`;
+
+        this.layer.querySelectorAll('.layout-block').forEach(element => this._fitText(element));
+    }
+
+    // Boxes are fractions, so the blocks follow the layer when it resizes
+    _place(element, [x0, y0, x1, y1]) {
+        element.style.left = `${x0 * 100}%`;
+        element.style.top = `${y0 * 100}%`;
+        element.style.width = `${(x1 - x0) * 100}%`;
+        element.style.height = `${(y1 - y0) * 100}%`;
+    }
+
+    // Shrink the font until the translation fits its box (translations often run longer)
+    _fitText(element) {
+        const maxSize = 16;
+        const minSize = 8;
+        let size = Math.max(minSize, Math.min(maxSize, element.clientHeight * 0.8));
+        element.style.fontSize = `${size}px`;
+
+        while (size > minSize && element.scrollHeight > element.clientHeight) {
+            size -= 1;
+            element.style.fontSize = `${size}px`;
+        }
+    }
+}
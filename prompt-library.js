@@ -0,0 +1,124 @@
+// Prompt Library
+// The user's edits of the built-in prompt templates (Settings → Prompts)
+//
+// A template can be edited for all languages and, on top of that, for one
+// target language (e.g. a Thai class gets its own explain prompt):
+//   { explain: { '*': { template, baseVersion }, thai: { template, baseVersion } } }
+// baseVersion is the built-in template's version when the edit was made;
+// when the built-in text moves on, the edit is flagged as outdated.
+// Stored in localStorage for this browser.
+
+import { PROMPT_TEMPLATES, PROMPT_LIBRARY_VERSION, checkTemplate } from './providers/prompt-templates.js';
+
+const STORAGE_KEY = 'chineseTranslator_prompts';
+
+// Key of the edit that applies to every language
+export const ALL_LANGUAGES = '*';
+
+export class PromptLibrary {
+    constructor() {
+        this.prompts = this.load();
+    }
+
+    /**
+     * Edited templates that apply to a target language
+     * @param {string} language - Target language code
+     * @param {string[]|null} ids - Only these templates (null = all)
+     * @returns {object|null} { id: template }, null when none is edited
+     */
+    getTemplates(language, ids = null) {
+        const templates = {};
+        for (const id of ids || Object.keys(this.prompts)) {
+            const edit = this.prompts[id]?.[language] || this.prompts[id]?.[ALL_LANGUAGES];
+            if (edit) templates[id] = edit.template;
+        }
+        return Object.keys(templates).length > 0 ? templates : null;
+    }
+
+    /**
+     * The template a language gets, and where it comes from
+     * @param {string} language - Target language code, or ALL_LANGUAGES
+     * @returns {{ template: string, source: 'language'|'all'|'default', outdated: boolean }}
+     */
+    resolve(id, language = ALL_LANGUAGES) {
+        const edits = this.prompts[id] || {};
+        const edit = (language !== ALL_LANGUAGES && edits[language]) || edits[ALL_LANGUAGES];
+        if (!edit) {
+            return { template: PROMPT_TEMPLATES[id].template, source: 'default', outdated: false };
+        }
+        return {
+            template: edit.template,
+            source: edit === edits[language] && language !== ALL_LANGUAGES ? 'language' : 'all',
+            outdated: edit.baseVersion < PROMPT_TEMPLATES[id].version
+        };
+    }
+
+    /**
+     * What a language falls back to without its own edit
+     */
+    getFallback(id, language = ALL_LANGUAGES) {
+        if (language === ALL_LANGUAGES) return PROMPT_TEMPLATES[id].template;
+        return this.resolve(id, ALL_LANGUAGES).template;
+    }
+
+    /**
+     * Save an edited template. Saving the text it would fall back to
+     * anyway removes the edit instead.
+     * @throws {Error} If the template has problems (see checkTemplate)
+     */
+    setTemplate(id, language, template) {
+        const problems = checkTemplate(id, template);
+        if (problems.length > 0) {
+            throw new Error(`${PROMPT_TEMPLATES[id]?.label || id}: ${problems.join('; ')}`);
+        }
+
+        if (template === this.getFallback(id, language)) {
+            this.resetTemplate(id, language);
+            return;
+        }
+        this.prompts[id] = {
+            ...this.prompts[id],
+            [language]: { template, baseVersion: PROMPT_TEMPLATES[id].version }
+        };
+        this.save();
+    }
+
+    /**
+     * Back to the fallback (the all-languages edit, or the built-in text)
+     */
+    resetTemplate(id, language = ALL_LANGUAGES) {
+        if (!this.prompts[id]?.[language]) return;
+        delete this.prompts[id][language];
+        if (Object.keys(this.prompts[id]).length === 0) {
+            delete this.prompts[id];
+        }
+        this.save();
+    }
+
+    /**
+     * Number of edited templates (for the Settings summary)
+     */
+    getEditCount() {
+        return Object.values(this.prompts).reduce((count, edits) => count + Object.keys(edits).length, 0);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved?.version === PROMPT_LIBRARY_VERSION && saved.prompts) {
+                // Drop edits of templates that no longer exist
+                return Object.fromEntries(Object.entries(saved.prompts).filter(([id]) => PROMPT_TEMPLATES[id]));
+            }
+            if (saved) {
+                console.warn(`[PromptLibrary] Ignoring saved prompts in format ${saved.version}`);
+            }
+        } catch (error) {
+            console.error('Failed to load prompts:', error);
+        }
+        return {};
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: PROMPT_LIBRARY_VERSION, prompts: this.prompts }));
+    }
+}
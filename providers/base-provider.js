@@ -14,9 +14,85 @@
  * 1. Create a new file (e.g., my-model-provider.js)
  * 2. Extend this BaseProvider class
  * 3. Implement the 3 required methods
- * 4. Update provider-factory.js to include your new provider
+ * 4. Override getCapabilities() to say what your model can do
+ * 5. Update provider-factory.js to include your new provider
+ *
+ * The helpers at the bottom (language names, JSON parsing) are shared
+ * by every provider so they all hand the app the same shapes. Language
+ * names and support lists come from languages.js.
+ *
+ * CANCELLATION: every method takes a trailing `options` object. Pass
+ * `options.signal` on to fetch()/your SDK and let the AbortError
+ * propagate (see errors.js) - don't retry or wrap it.
+ *
+ * USAGE: if your API reports token counts, pass them to
+ * `options.onUsage` via _reportUsage() once per successful call
+ * (TranslationService logs them for the usage dashboard).
+ *
+ * PROMPT OPTIONS: translate(), translateWithWordPairs() and
+ * translateText() may receive `options.glossary` ([{ term, translation,
+ * notes }] the user requires), `options.style` (translation register)
+ * and `options.script` (Simplified/Traditional for transcribed Chinese).
+ * Pass them to the prompt builders in prompts.js (or your API).
+ * translate(), translateWithWordPairs(), generateExampleSentences() and
+ * the assistant methods may also get `options.prompts` - the user's
+ * edited prompt templates (see prompt-templates.js) - for the builders.
  */
 
+import { InvalidResponseError, isAbortError } from './errors.js';
+import { parseWordPairs } from './word-pair-validator.js';
+import { buildWordPairsRepairPrompt } from './prompts.js';
+import { getPromptLanguageName } from './languages.js';
+
+/**
+ * Builds a full capability descriptor from a partial one.
+ * Anything not mentioned is reported as unsupported.
+ *
+ * @param {object} overrides - e.g. { vision: true, assistant: { explain: true } }
+ * @returns {object} Capability descriptor (see BaseProvider.getCapabilities)
+ */
+export function createCapabilities(overrides = {}) {
+    return {
+        streaming: false,
+        vision: false,
+        wordPairs: false,
+        exampleSentences: false,
+        textTranslation: false,
+        layout: false,
+        verification: false,
+        ...overrides,
+        assistant: {
+            explain: false,
+            grammar: false,
+            ask: false,
+            askWithImage: false,
+            practice: false,
+            ...(overrides.assistant || {})
+        },
+        languages: overrides.languages ? [...overrides.languages] : ['english']
+    };
+}
+
+/**
+ * Runs `fn` over every item with at most `limit` calls in flight.
+ * Resolves to the results in item order; rejects on the first error.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
 export class BaseProvider {
     constructor() {
         // Prevent direct instantiation of this abstract class
@@ -33,6 +109,58 @@ export class BaseProvider {
         throw new Error('Subclass must implement getName()');
     }
 
+    /**
+     * Identify the model behind this provider (used in cache keys, so
+     * switching models never returns another model's results)
+     * @param {string} operation - Optional, for providers that pick a model
+     *   per operation ('translate', 'wordPairs', 'translateText', ...)
+     * @returns {string} Model name, or '' if the provider has just one
+     */
+    getModelId(operation = 'translate') {
+        return '';
+    }
+
+    /**
+     * Whether the provider has what it needs to make requests (e.g. an
+     * API key), so the app can ask for settings instead of failing
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Optional: fetch what the provider needs before its first request
+     * (e.g. the custom model's GET /capabilities handshake), so
+     * getCapabilities() describes the real server. Requests work
+     * without it - they connect on demand.
+     * @param {object} options - { signal }
+     */
+    async connect(options = {}) {
+    }
+
+    /**
+     * Describe what this provider can do, so the app can hide features
+     * it can't serve instead of failing at runtime.
+     *
+     * @returns {object} Descriptor with structure:
+     *   {
+     *     streaming: true,          // onStreamUpdate receives partial text
+     *     vision: true,             // translate() accepts image input
+     *     wordPairs: true,          // translateWithWordPairs()
+     *     exampleSentences: true,   // generateExampleSentences()
+     *     textTranslation: true,    // translateText() (translation bot)
+     *     layout: true,             // translateLayout() (overlays on the page)
+     *     verification: true,       // judgeBackTranslation() (confidence check)
+     *     assistant: { explain, grammar, ask, askWithImage, practice },
+     *     languages: ['english', 'thai', ...]   // supported target languages
+     *                                            // (see getProviderLanguages in languages.js)
+     *   }
+     */
+    getCapabilities() {
+        return createCapabilities();
+    }
+
     /**
      * ═══════════════════════════════════════════════════════════
      * METHOD 1: Simple Translation
@@ -47,10 +175,11 @@ export class BaseProvider {
      * @param {function|null} onStreamUpdate - Optional callback for streaming
      *   - Called with (partialText) as translation streams in
      *   - Set to null if your model doesn't support streaming
+     * @param {object} options - { signal } AbortSignal to cancel the request
      * 
      * @returns {Promise<string>} The translated text
      */
-    async translate(input, targetLanguage = 'english', onStreamUpdate = null) {
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
         throw new Error('Subclass must implement translate()');
     }
 
@@ -62,6 +191,7 @@ export class BaseProvider {
      * 
      * @param {object} imageData - Image object { mimeType, data }
      * @param {string} targetLanguage - Target language
+     * @param {object} options - { signal } AbortSignal to cancel the request
      * 
      * @returns {Promise<object>} Object with structure:
      *   {
@@ -72,8 +202,10 @@ export class BaseProvider {
      *       { chinese: "世界", pinyin: "shì jiè", translation: "world" }
      *     ]
      *   }
+     *   With options.variety 'cantonese' the pinyin fields hold Jyutping
+     *   ("nei5 hou2").
      */
-    async translateWithWordPairs(imageData, targetLanguage = 'english') {
+    async translateWithWordPairs(imageData, targetLanguage = 'english', options = {}) {
         throw new Error('Subclass must implement translateWithWordPairs()');
     }
 
@@ -86,6 +218,7 @@ export class BaseProvider {
      * @param {string} chineseWord - The Chinese word to use
      * @param {string} pinyin - Optional pinyin pronunciation
      * @param {string} targetLanguage - Target language for translations
+     * @param {object} options - { signal } AbortSignal to cancel the request
      * 
      * @returns {Promise<Array>} Array of sentence objects:
      *   [
@@ -93,7 +226,224 @@ export class BaseProvider {
      *     { chinese: "今天我很忙", pinyin: "jīn tiān wǒ hěn máng", translation: "I'm busy today" }
      *   ]
      */
-    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english') {
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', options = {}) {
         throw new Error('Subclass must implement generateExampleSentences()');
     }
+
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * OPTIONAL: Batch Translation
+     * ═══════════════════════════════════════════════════════════
+     * Translates several regions (speech bubbles, paragraphs, ...).
+     * This default calls translate() once per region, at most
+     * `options.concurrency` at a time. Override it if your model can
+     * take several regions in one request (see GeminiProvider).
+     *
+     * @param {Array} regions - [{ id, input }], input as for translate()
+     * @param {string} targetLanguage - Target language
+     * @param {object} options - { signal, concurrency, maxRegionsPerRequest,
+     *   glossary, style, script }
+     *
+     * @returns {Promise<Array>} One result per region, in order:
+     *   { id, translation } or { id, error } if that region failed
+     */
+    async translateBatch(regions, targetLanguage = 'english', options = {}) {
+        const { concurrency = 3, maxRegionsPerRequest, ...translateOptions } = options;
+
+        return mapWithConcurrency(regions, concurrency, async ({ id, input }) => {
+            try {
+                return { id, translation: await this.translate(input, targetLanguage, null, translateOptions) };
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                return { id, error };
+            }
+        });
+    }
+
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * OPTIONAL: Layout-Aware Translation
+     * ═══════════════════════════════════════════════════════════
+     * Finds the text blocks on a page (or region) image and translates
+     * each one, so the app can draw the translations over the original.
+     * Report `layout: true` in getCapabilities() if you implement it;
+     * _parseLayout() turns a model reply into the expected shape.
+     *
+     * @param {object} imageData - Image object { mimeType, data }
+     * @param {string} targetLanguage - Target language
+     * @param {object} options - { signal, glossary, style, script }
+     *
+     * @returns {Promise<object>} Object with structure:
+     *   {
+     *     blocks: [
+     *       {
+     *         order: 1,                        // reading order, from 1
+     *         box: [0.1, 0.05, 0.9, 0.12],     // [left, top, right, bottom], 0-1
+     *         originalText: "中文原文",
+     *         translation: "Translated text"
+     *       }
+     *     ]
+     *   }
+     */
+    async translateLayout(imageData, targetLanguage = 'english', options = {}) {
+        throw new Error(`${this.getName()} does not support layout-aware translation`);
+    }
+
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * OPTIONAL: Back-Translation Judge
+     * ═══════════════════════════════════════════════════════════
+     * Rates how well a back-translation preserves the meaning of the
+     * original Chinese text (the confidence check). Without it the
+     * check falls back to comparing characters. Report
+     * `verification: true` in getCapabilities() if you implement it.
+     *
+     * @param {string} originalText - The Chinese source text
+     * @param {string} backTranslation - Its translation, translated back into Chinese
+     * @param {object} options - { signal }
+     *
+     * @returns {Promise<object>} Object with structure:
+     *   {
+     *     score: 0.8,    // 0 (unrelated) to 1 (same meaning)
+     *     divergences: [{ original: "原文片段", backTranslation: "回译", note: "reason" }]
+     *   }
+     */
+    async judgeBackTranslation(originalText, backTranslation, options = {}) {
+        throw new Error(`${this.getName()} does not support back-translation judging`);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SHARED HELPERS (for subclasses)
+    // ═══════════════════════════════════════════════════════════════
+
+    _getLanguageName(code) {
+        return getPromptLanguageName(code);
+    }
+
+    /**
+     * Hands token counts to the caller's onUsage listener. A failing
+     * listener is logged, never thrown - it must not cost a translation.
+     * @param {function|undefined} onUsage - options.onUsage
+     * @param {object} usage - { model, operation, promptTokens, outputTokens, totalTokens, latencyMs }
+     */
+    _reportUsage(onUsage, usage) {
+        if (!onUsage) return;
+        try {
+            onUsage(usage);
+        } catch (error) {
+            console.warn('Usage listener failed:', error);
+        }
+    }
+
+    /**
+     * Validates a word-pairs reply (see word-pair-validator.js). If it is
+     * broken or inconsistent, the model gets exactly one repair attempt
+     * listing the violations; the better of the two replies is returned.
+     *
+     * @param {string} text - The model's first reply
+     * @param {function(string): Promise<string>} askModel - Sends a prompt
+     *   (with the same image) and resolves to the model's reply
+     * @param {object} options - { variety } the reply was asked for
+     */
+    async _parseWordPairsWithRepair(text, askModel, { variety } = {}) {
+        const first = parseWordPairs(text, { variety });
+        if (first.violations.length === 0) {
+            return first.value;
+        }
+
+        console.warn(`[${this.getName()}] Word pairs failed validation, asking for a repair:`, first.violations);
+        const second = parseWordPairs(await askModel(buildWordPairsRepairPrompt(text, first.violations, { variety })), { variety });
+        if (second.violations.length === 0) {
+            return second.value;
+        }
+
+        console.warn(`[${this.getName()}] Repaired word pairs still invalid:`, second.violations);
+        return second.violations.length < first.violations.length ? second.value : first.value;
+    }
+
+    /**
+     * Parses a layout reply (see translateLayout). Boxes are clamped to
+     * the image and blocks without a box or text are dropped; blocks
+     * come back sorted by reading order, numbered from 1.
+     */
+    _parseLayout(text) {
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new InvalidResponseError('Expected a JSON object with text blocks');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            throw new InvalidResponseError(`Expected a JSON object with text blocks: ${error.message}`, { cause: error });
+        }
+        if (!Array.isArray(payload?.blocks)) {
+            throw new InvalidResponseError('Layout reply has no "blocks" list');
+        }
+
+        const clamp = (value) => Math.min(1, Math.max(0, value));
+        const blocks = payload.blocks
+            .map((block, i) => {
+                const box = Array.isArray(block?.box) ? block.box.map(Number) : [];
+                if (box.length !== 4 || !box.every(Number.isFinite)) return null;
+
+                const [x0, y0, x1, y1] = box.map(clamp);
+                const translation = typeof block.translation === 'string' ? block.translation.trim() : '';
+                if (x1 <= x0 || y1 <= y0 || !translation) return null;
+
+                return {
+                    order: Number.isFinite(Number(block.order)) ? Number(block.order) : i + 1,
+                    box: [x0, y0, x1, y1],
+                    originalText: typeof block.originalText === 'string' ? block.originalText.trim() : '',
+                    translation
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.order - b.order);
+
+        blocks.forEach((block, i) => { block.order = i + 1; });
+        return { blocks };
+    }
+
+    /**
+     * Parses a judge reply (see judgeBackTranslation), clamping the score
+     */
+    _parseJudgement(text) {
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new InvalidResponseError('Expected a JSON object with a score');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            throw new InvalidResponseError(`Expected a JSON object with a score: ${error.message}`, { cause: error });
+        }
+
+        const score = Number(payload?.score);
+        if (!Number.isFinite(score)) {
+            throw new InvalidResponseError('Judge reply has no numeric "score"');
+        }
+
+        return {
+            score: Math.min(1, Math.max(0, score)),
+            divergences: Array.isArray(payload.divergences) ? payload.divergences : []
+        };
+    }
+
+    /**
+     * Extracts the first JSON array from a model reply (example sentences)
+     */
+    _parseJsonArray(text) {
+        const jsonMatch = text.match(/\[[\s\S]*\]/);
+        if (!jsonMatch) return [];
+
+        try {
+            return JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            throw new InvalidResponseError(`Expected a JSON array: ${error.message}`, { cause: error });
+        }
+    }
 }
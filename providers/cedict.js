@@ -0,0 +1,207 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * CC-CEDICT
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Reads the CC-CEDICT dictionary format (https://cc-cedict.org) and
+ * segments Chinese text against it. One entry per line:
+ *
+ *   中國 中国 [Zhong1 guo2] /China/
+ *   學習 学习 [xue2 xi2] /to learn/to study/
+ *
+ * Traditional form, simplified form, pinyin with tone numbers, then the
+ * English glosses between slashes. Lines starting with # are comments.
+ * DictionaryProvider (dictionary-provider.js) stores the parsed entries
+ * in IndexedDB and builds word pairs from them.
+ *
+ * CC-Canto (https://cantonese.org) adds the Cantonese reading in
+ * Jyutping between braces; its readings file has no glosses:
+ *
+ *   中國 中国 [Zhong1 guo2] {zung1 gwok3}
+ *   嘅 嘅 [ge5] {ge3} /(possessive particle, like 的)/
+ */
+
+const LINE = /^(\S+) (\S+) \[([^\]]*)\](?: \{([^}]*)\})?(?: \/(.*)\/)?\s*$/;
+
+const HAN_CHAR = /\p{Script=Han}/u;
+
+// Glosses that don't work as a word's translation on a chip
+const UNHELPFUL_GLOSS = /^(CL:|(old )?variant of |see |see also |used in |\(Tw\) )/;
+
+/**
+ * @returns {object|null} { traditional, simplified, pinyin, glosses } and
+ *   { jyutping } for CC-Canto lines, null for comments and lines that
+ *   aren't entries
+ */
+export function parseCedictLine(line) {
+    if (!line || line.startsWith('#')) return null;
+    const match = line.match(LINE);
+    if (!match) return null;
+
+    const [, traditional, simplified, pinyin, jyutping, glosses = ''] = match;
+    if (!jyutping && !glosses) return null;
+    return {
+        traditional,
+        simplified,
+        pinyin,
+        ...(jyutping ? { jyutping } : {}),
+        glosses: glosses.split('/').filter(Boolean)
+    };
+}
+
+/**
+ * Parse a whole dictionary file
+ * @returns {Map<string, Array>} Word (simplified and traditional) → its entries
+ */
+export function parseCedict(text) {
+    const words = new Map();
+    const add = (word, entry) => {
+        const entries = words.get(word);
+        if (entries) {
+            entries.push(entry);
+        } else {
+            words.set(word, [entry]);
+        }
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        const entry = parseCedictLine(line);
+        if (!entry) continue;
+        add(entry.simplified, entry);
+        if (entry.traditional !== entry.simplified) add(entry.traditional, entry);
+    }
+    return words;
+}
+
+/**
+ * Give CC-CEDICT entries their Cantonese readings (parsed CC-Canto).
+ * A reading goes to the entries with the same pinyin, or else to all
+ * of the word's entries; CC-Canto entries with glosses are added as
+ * entries of their own, marked { cantonese: true }. Readings of words
+ * CC-CEDICT doesn't have (mostly single characters) are kept without
+ * glosses, so longer words can be read character by character.
+ * @see isGlossed
+ * @param {Map<string, Array>} words - parseCedict() of CC-CEDICT, changed in place
+ * @param {Map<string, Array>} readings - parseCedict() of CC-Canto
+ */
+export function addJyutping(words, readings) {
+    for (const [word, cantoEntries] of readings) {
+        const entries = words.get(word) || [];
+        for (const entry of entries) {
+            if (entry.jyutping) continue;
+            const reading = cantoEntries.find(canto => canto.pinyin.toLowerCase() === entry.pinyin.toLowerCase()) ||
+                cantoEntries.find(canto => canto.glosses.length === 0);
+            if (reading) entry.jyutping = reading.jyutping;
+        }
+
+        const known = entries.length > 0;
+        for (const canto of cantoEntries) {
+            if ((known && canto.glosses.length === 0) || entries.includes(canto)) continue;
+            canto.cantonese = true;
+            entries.push(canto);
+        }
+        if (entries.length > 0) words.set(word, entries);
+    }
+    return words;
+}
+
+/**
+ * Whether a word's entries can translate it (not just read it aloud)
+ */
+export function isGlossed(entries) {
+    return !!entries && entries.some(entry => entry.glosses.length > 0);
+}
+
+/**
+ * Every word the segmenter might ask about: the runs of up to
+ * maxWordLength Chinese characters starting at each Chinese character
+ * @returns {Set<string>}
+ */
+export function segmentCandidates(text, maxWordLength) {
+    const candidates = new Set();
+    for (const run of hanRuns(text)) {
+        const chars = Array.from(run.text);
+        for (let i = 0; i < chars.length; i++) {
+            for (let length = 1; length <= maxWordLength && i + length <= chars.length; length++) {
+                candidates.add(chars.slice(i, i + length).join(''));
+            }
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Longest-match segmentation of the Chinese characters in a text.
+ * Everything else (punctuation, spaces, Latin text) is skipped;
+ * characters the dictionary doesn't know become one-character words.
+ * @param {function(string): boolean} isWord - Whether the dictionary has a word
+ * @returns {Array} [{ text, start, end, known }] with offsets into `text`
+ */
+export function segmentText(text, isWord, maxWordLength) {
+    const words = [];
+    for (const run of hanRuns(text)) {
+        const chars = Array.from(run.text);
+        let offset = run.start;
+        let i = 0;
+        while (i < chars.length) {
+            let length = Math.min(maxWordLength, chars.length - i);
+            while (length > 1 && !isWord(chars.slice(i, i + length).join(''))) length--;
+
+            const word = chars.slice(i, i + length).join('');
+            words.push({ text: word, start: offset, end: offset + word.length, known: isWord(word) });
+            offset += word.length;
+            i += length;
+        }
+    }
+    return words;
+}
+
+/**
+ * The entry to show for a word with several readings: for Cantonese
+ * the entries with a Jyutping reading and CC-Canto's own words first,
+ * for Mandarin CC-CEDICT's; then common words before proper nouns
+ * (capitalized pinyin), then entries with a usable gloss, otherwise
+ * dictionary order
+ * @param {object} options - { variety: 'mandarin' | 'cantonese' }
+ */
+export function chooseEntry(entries, { variety = 'mandarin' } = {}) {
+    const varietyRank = variety === 'cantonese'
+        ? (entry) => (entry.jyutping ? 0 : 8) + (entry.cantonese ? 0 : 4)
+        : (entry) => (entry.cantonese ? 4 : 0);
+    const rank = (entry) => varietyRank(entry) +
+        (/^[A-Z]/.test(entry.pinyin) ? 2 : 0) + (entry.glosses.some(isHelpfulGloss) ? 0 : 1);
+    return entries.reduce((best, entry) => (rank(entry) < rank(best) ? entry : best));
+}
+
+/**
+ * The gloss to put on a word chip (the first one that reads as a translation)
+ */
+export function chooseGloss(entry) {
+    return entry.glosses.find(isHelpfulGloss) || entry.glosses[0] || '';
+}
+
+function isHelpfulGloss(gloss) {
+    return !UNHELPFUL_GLOSS.test(gloss);
+}
+
+/**
+ * Maximal runs of Chinese characters, with their offsets
+ */
+function hanRuns(text) {
+    const runs = [];
+    let current = null;
+    let offset = 0;
+    for (const char of text) {
+        if (HAN_CHAR.test(char)) {
+            if (!current) {
+                current = { text: '', start: offset };
+                runs.push(current);
+            }
+            current.text += char;
+        } else {
+            current = null;
+        }
+        offset += char.length;
+    }
+    return runs;
+}
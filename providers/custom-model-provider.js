@@ -3,14 +3,48 @@
  * CUSTOM MODEL PROVIDER (Template for YOUR model!)
  * ═══════════════════════════════════════════════════════════════
  * 
- * This is a TEMPLATE for when you train your own translation model.
- * It shows exactly what you need to implement.
- * 
- * WHEN YOU'RE READY TO USE YOUR OWN MODEL:
- * 1. Host your model as an API (using FastAPI, Flask, etc.)
- * 2. Fill in the translate() and other methods below
- * 3. Update provider-factory.js to use this provider
- * 
+ * Talks to your own translation model over a small HTTP protocol.
+ * server/reference-model-server.js implements all of it with a toy
+ * model - run `npm run model-server` and point VITE_CUSTOM_MODEL_URL
+ * at http://localhost:8787 to try the app against it.
+ *
+ * PROTOCOL 1.0 (see CUSTOM_PROTOCOL_VERSION):
+ *
+ *   GET /capabilities  - the handshake, asked once before anything else:
+ *     {
+ *       "protocolVersion": "1.0",          // major.minor
+ *       "model": "my-model-v2",            // goes into cache keys
+ *       "operations": ["translate", "translate-with-pairs",
+ *                      "generate-examples", "translate-text"],
+ *       "inputTypes": ["text", "image"],   // what POST /translate accepts
+ *       "languages": ["english", "thai"],  // target codes (languages.js)
+ *       "maxImageBytes": 4194304,          // null = no limit
+ *       "streaming": true                  // ?stream=1 on /translate(-text)
+ *     }
+ *   "translate" is required; every other operation is optional and the
+ *   app hides the features whose operation is missing. A server whose
+ *   major version differs from ours is refused with a ProtocolError;
+ *   a newer minor version only adds things, so it is accepted.
+ *
+ *   POST /translate             { input, inputType, targetLanguage, glossary?, style?, script?, variety? }
+ *                               → { translation }
+ *   POST /translate-with-pairs  { image, targetLanguage, glossary?, style?, script?, variety? }
+ *                               → { originalText, fullPinyin, fullTranslation, wordPairs }
+ *                                 (variety 'cantonese': the pinyin fields hold Jyutping)
+ *   POST /generate-examples     { word, pinyin, targetLanguage }
+ *                               → { sentences: [{ chinese, pinyin, translation }] }
+ *   POST /translate-text        { text, sourceLanguage, targetLanguage, glossary?, style?, script? }
+ *                               → { translation }
+ *
+ *   Every request carries an X-Protocol-Version header. Errors are a
+ *   non-2xx status with { "error": { "code": "...", "message": "..." } };
+ *   the code "unsupported_protocol_version" becomes a ProtocolError.
+ *
+ * Servers written before the handshake (GET /capabilities answers 404)
+ * still work: we assume /translate, /translate-with-pairs and
+ * /generate-examples, any target language this app offers for
+ * 'custom', and accept the older response fields (result, text).
+ *
  * EXAMPLE API SETUP (Python/FastAPI):
  * 
  *   from fastapi import FastAPI
@@ -25,9 +59,34 @@
  *       inputs = tokenizer(text, return_tensors="pt")
  *       outputs = model.generate(**inputs)
  *       return {"translation": tokenizer.decode(outputs[0])}
+ *
+ * (plus GET /capabilities - see the QUICK START GUIDE at the bottom)
  */
 
-import { BaseProvider } from "./base-provider.js";
+import { BaseProvider, createCapabilities } from "./base-provider.js";
+import { readServerSentEvents, readNDJSON } from "./stream-utils.js";
+import { validateWordPairs } from "./word-pair-validator.js";
+import { getLanguage, getProviderLanguages } from "./languages.js";
+import {
+    ProviderError,
+    ProtocolError,
+    InvalidResponseError,
+    RateLimitedError,
+    shouldTryNextModel,
+    errorFromResponse,
+    networkError,
+    wrapError,
+    createAbortError,
+    throwIfAborted
+} from "./errors.js";
+
+// The protocol this app speaks (see the header comment)
+export const CUSTOM_PROTOCOL_VERSION = '1.0';
+
+const OPERATIONS = ['translate', 'translate-with-pairs', 'generate-examples', 'translate-text'];
+
+// Status codes meaning "this server has no /capabilities" (pre-handshake protocol)
+const NO_HANDSHAKE_STATUSES = [404, 405, 501];
 
 export class CustomModelProvider extends BaseProvider {
     /**
@@ -38,6 +97,12 @@ export class CustomModelProvider extends BaseProvider {
         super();
         this.apiUrl = apiUrl;
         this.apiKey = apiKey;
+        // undefined = not asked yet, null = pre-handshake server, else the checked handshake
+        this.handshake = undefined;
+        this.handshakePromise = null;
+        this.handshakeError = null;     // A ProtocolError - asking again won't help
+        // null = not probed yet, false = server answered ?stream=1 without streaming
+        this.streamingSupported = null;
         console.log(`[CustomModelProvider] Initialized with URL: ${apiUrl}`);
     }
 
@@ -45,6 +110,191 @@ export class CustomModelProvider extends BaseProvider {
         return 'CustomModel';
     }
 
+    getModelId() {
+        return this.handshake?.model || '';
+    }
+
+    /**
+     * What the handshake announced. Before it (or for a pre-handshake
+     * server) we assume /translate, /translate-with-pairs and
+     * /generate-examples.
+     */
+    getCapabilities() {
+        const handshake = this.handshake;
+        if (!handshake) {
+            return createCapabilities({
+                streaming: this.streamingSupported !== false,
+                vision: true,
+                wordPairs: true,
+                exampleSentences: true,
+                languages: getProviderLanguages('custom')
+            });
+        }
+
+        return createCapabilities({
+            streaming: handshake.streaming && this.streamingSupported !== false,
+            vision: handshake.inputTypes.includes('image'),
+            wordPairs: handshake.operations.includes('translate-with-pairs'),
+            exampleSentences: handshake.operations.includes('generate-examples'),
+            textTranslation: handshake.operations.includes('translate-text'),
+            languages: handshake.languages
+        });
+    }
+
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * HANDSHAKE - GET /capabilities
+     * ═══════════════════════════════════════════════════════════
+     *
+     * Asked once; every request waits for it. A failed handshake (server
+     * down, wrong key) is asked again with the next request. A protocol
+     * mismatch is remembered - it won't fix itself.
+     *
+     * @param {object} options - { signal }
+     * @returns {Promise<object|null>} The handshake, or null for a
+     *   pre-handshake server
+     */
+    connect({ signal } = {}) {
+        if (this.handshake !== undefined) return Promise.resolve(this.handshake);
+        if (this.handshakeError) return Promise.reject(this.handshakeError);
+
+        this.handshakePromise ??= this._handshake()
+            .catch(error => {
+                if (error instanceof ProtocolError) {
+                    this.handshakeError = error;
+                }
+                throw error;
+            })
+            .finally(() => {
+                this.handshakePromise = null;
+            });
+
+        // Each caller can stop waiting; the handshake itself carries on for the others
+        return this._raceSignal(this.handshakePromise, signal);
+    }
+
+    async _handshake() {
+        const response = await this._fetch('/capabilities', { headers: this._headers() });
+
+        if (NO_HANDSHAKE_STATUSES.includes(response.status)) {
+            console.warn(`[CustomModelProvider] ${this.apiUrl} has no /capabilities (${response.status}) - ` +
+                `assuming the pre-handshake protocol. Update the server to protocol ${CUSTOM_PROTOCOL_VERSION}.`);
+            this.handshake = null;
+            return null;
+        }
+        if (!response.ok) {
+            throw await this._errorFromResponse(response, 'Capabilities handshake failed');
+        }
+
+        const handshake = this._checkHandshake(await response.json());
+        console.log(`[CustomModelProvider] Connected to ${handshake.model || 'custom model'} ` +
+            `(protocol ${handshake.protocolVersion}): ${handshake.operations.join(', ')}`);
+        this.handshake = handshake;
+        if (!handshake.streaming) {
+            this.streamingSupported = false;
+        }
+        return handshake;
+    }
+
+    /**
+     * Validate the /capabilities answer and fill in defaults
+     */
+    _checkHandshake(data) {
+        const serverVersion = typeof data?.protocolVersion === 'string' ? data.protocolVersion : null;
+        if (!serverVersion || !/^\d+\.\d+$/.test(serverVersion)) {
+            throw new ProtocolError(
+                `Custom model /capabilities did not announce a protocolVersion like "${CUSTOM_PROTOCOL_VERSION}"`,
+                { serverVersion });
+        }
+
+        const [serverMajor] = serverVersion.split('.');
+        const [ourMajor] = CUSTOM_PROTOCOL_VERSION.split('.');
+        if (serverMajor !== ourMajor) {
+            throw new ProtocolError(
+                `Custom model speaks protocol ${serverVersion}, this app speaks ${CUSTOM_PROTOCOL_VERSION} - ` +
+                `update ${Number(serverMajor) > Number(ourMajor) ? 'the app' : 'the server'}`,
+                { serverVersion });
+        }
+
+        const operations = Array.isArray(data.operations) ? data.operations : [];
+        const unknown = operations.filter(op => !OPERATIONS.includes(op));
+        if (unknown.length > 0) {
+            console.warn(`[CustomModelProvider] Ignoring operations this app doesn't use: ${unknown.join(', ')}`);
+        }
+        if (!operations.includes('translate')) {
+            throw new ProtocolError(
+                `Custom model does not offer the required "translate" operation (it offers: ${operations.join(', ') || 'nothing'})`,
+                { serverVersion });
+        }
+
+        const languages = Array.isArray(data.languages) ? data.languages : [];
+        const known = languages.filter(code => getLanguage(code));
+        if (known.length < languages.length) {
+            console.warn(`[CustomModelProvider] Ignoring unknown languages: ${languages.filter(code => !getLanguage(code)).join(', ')}`);
+        }
+        if (known.length === 0) {
+            throw new ProtocolError(
+                `Custom model announced no target language this app knows (got: ${languages.join(', ') || 'none'})`,
+                { serverVersion });
+        }
+
+        const maxImageBytes = Number(data.maxImageBytes);
+        return {
+            protocolVersion: serverVersion,
+            model: typeof data.model === 'string' ? data.model : '',
+            operations: operations.filter(op => OPERATIONS.includes(op)),
+            inputTypes: Array.isArray(data.inputTypes) ? data.inputTypes : ['text'],
+            languages: known,
+            maxImageBytes: data.maxImageBytes != null && maxImageBytes > 0 ? maxImageBytes : null,
+            streaming: data.streaming === true
+        };
+    }
+
+    /**
+     * Throws a clear error if the server said it can't do this
+     * @param {object|null} handshake - From connect()
+     * @param {string} operation - e.g. 'translate-with-pairs'
+     * @param {string|null} targetLanguage
+     */
+    _assertOperation(handshake, operation, targetLanguage = null) {
+        if (!handshake) {
+            if (operation === 'translate-text') {
+                throw new ProtocolError('Text translation needs a custom model server with protocol 1.0 (/translate-text)');
+            }
+            return;
+        }
+        if (!handshake.operations.includes(operation)) {
+            throw new ProtocolError(
+                `Custom model does not offer "${operation}" (it offers: ${handshake.operations.join(', ')})`,
+                { serverVersion: handshake.protocolVersion });
+        }
+        if (targetLanguage && !handshake.languages.includes(targetLanguage)) {
+            throw new ProtocolError(
+                `Custom model cannot translate to ${targetLanguage} (it supports: ${handshake.languages.join(', ')})`,
+                { serverVersion: handshake.protocolVersion });
+        }
+    }
+
+    /**
+     * Refuse images the server said it can't take, before uploading them
+     */
+    _assertImage(handshake, image) {
+        if (!handshake) return;
+        if (!handshake.inputTypes.includes('image')) {
+            throw new ProtocolError('Custom model does not accept images (inputTypes: ' + handshake.inputTypes.join(', ') + ')',
+                { serverVersion: handshake.protocolVersion });
+        }
+
+        // Size of the decoded base64 data
+        const bytes = Math.floor(image.data.length * 3 / 4) - (image.data.match(/=*$/)[0].length);
+        if (handshake.maxImageBytes && bytes > handshake.maxImageBytes) {
+            const mb = (n) => (n / (1024 * 1024)).toFixed(1);
+            throw new ProviderError(
+                `Image is ${mb(bytes)} MB, the custom model accepts at most ${mb(handshake.maxImageBytes)} MB - select a smaller area`,
+                { status: 413 });
+        }
+    }
+
     /**
      * ═══════════════════════════════════════════════════════════
      * TRANSLATE - Main translation method
@@ -52,8 +302,30 @@ export class CustomModelProvider extends BaseProvider {
      * 
      * This calls YOUR API endpoint to perform translation.
      * Modify the fetch() call to match your API's expected format.
+     *
+     * STREAMING (optional): when the app passes onStreamUpdate and the
+     * handshake says streaming: true, we call POST /translate?stream=1.
+     * Your server can answer with either
+     *   - Content-Type: text/event-stream      (Server-Sent Events), or
+     *   - Content-Type: application/x-ndjson   (one JSON object per line)
+     * where every event/line is one of:
+     *   { "delta": "next piece of text" }     → appended to the translation
+     *   { "translation": "full text so far" } → replaces the translation
+     *   { "error": "message" }                → aborts with an error
+     *   { "done": true }  or  data: [DONE]    → end of stream
+     * Answering with plain application/json means "no streaming": we use
+     * the body as-is and stop asking for ?stream=1.
+     *
+     * USAGE (optional): any JSON response - or any stream event, usually
+     * the last one - may carry token counts for the usage dashboard:
+     *   { "usage": { "promptTokens": 120, "outputTokens": 48, "model": "my-model-v2" } }
+     * (OpenAI-style prompt_tokens / completion_tokens work too.)
+     *
+     * CANCELLATION: options.signal is passed to every fetch(), so the
+     * browser closes the connection - your server should stop generating
+     * when the client disconnects.
      */
-    async translate(input, targetLanguage = 'english', onStreamUpdate = null) {
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script, variety } = {}) {
         // Handle both text and image inputs
         const isImage = typeof input === 'object' && input.data;
 
@@ -62,35 +334,240 @@ export class CustomModelProvider extends BaseProvider {
             // For image: send base64 data (your model will need OCR capability)
             input: isImage ? input.data : input,
             inputType: isImage ? 'image' : 'text',
-            targetLanguage: targetLanguage
+            targetLanguage: targetLanguage,
+            // [{ term, translation, notes }] your model must respect (omitted if empty)
+            ...(glossary?.length ? { glossary } : {}),
+            // 'literal' | 'natural' | 'formal' | 'casual' (omitted if not chosen)
+            ...(style ? { style } : {}),
+            // 'simplified' | 'traditional' | 'as-shown' for any Chinese in the translation
+            ...(script ? { script } : {}),
+            // 'cantonese' when the source is written Cantonese (omitted for Mandarin)
+            ...(variety && variety !== 'mandarin' ? { variety } : {})
         };
 
+        const startedAt = Date.now();
+        const reportUsage = (usage) => this._reportApiUsage(onUsage, 'translate', usage, startedAt);
+
         try {
-            console.log(`[CustomModelProvider] Translating to ${targetLanguage}...`);
+            const handshake = await this.connect({ signal });
+            this._assertOperation(handshake, 'translate', targetLanguage);
+            if (isImage) this._assertImage(handshake, input);
 
-            const response = await fetch(`${this.apiUrl}/translate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Include API key if provided
-                    ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
-                },
-                body: JSON.stringify(requestBody)
-            });
+            console.log(`[CustomModelProvider] Translating to ${targetLanguage}...`);
 
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status} ${response.statusText}`);
+            if (onStreamUpdate && this.streamingSupported !== false) {
+                return await this._translateStreaming('/translate', requestBody, onStreamUpdate, signal, reportUsage);
             }
 
-            const data = await response.json();
+            const data = await this._post('/translate', requestBody, signal);
+            reportUsage(data.usage);
 
             // Expect your API to return: { translation: "translated text" }
-            return data.translation || data.result || data.text;
+            return this._extractTranslation(data, '/translate');
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[CustomModelProvider] Translation failed:', error);
-            throw new Error(`Custom model translation failed: ${error.message}`);
+            throw wrapError(error, 'Custom model translation failed');
+        }
+    }
+
+    /**
+     * Streaming variant of translate() and translateText(). Falls back to
+     * the buffered body when the server doesn't advertise a streaming
+     * Content-Type.
+     */
+    async _translateStreaming(path, requestBody, onStreamUpdate, signal = null, reportUsage = () => {}) {
+        const response = await this._fetch(`${path}?stream=1`, {
+            method: 'POST',
+            headers: {
+                ...this._headers(),
+                'Accept': 'text/event-stream, application/x-ndjson, application/json'
+            },
+            body: JSON.stringify(requestBody),
+            signal
+        });
+
+        if (!response.ok) {
+            // Older servers may reject the unknown query parameter - retry buffered
+            if (!this.handshake && [400, 404, 405, 415, 501].includes(response.status)) {
+                console.warn(`[CustomModelProvider] ?stream=1 rejected (${response.status}), using buffered mode`);
+                this.streamingSupported = false;
+                const data = await this._post(path, requestBody, signal);
+                reportUsage(data.usage);
+                const translation = this._extractTranslation(data, path);
+                onStreamUpdate(translation);
+                return translation;
+            }
+            throw await this._errorFromResponse(response, `API error: ${response.status} ${response.statusText}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        let events;
+        if (contentType.includes('text/event-stream')) {
+            events = this._parseSSEEvents(response);
+        } else if (contentType.includes('ndjson') || contentType.includes('jsonl')) {
+            events = readNDJSON(response);
+        } else {
+            // Server doesn't stream - remember that and use the buffered body
+            if (this.handshake) {
+                console.warn('[CustomModelProvider] Handshake announced streaming, but the server answered with a plain body');
+            }
+            this.streamingSupported = false;
+            const data = await response.json();
+            reportUsage(data.usage);
+            const translation = this._extractTranslation(data, path);
+            onStreamUpdate(translation);
+            return translation;
+        }
+
+        this.streamingSupported = true;
+
+        let fullText = '';
+        for await (const event of events) {
+            if (event.error) {
+                throw new ProviderError(event.error.message || event.error);
+            }
+            if (event.usage) {
+                reportUsage(event.usage);
+            }
+            if (typeof event.delta === 'string') {
+                fullText += event.delta;
+                onStreamUpdate(fullText);
+            } else if (typeof event.translation === 'string') {
+                fullText = event.translation;
+                onStreamUpdate(fullText);
+            }
+            if (event.done) break;
+        }
+
+        return fullText.trim();
+    }
+
+    /**
+     * Turns SSE `data:` payloads into event objects (same shape as NDJSON lines)
+     */
+    async *_parseSSEEvents(response) {
+        for await (const data of readServerSentEvents(response)) {
+            if (data === '[DONE]') {
+                yield { done: true };
+                return;
+            }
+            try {
+                yield JSON.parse(data);
+            } catch {
+                // Plain-text SSE servers: treat the payload as a text delta
+                yield { delta: data };
+            }
+        }
+    }
+
+    async _post(path, requestBody, signal = null) {
+        const response = await this._fetch(path, {
+            method: 'POST',
+            headers: this._headers(),
+            body: JSON.stringify(requestBody),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await this._errorFromResponse(response, `API error: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * fetch() against the custom API; connection failures become NetworkError
+     */
+    async _fetch(path, init) {
+        const url = `${this.apiUrl}${path}`;
+        try {
+            return await fetch(url, init);
+        } catch (error) {
+            throw networkError(error, url);
+        }
+    }
+
+    /**
+     * Typed error for a non-OK response, with the server's message from
+     * a protocol error body ({ error: { code, message } }) if there is one
+     */
+    async _errorFromResponse(response, message) {
+        let body = null;
+        try {
+            body = await response.json();
+        } catch {
+            // Not JSON - the status says enough
+        }
+
+        const error = body?.error;
+        const detail = typeof error === 'string' ? error : error?.message;
+        const fullMessage = detail ? `${message} - ${detail}` : message;
+
+        if (error?.code === 'unsupported_protocol_version') {
+            return new ProtocolError(fullMessage, { status: response.status, serverVersion: this.handshake?.protocolVersion ?? null });
+        }
+        return errorFromResponse(response, fullMessage);
+    }
+
+    /**
+     * Rejects as soon as `signal` fires, without cancelling `promise`
+     */
+    _raceSignal(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(createAbortError());
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(createAbortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Passes an optional `usage` object from the API on to onUsage
+     */
+    _reportApiUsage(onUsage, operation, usage, startedAt) {
+        if (!usage) return;
+
+        const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? 0;
+        const outputTokens = usage.outputTokens ?? usage.completion_tokens ?? 0;
+        this._reportUsage(onUsage, {
+            model: usage.model || this.handshake?.model || 'custom',
+            operation,
+            promptTokens,
+            outputTokens,
+            totalTokens: usage.totalTokens ?? usage.total_tokens ?? promptTokens + outputTokens,
+            latencyMs: Date.now() - startedAt
+        });
+    }
+
+    /**
+     * Protocol 1.0 servers must answer { translation }; older ones could
+     * use result or text. Trimmed like a streamed translation, so the
+     * same reply caches the same either way.
+     */
+    _extractTranslation(data, path = '/translate') {
+        if (!this.handshake) {
+            const translation = data.translation || data.result || data.text;
+            return typeof translation === 'string' ? translation.trim() : translation;
+        }
+        if (typeof data?.translation !== 'string') {
+            throw new InvalidResponseError(`${path} answered without a "translation" string (protocol ${CUSTOM_PROTOCOL_VERSION})`);
         }
+        return data.translation.trim();
+    }
+
+    _headers() {
+        return {
+            'Content-Type': 'application/json',
+            'X-Protocol-Version': CUSTOM_PROTOCOL_VERSION,
+            // Include API key if provided
+            ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+        };
     }
 
     /**
@@ -99,45 +576,52 @@ export class CustomModelProvider extends BaseProvider {
      * ═══════════════════════════════════════════════════════════
      * 
      * Your model needs to return word-level alignments for this.
-     * If your model doesn't support this, return a simple fallback.
+     * If your model doesn't support this, leave "translate-with-pairs"
+     * out of the handshake and the app won't ask.
      */
-    async translateWithWordPairs(imageData, targetLanguage = 'english') {
+    async translateWithWordPairs(imageData, targetLanguage = 'english', { signal, onUsage, glossary, style, script, variety } = {}) {
+        const startedAt = Date.now();
         try {
-            const response = await fetch(`${this.apiUrl}/translate-with-pairs`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
-                },
-                body: JSON.stringify({
-                    image: imageData.data,
-                    targetLanguage: targetLanguage
-                })
-            });
+            const handshake = await this.connect({ signal });
+            this._assertOperation(handshake, 'translate-with-pairs', targetLanguage);
+            this._assertImage(handshake, imageData);
 
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = await this._post('/translate-with-pairs', {
+                image: imageData.data,
+                targetLanguage: targetLanguage,
+                ...(glossary?.length ? { glossary } : {}),
+                ...(style ? { style } : {}),
+                // 'simplified' | 'traditional' | 'as-shown' for originalText
+                ...(script ? { script } : {}),
+                // 'cantonese': Jyutping instead of pinyin (omitted for Mandarin)
+                ...(variety && variety !== 'mandarin' ? { variety } : {})
+            }, signal);
+            this._reportApiUsage(onUsage, 'wordPairs', data.usage, startedAt);
 
             // Expected format from your API:
             // {
             //   originalText: "中文",
+            //   fullPinyin: "zhōng wén",
             //   fullTranslation: "Chinese",
             //   wordPairs: [{ chinese, pinyin, translation }]
             // }
-            return {
-                originalText: data.originalText || '',
-                fullTranslation: data.fullTranslation || '',
-                wordPairs: data.wordPairs || []
-            };
+            // Checked like LLM replies (see word-pair-validator.js). There is
+            // no prompt to repair, so problems are only logged.
+            const { value, violations } = validateWordPairs(data, { variety });
+            if (violations.length > 0) {
+                console.warn('[CustomModelProvider] Word pairs failed validation:', violations);
+            }
+            return value;
 
         } catch (error) {
+            throwIfAborted(signal);
+            // The fallback goes to the same server: a refused key, a protocol mismatch,
+            // an unreachable or busy server or a too large image would fail it the same way
+            if (!shouldTryNextModel(error) || error instanceof RateLimitedError || error.status === 413) throw error;
             console.error('[CustomModelProvider] Word pairs failed:', error);
 
-            // Fallback: Just do a simple translation without word pairs
-            const fallbackTranslation = await this.translate(imageData, targetLanguage);
+            // Fallback: Just do a simple translation without word pairs (same glossary and style)
+            const fallbackTranslation = await this.translate(imageData, targetLanguage, null, { signal, onUsage, glossary, style, script, variety });
             return {
                 originalText: '',
                 fullTranslation: fallbackTranslation,
@@ -154,36 +638,73 @@ export class CustomModelProvider extends BaseProvider {
      * Generate example sentences using a word.
      * Your model would need sentence generation capability.
      */
-    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english') {
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', { signal, onUsage } = {}) {
+        const startedAt = Date.now();
         try {
-            const response = await fetch(`${this.apiUrl}/generate-examples`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
-                },
-                body: JSON.stringify({
-                    word: chineseWord,
-                    pinyin: pinyin,
-                    targetLanguage: targetLanguage
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
-            }
+            const handshake = await this.connect({ signal });
+            this._assertOperation(handshake, 'generate-examples', targetLanguage);
 
-            const data = await response.json();
+            const data = await this._post('/generate-examples', {
+                word: chineseWord,
+                pinyin: pinyin,
+                targetLanguage: targetLanguage
+            }, signal);
+            this._reportApiUsage(onUsage, 'exampleSentences', data.usage, startedAt);
 
-            // Expected: [{ chinese, pinyin, translation }, ...]
+            // Expected: { sentences: [{ chinese, pinyin, translation }, ...] }
+            if (handshake && !Array.isArray(data.sentences)) {
+                throw new InvalidResponseError(`/generate-examples answered without a "sentences" array (protocol ${CUSTOM_PROTOCOL_VERSION})`);
+            }
             return data.sentences || data.examples || [];
 
         } catch (error) {
+            throwIfAborted(signal);
+            if (error instanceof ProtocolError) throw error;
             console.error('[CustomModelProvider] Example generation failed:', error);
             // Return empty array as fallback
             return [];
         }
     }
+
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * TRANSLATE TEXT - For the translation bot (protocol 1.0 only)
+     * ═══════════════════════════════════════════════════════════
+     *
+     * Any language to any language. Streams like translate() when the
+     * handshake says streaming: true.
+     */
+    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script } = {}) {
+        const requestBody = {
+            text,
+            sourceLanguage,
+            targetLanguage,
+            ...(glossary?.length ? { glossary } : {}),
+            ...(style ? { style } : {}),
+            ...(script ? { script } : {})
+        };
+
+        const startedAt = Date.now();
+        const reportUsage = (usage) => this._reportApiUsage(onUsage, 'translateText', usage, startedAt);
+
+        try {
+            const handshake = await this.connect({ signal });
+            this._assertOperation(handshake, 'translate-text', targetLanguage);
+
+            if (onStreamUpdate && this.streamingSupported !== false) {
+                return await this._translateStreaming('/translate-text', requestBody, onStreamUpdate, signal, reportUsage);
+            }
+
+            const data = await this._post('/translate-text', requestBody, signal);
+            reportUsage(data.usage);
+            return this._extractTranslation(data, '/translate-text');
+
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[CustomModelProvider] Text translation failed:', error);
+            throw wrapError(error, 'Custom model translation failed');
+        }
+    }
 }
 
 /**
@@ -196,7 +717,12 @@ export class CustomModelProvider extends BaseProvider {
  *    - Fine-tune on Chinese-English/Thai parallel corpus
  *    - Export as ONNX or keep in PyTorch format
  * 
- * 2. CREATE YOUR API (example with FastAPI)
+ * 2. TRY THE PROTOCOL FIRST
+ *    npm run model-server starts server/reference-model-server.js
+ *    (a toy model that speaks protocol 1.0) on http://localhost:8787.
+ *    Compare your server's answers with it.
+ *
+ * 3. CREATE YOUR API (example with FastAPI)
  * 
  *    # api.py
  *    from fastapi import FastAPI
@@ -208,6 +734,13 @@ export class CustomModelProvider extends BaseProvider {
  *    
  *    translator = pipeline("translation", model="./my-model")
  *    
+ *    @app.get("/capabilities")
+ *    async def capabilities():
+ *        return {"protocolVersion": "1.0", "model": "my-model",
+ *                "operations": ["translate"], "inputTypes": ["text"],
+ *                "languages": ["english", "thai"], "maxImageBytes": None,
+ *                "streaming": False}
+ *    
  *    @app.post("/translate")
  *    async def translate(request: dict):
  *        result = translator(request["input"], tgt_lang=request["targetLanguage"])
@@ -215,10 +748,12 @@ export class CustomModelProvider extends BaseProvider {
  *    
  *    # Run: uvicorn api:app --host 0.0.0.0 --port 8000
  * 
- * 3. UPDATE CONFIG
+ * 4. UPDATE CONFIG
  *    In your .env file, add:
  *    VITE_TRANSLATION_PROVIDER=custom
  *    VITE_CUSTOM_MODEL_URL=http://localhost:8000
  * 
- * 4. That's it! Your app will now use YOUR model!
+ * 5. That's it! Your app will now use YOUR model! The browser console
+ *    shows the handshake ("Connected to my-model (protocol 1.0)") or
+ *    what doesn't match.
  */
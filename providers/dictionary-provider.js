@@ -0,0 +1,323 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * DICTIONARY PROVIDER (offline, CC-CEDICT)
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Word pairs without a model: the text is segmented by longest match
+ * against CC-CEDICT, each word gets its pinyin (tone marks) and first
+ * usable English gloss. No network after the first load, no credits.
+ *
+ * - Text input only - it can't read images. For an image, get the text
+ *   first (TranslationService.lookupWordPairs transcribes it).
+ * - fullTranslation is the glosses in a row, not a real translation.
+ * - English glosses only (CC-CEDICT is a Chinese-English dictionary).
+ * - The bundled cedict_ts.u8 is a frequency-based subset (13,437 of
+ *   the full file's 125,049 entries: the 3,000 most frequent characters
+ *   and 10,000 most frequent words). Rarer words are read character by
+ *   character; a character it lacks comes back as itself, without
+ *   pinyin. Put the full file in its place for complete coverage.
+ * - For Cantonese ({ variety: 'cantonese' }) the pinyin fields hold
+ *   Jyutping from CC-Canto (public/dictionary/cccanto_readings.u8),
+ *   which also adds words of written Cantonese (嘅, 咗, 唔). Words
+ *   without a reading of their own are read character by character.
+ *
+ * The bundled files (public/dictionary/) are loaded into IndexedDB
+ * once; `version` (OFFLINE_DICTIONARY in config.js) says when to load
+ * them again. Without IndexedDB it is kept in memory instead.
+ *
+ * CONFIG (.env):
+ *   VITE_TRANSLATION_PROVIDER=dictionary       (word pairs for text only)
+ * It also backs up the vision provider's word pairs (see fetchWordPairs
+ * in app.js) and answers TranslationService.translateWithWordPairs for
+ * text, whatever provider is configured.
+ */
+
+import { BaseProvider, createCapabilities } from "./base-provider.js";
+import { getProviderLanguages } from "./languages.js";
+import { parseCedict, addJyutping, isGlossed, segmentCandidates, segmentText, chooseEntry, chooseGloss } from "./cedict.js";
+import { toneNumbersToMarks } from "./pinyin.js";
+import { ProviderError, InvalidResponseError, errorFromResponse, networkError, throwIfAborted } from "./errors.js";
+
+export const DEFAULT_DICTIONARY_URL = '/dictionary/cedict_ts.u8';
+export const DEFAULT_JYUTPING_URL = '/dictionary/cccanto_readings.u8';
+
+const WORDS_STORE = 'words';
+const META_STORE = 'meta';
+
+// Entries written per IndexedDB transaction while importing
+const IMPORT_CHUNK = 5000;
+
+export class DictionaryProvider extends BaseProvider {
+    /**
+     * @param {object} options
+     *   - url: Where the CC-CEDICT file is served
+     *   - jyutpingUrl: Where the CC-Canto file is served (null: no Cantonese)
+     *   - version: Change it when a file changes, so they are imported again
+     *   - dbName: IndexedDB database
+     */
+    constructor({ url = DEFAULT_DICTIONARY_URL, jyutpingUrl = DEFAULT_JYUTPING_URL, version = '1', dbName = 'ChineseTranslatorDictionary' } = {}) {
+        super();
+        this.url = url;
+        this.jyutpingUrl = jyutpingUrl;
+        this.version = String(version);
+        this.dbName = dbName;
+        this.useIndexedDB = typeof indexedDB !== 'undefined';
+
+        this.db = null;
+        this.memory = null;         // Map word → entries, when IndexedDB isn't available
+        this.maxWordLength = 1;
+        this.readyPromise = null;
+        console.log(`[DictionaryProvider] Initialized with ${this.url} (version ${this.version})`);
+    }
+
+    getName() {
+        return 'Offline dictionary (CC-CEDICT)';
+    }
+
+    getModelId() {
+        return `cedict-${this.version}`;
+    }
+
+    getCapabilities() {
+        return createCapabilities({
+            wordPairs: true,
+            languages: getProviderLanguages('dictionary')
+        });
+    }
+
+    /**
+     * Load the dictionary now instead of on the first lookup
+     */
+    async connect(options = {}) {
+        await this.ready();
+        throwIfAborted(options.signal);
+    }
+
+    /**
+     * Resolves once the dictionary can be searched. The first call
+     * imports the file if IndexedDB doesn't have this version yet;
+     * a failed load is tried again on the next call.
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this._load().catch(error => {
+                this.readyPromise = null;
+                throw error;
+            });
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * The words in a text the dictionary can translate, for segmenting
+     * it elsewhere (see word-pair-aligner.js)
+     * @returns {Promise<Set<string>>}
+     */
+    async findWords(text) {
+        await this.ready();
+        const found = await this._lookup(segmentCandidates(text, this.maxWordLength));
+        return new Set([...found].filter(([, entries]) => isGlossed(entries)).map(([word]) => word));
+    }
+
+    /**
+     * Segment a Chinese text and look up every word
+     * @param {string} text - Chinese text (images are not supported)
+     * @param {string} targetLanguage - Only 'english'
+     * @param {object} options - { signal }, { variety: 'cantonese' } for Jyutping
+     * @returns {Promise<object>} { originalText, fullPinyin, fullTranslation, wordPairs }
+     *   (see BaseProvider.translateWithWordPairs); words the dictionary
+     *   doesn't know keep their Chinese as translation and no pinyin
+     */
+    async translateWithWordPairs(text, targetLanguage = 'english', options = {}) {
+        const { signal, variety = 'mandarin' } = options;
+        if (typeof text !== 'string') {
+            throw new ProviderError(`${this.getName()} can only look up text, not images`);
+        }
+        if (!this.getCapabilities().languages.includes(targetLanguage)) {
+            throw new ProviderError(`${this.getName()} only has ${this.getCapabilities().languages.join(', ')} glosses`);
+        }
+
+        await this.ready();
+        throwIfAborted(signal);
+
+        const found = await this._lookup(segmentCandidates(text, this.maxWordLength));
+        throwIfAborted(signal);
+
+        const cantonese = variety === 'cantonese';
+        const wordPairs = segmentText(text, word => isGlossed(found.get(word)), this.maxWordLength).map(({ text: chinese, known }) => {
+            const pinyin = cantonese ? this._jyutping(chinese, found) : '';
+            if (!known) {
+                return { chinese, pinyin, translation: chinese };
+            }
+            const entry = chooseEntry(found.get(chinese).filter(e => e.glosses.length > 0), { variety });
+            return {
+                chinese,
+                pinyin: cantonese ? entry.jyutping || pinyin : toneNumbersToMarks(entry.pinyin),
+                translation: chooseGloss(entry)
+            };
+        });
+
+        return {
+            originalText: text.trim(),
+            fullPinyin: wordPairs.map(pair => pair.pinyin).filter(Boolean).join(' '),
+            fullTranslation: wordPairs.map(pair => pair.translation).join(' '),
+            wordPairs
+        };
+    }
+
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        throw new ProviderError(`${this.getName()} cannot translate sentences - only word by word`);
+    }
+
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', options = {}) {
+        throw new ProviderError(`${this.getName()} has no example sentences`);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRIVATE HELPER METHODS
+    // ═══════════════════════════════════════════════════════════════
+
+    async _load() {
+        if (this.useIndexedDB) {
+            this.db = await this._openDB();
+            const meta = await this._request(this.db.transaction([META_STORE]).objectStore(META_STORE).get('source'));
+            if (meta?.version === this.version) {
+                this.maxWordLength = meta.maxWordLength;
+                return;
+            }
+        }
+
+        const words = await this._fetchDictionary();
+        this.maxWordLength = [...words.keys()].reduce((longest, word) => Math.max(longest, Array.from(word).length), 1);
+
+        if (!this.useIndexedDB) {
+            this.memory = words;
+            return;
+        }
+
+        console.log(`[DictionaryProvider] Importing ${words.size} words into IndexedDB...`);
+        await this._transaction([WORDS_STORE, META_STORE], (stores) => {
+            stores[WORDS_STORE].clear();
+            stores[META_STORE].delete('source');
+        });
+        const records = [...words].map(([word, entries]) => ({ word, entries }));
+        for (let i = 0; i < records.length; i += IMPORT_CHUNK) {
+            await this._transaction([WORDS_STORE], (stores) => {
+                records.slice(i, i + IMPORT_CHUNK).forEach(record => stores[WORDS_STORE].put(record));
+            });
+        }
+        // Written last: an interrupted import is started over next time
+        await this._transaction([META_STORE], (stores) => {
+            stores[META_STORE].put({
+                key: 'source',
+                version: this.version,
+                url: this.url,
+                jyutpingUrl: this.jyutpingUrl,
+                words: words.size,
+                maxWordLength: this.maxWordLength,
+                importedAt: Date.now()
+            });
+        });
+        console.log('[DictionaryProvider] Import finished');
+    }
+
+    /**
+     * A word's Jyutping: its own reading, or its characters' readings
+     * ('' when a character has none)
+     */
+    _jyutping(word, found) {
+        const reading = (entries) => entries && chooseEntry(entries, { variety: 'cantonese' }).jyutping;
+        const own = reading(found.get(word));
+        if (own) return own;
+
+        const characters = Array.from(word).map(char => reading(found.get(char)));
+        return characters.every(Boolean) ? characters.join(' ') : '';
+    }
+
+    async _fetchDictionary() {
+        const words = await this._fetchEntries(this.url);
+        if (this.jyutpingUrl) {
+            addJyutping(words, await this._fetchEntries(this.jyutpingUrl));
+        }
+        return words;
+    }
+
+    async _fetchEntries(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw networkError(error, url);
+        }
+        if (!response.ok) {
+            throw errorFromResponse(response, `Dictionary ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        const words = parseCedict(await response.text());
+        if (words.size === 0) {
+            throw new InvalidResponseError(`${url} has no CC-CEDICT entries`);
+        }
+        return words;
+    }
+
+    /**
+     * The entries of those words the dictionary has
+     * @param {Set<string>} words
+     * @returns {Promise<Map<string, Array>>}
+     */
+    async _lookup(words) {
+        const found = new Map();
+        if (this.memory) {
+            words.forEach(word => this.memory.has(word) && found.set(word, this.memory.get(word)));
+            return found;
+        }
+
+        await this._transaction([WORDS_STORE], (stores) => {
+            for (const word of words) {
+                stores[WORDS_STORE].get(word).onsuccess = (e) => {
+                    if (e.target.result) found.set(word, e.target.result.entries);
+                };
+            }
+        }, 'readonly');
+        return found;
+    }
+
+    _openDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onerror = (event) => reject(event.target.error);
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(WORDS_STORE)) {
+                    db.createObjectStore(WORDS_STORE, { keyPath: 'word' });
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'key' });
+                }
+            };
+        });
+    }
+
+    /**
+     * Run `work` on the named stores; resolves when the transaction completes
+     */
+    _transaction(storeNames, work, mode = 'readwrite') {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+            transaction.onabort = (e) => reject(e.target.error || new Error('Dictionary transaction aborted'));
+            work(stores);
+        });
+    }
+
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = (e) => resolve(e.target.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+}
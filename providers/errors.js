@@ -0,0 +1,248 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PROVIDER ERRORS
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Shared error types for providers and services, so retry/fallback
+ * logic and the UI can decide what to do from the error's class
+ * instead of matching on message text.
+ *
+ *   RateLimitedError      429 / model overloaded     → wait and retry
+ *   AuthError             missing or rejected key    → stop, fix config
+ *   SafetyBlockedError    model refused the content  → stop, change input
+ *   TimeoutError          no answer in time          → try another model
+ *   NetworkError          server unreachable         → stop, check connection
+ *   InvalidResponseError  answer couldn't be parsed  → try another model
+ *   ProtocolError         server speaks another      → stop, update the app
+ *                         protocol version / lacks      or the server
+ *                         the operation
+ *
+ * Anything else a provider reports is a plain ProviderError
+ * (e.g. a 500 or an unknown model name).
+ *
+ * CANCELLATION: every provider method accepts `options.signal`
+ * (an AbortSignal). When it fires, the method rejects with a
+ * DOMException named 'AbortError' - the same error fetch() throws -
+ * so callers only need isAbortError() to tell "cancelled" apart
+ * from "failed". Never retry, fall back or show an error for it.
+ */
+
+export class ProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details - { status, cause }
+     */
+    constructor(message, { status = null, cause = undefined } = {}) {
+        super(message, { cause });
+        this.name = 'ProviderError';
+        this.status = status;
+    }
+}
+
+export class RateLimitedError extends ProviderError {
+    /**
+     * @param {object} details - { retryAfter: seconds to wait, or null if unknown }
+     */
+    constructor(message = 'Rate limited', { retryAfter = null, ...details } = {}) {
+        super(message, details);
+        this.name = 'RateLimitedError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class AuthError extends ProviderError {
+    constructor(message = 'Authentication failed', details = {}) {
+        super(message, details);
+        this.name = 'AuthError';
+    }
+}
+
+export class SafetyBlockedError extends ProviderError {
+    /**
+     * @param {object} details - { categories: e.g. ['HARM_CATEGORY_HARASSMENT'] or ['SAFETY'] }
+     */
+    constructor(message = 'Blocked by safety filters', { categories = [], ...details } = {}) {
+        super(message, details);
+        this.name = 'SafetyBlockedError';
+        this.categories = categories;
+    }
+}
+
+export class TimeoutError extends ProviderError {
+    /**
+     * @param {object} details - { timeoutMs }
+     */
+    constructor(message = 'Request timed out', { timeoutMs = null, ...details } = {}) {
+        super(message, details);
+        this.name = 'TimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+export class NetworkError extends ProviderError {
+    constructor(message = 'Network error', details = {}) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+}
+
+export class InvalidResponseError extends ProviderError {
+    constructor(message = 'Invalid response', details = {}) {
+        super(message, details);
+        this.name = 'InvalidResponseError';
+    }
+}
+
+export class ProtocolError extends ProviderError {
+    /**
+     * @param {object} details - { serverVersion: what the server announced, if known }
+     */
+    constructor(message = 'Protocol mismatch', { serverVersion = null, ...details } = {}) {
+        super(message, details);
+        this.name = 'ProtocolError';
+        this.serverVersion = serverVersion;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RETRY / FALLBACK POLICY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Worth repeating the same request on the same model (after a delay)
+ */
+export function isRetryable(error) {
+    return error instanceof RateLimitedError;
+}
+
+/**
+ * Worth trying the next model of the same provider. Not when the
+ * account, the content or the connection is the problem - every
+ * model would fail the same way.
+ */
+export function shouldTryNextModel(error) {
+    return !(isAbortError(error) ||
+        error instanceof AuthError ||
+        error instanceof SafetyBlockedError ||
+        error instanceof NetworkError ||
+        error instanceof ProtocolError);
+}
+
+/**
+ * Worth trying a different provider (own credentials, own server).
+ * Only cancellation and refused content are final.
+ */
+export function shouldTryNextProvider(error) {
+    return !(isAbortError(error) || error instanceof SafetyBlockedError);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS FOR FETCH-BASED PROVIDERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into seconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Builds the right error type for a non-OK fetch response
+ * @param {Response} response
+ * @param {string} message - Already formatted message (status + detail)
+ */
+export function errorFromResponse(response, message) {
+    const status = response.status;
+
+    if (status === 401 || status === 403) {
+        return new AuthError(message, { status });
+    }
+    if (status === 429 || status === 503) {
+        return new RateLimitedError(message, {
+            status,
+            retryAfter: parseRetryAfter(response.headers?.get('retry-after'))
+        });
+    }
+    if (status === 408 || status === 504) {
+        return new TimeoutError(message, { status });
+    }
+    return new ProviderError(message, { status });
+}
+
+/**
+ * Wraps a fetch() rejection. Cancellation passes through untouched.
+ */
+export function networkError(error, url) {
+    if (isAbortError(error)) return error;
+    return new NetworkError(`Could not reach ${url} (${error.message})`, { cause: error });
+}
+
+/**
+ * Adds context to an untyped error; typed errors and cancellations
+ * pass through so callers can still act on their type
+ */
+export function wrapError(error, prefix) {
+    if (error instanceof ProviderError || isAbortError(error)) {
+        return error;
+    }
+    return new ProviderError(`${prefix}: ${error.message}`, { cause: error });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CANCELLATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @param {*} error - Anything caught from a provider call
+ * @returns {boolean} True when the request was cancelled via AbortSignal
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+export function createAbortError(message = 'The request was cancelled') {
+    return new DOMException(message, 'AbortError');
+}
+
+/**
+ * Throws an AbortError if the signal has already fired.
+ * @param {AbortSignal|null|undefined} signal
+ */
+export function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw createAbortError();
+    }
+}
+
+/**
+ * setTimeout as a promise that rejects early when the signal fires
+ * @param {number} ms
+ * @param {AbortSignal|null|undefined} signal
+ */
+export function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -8,15 +8,113 @@
  * 
  * The key insight: All the Gemini-specific logic is now isolated here,
  * making it easy to swap for a different provider later!
+ *
+ * MODEL LADDERS: which Gemini models to call is not decided here.
+ * Every operation (translate, wordPairs, translateText, exampleSentences,
+ * explain, grammar, ask, askWithImage, practice) gets an ordered list of
+ * steps from config.GEMINI_MODELS (see config.js):
+ *
+ *   { model: 'gemini-2.5-flash', timeout: 45000, temperature: 0.1,
+ *     responseMimeType: 'application/json' }
+ *
+ * Steps are tried in order; the next one runs when the previous one
+ * fails or times out. Rate-limited/overloaded models are retried first.
+ * SDK errors are mapped onto the shared types in errors.js, which
+ * decide whether a retry or the next model is worth it.
  */
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { BaseProvider } from "./base-provider.js";
+import {
+    GoogleGenerativeAI,
+    GoogleGenerativeAIFetchError,
+    GoogleGenerativeAIResponseError
+} from "@google/generative-ai";
+import { BaseProvider, createCapabilities, mapWithConcurrency } from "./base-provider.js";
+import { getProviderLanguages } from "./languages.js";
+import {
+    buildVisionTranslationPrompt,
+    buildTextTranslationPrompt,
+    buildBatchTranslationPrompt,
+    buildLayoutPrompt,
+    buildWordPairsPrompt,
+    buildTranslateTextPrompt,
+    buildExampleSentencesPrompt,
+    buildBackTranslationJudgePrompt,
+    buildExplainPrompt,
+    buildGrammarPrompt,
+    buildQuestionPrompt,
+    buildImageQuestionPrompt,
+    buildPracticePrompt
+} from "./prompts.js";
+import {
+    ProviderError,
+    RateLimitedError,
+    AuthError,
+    SafetyBlockedError,
+    TimeoutError,
+    NetworkError,
+    InvalidResponseError,
+    isRetryable,
+    shouldTryNextModel,
+    wrapError,
+    isAbortError,
+    throwIfAborted,
+    abortableDelay
+} from "./errors.js";
+
+// Don't sit out rate limits longer than this - move on to the next model instead
+const MAX_RETRY_WAIT_MS = 10000;
+
+/**
+ * Operations that take a model ladder
+ */
+export const GEMINI_OPERATIONS = [
+    'translate', 'translateBatch', 'layout', 'wordPairs', 'translateText', 'exampleSentences',
+    'verify', 'explain', 'grammar', 'ask', 'askWithImage', 'practice'
+];
+
+/**
+ * Checks a (partial) model ladder object, e.g. one typed into Settings.
+ * Throws an Error describing the first problem found.
+ * @param {object} models - { operation: [{ model, timeout, temperature, responseMimeType }] }
+ */
+export function validateGeminiModels(models) {
+    if (!models || typeof models !== 'object' || Array.isArray(models)) {
+        throw new Error('Model ladder must be an object keyed by operation');
+    }
+
+    for (const [operation, ladder] of Object.entries(models)) {
+        if (!GEMINI_OPERATIONS.includes(operation)) {
+            throw new Error(`Unknown operation "${operation}" (expected one of: ${GEMINI_OPERATIONS.join(', ')})`);
+        }
+        if (!Array.isArray(ladder) || ladder.length === 0) {
+            throw new Error(`"${operation}" must be a non-empty list of models`);
+        }
+        ladder.forEach((step, i) => {
+            if (!step || typeof step.model !== 'string' || !step.model.trim()) {
+                throw new Error(`"${operation}" step ${i + 1} needs a "model" name`);
+            }
+            if (step.timeout != null && !(Number.isFinite(step.timeout) && step.timeout > 0)) {
+                throw new Error(`"${operation}" step ${i + 1}: timeout must be a positive number of ms or null`);
+            }
+            if (step.temperature != null && !(Number.isFinite(step.temperature) && step.temperature >= 0 && step.temperature <= 2)) {
+                throw new Error(`"${operation}" step ${i + 1}: temperature must be between 0 and 2`);
+            }
+            if (step.responseMimeType != null && typeof step.responseMimeType !== 'string') {
+                throw new Error(`"${operation}" step ${i + 1}: responseMimeType must be a string`);
+            }
+        });
+    }
+}
 
 export class GeminiProvider extends BaseProvider {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - Gemini API key
+     * @param {object} models - Model ladder per operation (config.GEMINI_MODELS)
+     */
+    constructor(apiKey, models = {}) {
         super();
         this.apiKey = apiKey;
+        this.models = models || {};
         this.genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
         console.log(`[GeminiProvider] Initialized${apiKey ? ` (Key length: ${apiKey.length})` : ' (No key)'}`);
     }
@@ -25,101 +123,169 @@ export class GeminiProvider extends BaseProvider {
         return 'Gemini';
     }
 
+    isConfigured() {
+        return !!this.genAI;
+    }
+
+    /**
+     * The first model of the operation's ladder - fallbacks are
+     * expected to give equivalent answers, so they share cache entries
+     */
+    getModelId(operation = 'translate') {
+        return this.models[operation]?.[0]?.model || '';
+    }
+
+    getCapabilities() {
+        return createCapabilities({
+            streaming: true,
+            vision: true,
+            wordPairs: true,
+            exampleSentences: true,
+            textTranslation: true,
+            layout: true,
+            verification: true,
+            assistant: { explain: true, grammar: true, ask: true, askWithImage: true, practice: true },
+            languages: getProviderLanguages('gemini')
+        });
+    }
+
     /**
      * Translates text or image using Gemini's vision/text models
      */
-    async translate(input, targetLanguage = 'english', onStreamUpdate = null) {
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script, variety, prompts } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured. Please check your settings.');
+            throw new AuthError('API key not configured. Please check your settings.');
         }
 
         const languageName = this._getLanguageName(targetLanguage);
-        const payload = this._buildTranslationPayload(input, languageName);
+        const payload = this._buildTranslationPayload(input, languageName, { glossary, style, script, variety, prompts });
+        const isVision = Array.isArray(payload);
 
         console.time('[GeminiProvider] Translation');
 
         try {
-            // Strategy: Speed-First with Fallbacks
-            // 1. gemini-2.5-flash (Fast)
-            // 2. gemini-3-pro-preview (Powerful)
-            // 3. gemini-1.5-flash (Reliable fallback)
-
-            const result = await this._tryModelsInOrder(payload, onStreamUpdate, [
-                { name: 'gemini-3-flash-preview', timeout: 45000 },
-                { name: 'gemini-2.5-flash', timeout: 45000 },
-                { name: 'gemini-3-pro-preview', timeout: 45000 },
-                { name: 'gemini-1.5-flash', timeout: null } // Reliable fallback
-            ]);
+            // Strategy: Speed-First with Fallbacks (see config.GEMINI_MODELS.translate)
+            // Vision requests are not streamed
+            const result = await this._tryModelsInOrder('translate', payload, isVision ? null : onStreamUpdate, signal, onUsage);
 
             console.timeEnd('[GeminiProvider] Translation');
             return result;
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] All translation attempts failed:', error);
-            throw new Error(`Translation failed: ${error.message}`);
+            throw wrapError(error, 'Translation failed');
         }
     }
 
     /**
-     * Translates image with word-by-word mapping for the highlight feature
+     * Translates up to `maxRegionsPerRequest` regions per request (see
+     * BaseProvider.translateBatch). Regions the model leaves out of its
+     * answer are translated one by one.
      */
-    async translateWithWordPairs(imageData, targetLanguage = 'english') {
+    async translateBatch(regions, targetLanguage = 'english', options = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured.');
+            throw new AuthError('API key not configured. Please check your settings.');
         }
 
+        const { signal, onUsage, glossary, style, script, variety, maxRegionsPerRequest = 8, concurrency = 3 } = options;
         const languageName = this._getLanguageName(targetLanguage);
 
-        const payload = [
-            this._buildImagePart(imageData),
-            {
-                text: `Analyze the Chinese text in this image and provide a translation with word-by-word mapping.
-
-Return a JSON object in this EXACT format (no markdown, just raw JSON):
-{
-  "originalText": "The original Chinese text as seen in the image",
-  "fullPinyin": "The complete pinyin with tone marks for the entire text",
-  "fullTranslation": "The complete ${languageName} translation",
-  "wordPairs": [
-    {"chinese": "你好", "pinyin": "nǐ hǎo", "translation": "hello"},
-    {"chinese": "今天", "pinyin": "jīn tiān", "translation": "today"}
-  ]
-}
+        const groups = [];
+        for (let i = 0; i < regions.length; i += maxRegionsPerRequest) {
+            groups.push(regions.slice(i, i + maxRegionsPerRequest));
+        }
+
+        const translations = new Map();
+        const failures = new Map();
 
-Important rules:
-1. Include ALL significant words/phrases from the Chinese text
-2. Group multi-character words appropriately
-3. Provide accurate pinyin with tone marks for both fullPinyin and wordPairs
-4. Return ONLY the JSON object, no explanations`
+        await mapWithConcurrency(groups, concurrency, async (group) => {
+            const ids = group.map(region => region.id);
+            const payload = group.flatMap(({ id, input }) => [
+                { text: `[${id}]` },
+                typeof input === 'string' ? { text: input } : this._buildImagePart(input)
+            ]);
+            payload.push({ text: buildBatchTranslationPrompt(ids, languageName, { glossary, style, script, variety }) });
+
+            try {
+                const text = await this._tryModelsInOrder('translateBatch', payload, null, signal, onUsage);
+                for (const item of this._parseJsonArray(text)) {
+                    if (ids.includes(String(item?.id)) && typeof item.translation === 'string') {
+                        translations.set(String(item.id), item.translation);
+                    }
+                }
+            } catch (error) {
+                throwIfAborted(signal);
+                console.warn(`[GeminiProvider] Batch of ${group.length} failed:`, error.message);
+                // A reply we can't parse is worth retrying region by region; anything else isn't
+                if (!(error instanceof InvalidResponseError)) {
+                    ids.forEach(id => failures.set(id, error));
+                }
             }
+        });
+
+        // Every request failed the same way - report it like a single call would
+        if (failures.size === regions.length) {
+            throw wrapError(failures.values().next().value, 'Batch translation failed');
+        }
+
+        const missing = regions.filter(({ id }) => !translations.has(id) && !failures.has(id));
+        const retried = missing.length > 0
+            ? await super.translateBatch(missing, targetLanguage, options)
+            : [];
+        const retriedById = new Map(retried.map(result => [result.id, result]));
+
+        return regions.map(({ id }) => {
+            if (translations.has(id)) return { id, translation: translations.get(id) };
+            if (failures.has(id)) return { id, error: failures.get(id) };
+            return retriedById.get(id);
+        });
+    }
+
+    /**
+     * Finds and translates the text blocks of a page or region image
+     * (see BaseProvider.translateLayout)
+     */
+    async translateLayout(imageData, targetLanguage = 'english', { signal, onUsage, glossary, style, script, variety } = {}) {
+        if (!this.genAI) {
+            throw new AuthError('API key not configured. Please check your settings.');
+        }
+
+        const languageName = this._getLanguageName(targetLanguage);
+        const payload = [
+            this._buildImagePart(imageData),
+            { text: buildLayoutPrompt(languageName, { glossary, style, script, variety }) }
         ];
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: "gemini-3-flash-preview",
-                generationConfig: {
-                    temperature: 0.1,
-                    responseMimeType: "application/json"
-                }
-            });
+            const text = await this._tryModelsInOrder('layout', payload, null, signal, onUsage);
+            return this._parseLayout(text);
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[GeminiProvider] Layout translation failed:', error);
+            throw wrapError(error, 'Layout translation failed');
+        }
+    }
+
+    /**
+     * Translates image with word-by-word mapping for the highlight feature
+     */
+    async translateWithWordPairs(imageData, targetLanguage = 'english', { signal, onUsage, glossary, style, script, variety, prompts } = {}) {
+        if (!this.genAI) {
+            throw new AuthError('API key not configured.');
+        }
 
-            const result = await model.generateContent(payload);
-            const text = result.response.text();
+        const languageName = this._getLanguageName(targetLanguage);
 
-            try {
-                const parsed = JSON.parse(text);
-                return {
-                    originalText: parsed.originalText || '',
-                    fullPinyin: parsed.fullPinyin || '',
-                    fullTranslation: parsed.fullTranslation || '',
-                    wordPairs: parsed.wordPairs || []
-                };
-            } catch {
-                // Fallback if JSON parsing fails
-                return { originalText: '', fullPinyin: '', fullTranslation: text, wordPairs: [] };
-            }
+        const imagePart = this._buildImagePart(imageData);
+        const askModel = (prompt) => this._tryModelsInOrder('wordPairs', [imagePart, { text: prompt }], null, signal, onUsage);
+
+        try {
+            const text = await askModel(buildWordPairsPrompt(languageName, { glossary, style, script, variety, prompts }));
+            return await this._parseWordPairsWithRepair(text, askModel, { variety });
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Word pairs failed:', error);
             throw error;
         }
@@ -131,86 +297,69 @@ Important rules:
      * @param {string} sourceLanguage - Source language code (or 'auto')
      * @param {string} targetLanguage - Target language code
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal, onUsage, glossary, style, script }
      */
-    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null) {
+    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured. Please check your settings.');
+            throw new AuthError('API key not configured. Please check your settings.');
         }
 
         const targetLangName = this._getLanguageName(targetLanguage);
-        const sourceLangName = sourceLanguage === 'auto' ? 'the source language' : this._getLanguageName(sourceLanguage);
-
-        const prompt = sourceLanguage === 'auto'
-            ? `Translate the following text to ${targetLangName}. Auto-detect the source language.\n\nText:\n${text}\n\nProvide ONLY the translation, no explanations.`
-            : `Translate the following ${sourceLangName} text to ${targetLangName}.\n\nText:\n${text}\n\nProvide ONLY the translation, no explanations.`;
+        const sourceLangName = sourceLanguage === 'auto' ? null : this._getLanguageName(sourceLanguage);
+        const prompt = buildTranslateTextPrompt(text, sourceLangName, targetLangName, { glossary, style, script });
 
         console.log(`[GeminiProvider] Translating text: ${text.substring(0, 50)}...`);
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: 'gemini-3-flash-preview',
-                generationConfig: { temperature: 0.3 }
-            });
-
-            if (onStreamUpdate) {
-                // Stream the response
-                const result = await model.generateContentStream(prompt);
-                let fullText = '';
-                for await (const chunk of result.stream) {
-                    fullText += chunk.text();
-                    onStreamUpdate(fullText);
-                }
-                return fullText.trim();
-            } else {
-                // Non-streaming
-                const result = await model.generateContent(prompt);
-                return result.response.text().trim();
-            }
+            return await this._tryModelsInOrder('translateText', prompt, onStreamUpdate, signal, onUsage);
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Text translation failed:', error);
-            throw new Error(`Translation failed: ${error.message}`);
+            throw wrapError(error, 'Translation failed');
         }
     }
 
     /**
      * Generates example sentences using a Chinese word
      */
-    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english') {
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', { signal, onUsage, variety, prompts } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured.');
+            throw new AuthError('API key not configured.');
         }
 
-        const languageName = this._getLanguageName(targetLanguage);
-
-        const prompt = `Generate 2 simple example sentences using the Chinese word "${chineseWord}"${pinyin ? ` (${pinyin})` : ''}.
-
-Format as JSON array:
-[
-  {"chinese": "例句1", "pinyin": "lì jù yī", "translation": "Translation 1"},
-  {"chinese": "例句2", "pinyin": "lì jù èr", "translation": "Translation 2"}
-]
-
-ONLY output the JSON array.`;
+        const prompt = buildExampleSentencesPrompt(chineseWord, pinyin, { languageName: this._getLanguageName(targetLanguage), variety, prompts });
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: 'gemini-3-flash-preview',
-                generationConfig: { temperature: 0.7 }
-            });
-
-            const result = await model.generateContent(prompt);
-            const text = result.response.text().trim();
-
-            const jsonMatch = text.match(/\[[\s\S]*\]/);
-            return jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+            const text = await this._tryModelsInOrder('exampleSentences', prompt, null, signal, onUsage);
+            return this._parseJsonArray(text);
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Example sentences failed:', error);
             throw error;
         }
     }
 
+    /**
+     * Rates a back-translation against the original (confidence check,
+     * see BaseProvider.judgeBackTranslation)
+     */
+    async judgeBackTranslation(originalText, backTranslation, { signal, onUsage } = {}) {
+        if (!this.genAI) {
+            throw new AuthError('API key not configured. Please check your settings.');
+        }
+
+        try {
+            const text = await this._tryModelsInOrder('verify', buildBackTranslationJudgePrompt(originalText, backTranslation), null, signal, onUsage);
+            return this._parseJudgement(text);
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[GeminiProvider] Back-translation judge failed:', error);
+            throw wrapError(error, 'Confidence check failed');
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // AI ASSISTANT METHODS
     // ═══════════════════════════════════════════════════════════════
@@ -220,46 +369,21 @@ ONLY output the JSON array.`;
      * @param {string} text - Chinese text to explain
      * @param {string} targetLanguage - Language for the explanation
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async explainText(text, targetLanguage = 'english', onStreamUpdate = null) {
+    async explainText(text, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, variety, prompts } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured.');
+            throw new AuthError('API key not configured.');
         }
 
         const languageName = this._getLanguageName(targetLanguage);
-        const prompt = `You are an expert Chinese language teacher. Explain the following Chinese text in ${languageName}.
-
-Text: "${text}"
-
-Provide a comprehensive explanation including:
-1. **Literal Meaning**: Word-by-word breakdown
-2. **Overall Meaning**: What the text means as a whole
-3. **Usage Context**: When and how this phrase is commonly used
-4. **Cultural Notes**: Any cultural significance or nuances
-5. **Similar Expressions**: Related phrases or alternatives
-
-Be educational but concise. Use examples where helpful.`;
+        const prompt = buildExplainPrompt(text, languageName, { variety, prompts });
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: 'gemini-3-flash-preview',
-                generationConfig: { temperature: 0.5 }
-            });
-
-            if (onStreamUpdate) {
-                const result = await model.generateContentStream(prompt);
-                let fullText = '';
-                for await (const chunk of result.stream) {
-                    fullText += chunk.text();
-                    onStreamUpdate(fullText);
-                }
-                return fullText.trim();
-            } else {
-                const result = await model.generateContent(prompt);
-                return result.response.text().trim();
-            }
+            return await this._tryModelsInOrder('explain', prompt, onStreamUpdate, signal, onUsage);
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Explain text failed:', error);
             throw error;
         }
@@ -270,46 +394,21 @@ Be educational but concise. Use examples where helpful.`;
      * @param {string} text - Chinese text to analyze
      * @param {string} targetLanguage - Language for the analysis
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null) {
+    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, variety, prompts } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured.');
+            throw new AuthError('API key not configured.');
         }
 
         const languageName = this._getLanguageName(targetLanguage);
-        const prompt = `You are an expert Chinese grammar teacher. Analyze the grammar of the following Chinese text in ${languageName}.
-
-Text: "${text}"
-
-Provide a detailed grammar analysis:
-1. **Sentence Structure**: Identify the sentence pattern (SVO, topic-comment, etc.)
-2. **Parts of Speech**: Label each word/phrase (noun, verb, adjective, particle, etc.)
-3. **Grammar Patterns**: Explain key grammar structures used
-4. **Particles & Markers**: Explain any particles (了, 的, 着, etc.) and their functions
-5. **Key Points**: Important grammar rules to remember
-
-Format with clear headings. Be educational and precise.`;
+        const prompt = buildGrammarPrompt(text, languageName, { variety, prompts });
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: 'gemini-3-flash-preview',
-                generationConfig: { temperature: 0.3 }
-            });
-
-            if (onStreamUpdate) {
-                const result = await model.generateContentStream(prompt);
-                let fullText = '';
-                for await (const chunk of result.stream) {
-                    fullText += chunk.text();
-                    onStreamUpdate(fullText);
-                }
-                return fullText.trim();
-            } else {
-                const result = await model.generateContent(prompt);
-                return result.response.text().trim();
-            }
+            return await this._tryModelsInOrder('grammar', prompt, onStreamUpdate, signal, onUsage);
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Grammar analysis failed:', error);
             throw error;
         }
@@ -321,43 +420,21 @@ Format with clear headings. Be educational and precise.`;
      * @param {string} context - Optional context (e.g., current text being studied)
      * @param {string} targetLanguage - Language for the response
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async askQuestion(question, context = '', targetLanguage = 'english', onStreamUpdate = null) {
+    async askQuestion(question, context = '', targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, prompts } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured.');
+            throw new AuthError('API key not configured.');
         }
 
         const languageName = this._getLanguageName(targetLanguage);
-        let prompt = `You are a helpful and knowledgeable Chinese language assistant. Answer the following question in ${languageName}.
-
-Question: ${question}`;
-
-        if (context) {
-            prompt += `\n\nContext (text the user is studying): "${context}"`;
-        }
-
-        prompt += `\n\nProvide a clear, educational answer. Include examples with pinyin and translations when relevant. Be concise but thorough.`;
+        const prompt = buildQuestionPrompt(question, context, languageName, { prompts });
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: 'gemini-3-flash-preview',
-                generationConfig: { temperature: 0.6 }
-            });
-
-            if (onStreamUpdate) {
-                const result = await model.generateContentStream(prompt);
-                let fullText = '';
-                for await (const chunk of result.stream) {
-                    fullText += chunk.text();
-                    onStreamUpdate(fullText);
-                }
-                return fullText.trim();
-            } else {
-                const result = await model.generateContent(prompt);
-                return result.response.text().trim();
-            }
+            return await this._tryModelsInOrder('ask', prompt, onStreamUpdate, signal, onUsage);
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Ask question failed:', error);
             throw error;
         }
@@ -369,10 +446,11 @@ Question: ${question}`;
      * @param {string} imageDataUrl - Base64 data URL of the image
      * @param {string} targetLanguage - Language for the response
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null) {
+    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, prompts } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured.');
+            throw new AuthError('API key not configured.');
         }
 
         const languageName = this._getLanguageName(targetLanguage);
@@ -384,35 +462,14 @@ Question: ${question}`;
 
         const payload = [
             this._buildImagePart(base64Data),
-            {
-                text: `You are a helpful assistant. Look at this image and answer the following question based on what you see.
-
-Question: ${question}
-
-Provide a clear and helpful answer based on the content visible in the image. Answer in ${languageName}.`
-            }
+            { text: buildImageQuestionPrompt(question, languageName, { prompts }) }
         ];
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: 'gemini-3-flash-preview',
-                generationConfig: { temperature: 0.6 }
-            });
-
-            if (onStreamUpdate) {
-                const result = await model.generateContentStream(payload);
-                let fullText = '';
-                for await (const chunk of result.stream) {
-                    fullText += chunk.text();
-                    onStreamUpdate(fullText);
-                }
-                return fullText.trim();
-            } else {
-                const result = await model.generateContent(payload);
-                return result.response.text().trim();
-            }
+            return await this._tryModelsInOrder('askWithImage', payload, onStreamUpdate, signal, onUsage);
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Ask question with image failed:', error);
             throw error;
         }
@@ -423,37 +480,21 @@ Provide a clear and helpful answer based on the content visible in the image. An
      * @param {string} topic - Topic or word to practice
      * @param {string} difficulty - 'beginner', 'intermediate', or 'advanced'
      * @param {string} targetLanguage - Language for instructions
+     * @param {object} options - { signal } AbortSignal to cancel the request
      */
-    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english') {
+    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english', { signal, onUsage, prompts } = {}) {
         if (!this.genAI) {
-            throw new Error('API key not configured.');
+            throw new AuthError('API key not configured.');
         }
 
         const languageName = this._getLanguageName(targetLanguage);
-        const prompt = `Create a ${difficulty}-level Chinese practice exercise about "${topic}" in ${languageName}.
-
-Generate 3 exercises:
-1. **Fill in the blank**: A sentence with one word missing
-2. **Translation**: Translate a sentence from ${languageName} to Chinese
-3. **Multiple Choice**: Pick the correct meaning or usage
-
-For each exercise, include:
-- The question
-- The answer (hidden with "Answer: ")
-- A brief explanation
-
-Format clearly with numbering. Include pinyin where helpful.`;
+        const prompt = buildPracticePrompt(topic, difficulty, languageName, { prompts });
 
         try {
-            const model = this.genAI.getGenerativeModel({
-                model: 'gemini-3-flash-preview',
-                generationConfig: { temperature: 0.7 }
-            });
-
-            const result = await model.generateContent(prompt);
-            return result.response.text().trim();
+            return await this._tryModelsInOrder('practice', prompt, null, signal, onUsage);
 
         } catch (error) {
+            throwIfAborted(signal);
             console.error('[GeminiProvider] Generate practice failed:', error);
             throw error;
         }
@@ -463,20 +504,6 @@ Format clearly with numbering. Include pinyin where helpful.`;
     // PRIVATE HELPER METHODS
     // ═══════════════════════════════════════════════════════════════
 
-    _getLanguageName(code) {
-        const languages = {
-            'english': 'English',
-            'thai': 'Thai (ภาษาไทย)',
-            'japanese': 'Japanese',
-            'korean': 'Korean',
-            'spanish': 'Spanish',
-            'french': 'French',
-            'german': 'German',
-            'vietnamese': 'Vietnamese'
-        };
-        return languages[code] || 'English';
-    }
-
     _buildImagePart(imageData) {
         // Handle both string (base64) and object { mimeType, data }
         if (typeof imageData === 'string') {
@@ -496,44 +523,72 @@ Format clearly with numbering. Include pinyin where helpful.`;
         };
     }
 
-    _buildTranslationPayload(input, languageName) {
+    /**
+     * @param {object} promptOptions - { glossary, style, script, variety, prompts } (see prompts.js)
+     */
+    _buildTranslationPayload(input, languageName, promptOptions) {
         if (typeof input === 'string') {
             // Text-only translation
-            return `Translate this text to ${languageName}:\n${input}`;
+            return buildTextTranslationPrompt(input, languageName, promptOptions);
         } else if (input?.data) {
             // Vision translation (image)
             return [
                 this._buildImagePart(input),
-                {
-                    text: `Transcribe and translate the text in this image to ${languageName}. 
-IMPORTANT: Preserve the original layout structure.
-Output ONLY the translation.`
-                }
+                { text: buildVisionTranslationPrompt(languageName, promptOptions) }
             ];
         }
         throw new Error('Invalid input format');
     }
 
-    async _tryModelsInOrder(payload, onStreamUpdate, models) {
+    _getLadder(operation) {
+        const ladder = this.models[operation];
+        if (!Array.isArray(ladder) || ladder.length === 0) {
+            throw new Error(`No Gemini models configured for "${operation}". Check GEMINI_MODELS in config.js.`);
+        }
+        return ladder;
+    }
+
+    /**
+     * Runs the payload through the operation's model ladder
+     * @returns {Promise<string>} Trimmed response text of the first model that succeeds
+     */
+    async _tryModelsInOrder(operation, payload, onStreamUpdate, signal, onUsage = null) {
         let lastError;
 
-        for (const { name, timeout } of models) {
-            try {
-                console.log(`[GeminiProvider] Trying: ${name}`);
+        for (const step of this._getLadder(operation)) {
+            throwIfAborted(signal);
 
-                const model = this.genAI.getGenerativeModel({
-                    model: name,
-                    generationConfig: { temperature: 0.1 }
-                });
+            try {
+                console.log(`[GeminiProvider] ${operation}: trying ${step.model}`);
 
-                if (timeout) {
-                    return await this._generateWithTimeout(model, payload, onStreamUpdate, timeout);
-                } else {
-                    return await this._generateWithRetry(model, payload, onStreamUpdate);
+                const generationConfig = { temperature: step.temperature ?? 0.3 };
+                if (step.responseMimeType) {
+                    generationConfig.responseMimeType = step.responseMimeType;
                 }
+                const model = this.genAI.getGenerativeModel({ model: step.model, generationConfig });
+
+                const startedAt = Date.now();
+                const { text, usageMetadata } = step.timeout
+                    ? await this._generateWithTimeout(model, payload, onStreamUpdate, signal, step.timeout)
+                    : await this._generateWithRetry(model, payload, onStreamUpdate, signal);
+
+                this._reportUsage(onUsage, {
+                    model: step.model,
+                    operation,
+                    promptTokens: usageMetadata?.promptTokenCount || 0,
+                    outputTokens: usageMetadata?.candidatesTokenCount || 0,
+                    totalTokens: usageMetadata?.totalTokenCount || 0,
+                    latencyMs: Date.now() - startedAt
+                });
+                return text;
 
             } catch (error) {
-                console.warn(`[GeminiProvider] ${name} failed:`, error.message);
+                // Cancelled by the caller - don't fall through to the next model
+                throwIfAborted(signal);
+                console.warn(`[GeminiProvider] ${step.model} failed:`, error.message);
+                if (!shouldTryNextModel(error)) {
+                    throw error;
+                }
                 lastError = error;
             }
         }
@@ -541,52 +596,149 @@ Output ONLY the translation.`
         throw lastError;
     }
 
-    async _generateWithTimeout(model, payload, onStreamUpdate, timeoutMs) {
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error(`Timeout after ${timeoutMs}ms`)), timeoutMs);
-        });
+    /**
+     * _generateWithRetry with a time limit. The attempt gets its own
+     * AbortController, aborted by the caller's signal or the timer, so a
+     * timed-out request stops (and stops streaming) before the next model
+     * in the ladder starts.
+     */
+    async _generateWithTimeout(model, payload, onStreamUpdate, signal, timeoutMs) {
+        throwIfAborted(signal);
 
-        return Promise.race([
-            this._generateWithRetry(model, payload, onStreamUpdate),
-            timeoutPromise
-        ]);
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        try {
+            return await this._generateWithRetry(model, payload, onStreamUpdate, controller.signal);
+        } catch (error) {
+            if (timedOut && !signal?.aborted) {
+                throw new TimeoutError(`Timeout after ${timeoutMs}ms`, { timeoutMs, cause: error });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
     }
 
-    async _generateWithRetry(model, payload, onStreamUpdate, maxRetries = 3) {
+    /**
+     * @returns {Promise<{text: string, usageMetadata: object|undefined}>}
+     */
+    async _generateWithRetry(model, payload, onStreamUpdate, signal = null, maxRetries = 3) {
         let lastError;
-        const isVision = Array.isArray(payload);
 
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                if (isVision) {
-                    // Vision: Non-streaming
-                    const result = await model.generateContent(payload);
-                    return result.response.text();
-                } else if (onStreamUpdate) {
-                    // Text: Streaming
-                    const result = await model.generateContentStream(payload);
+                if (onStreamUpdate) {
+                    // Streaming
+                    const result = await model.generateContentStream(payload, { signal });
                     let fullText = '';
                     for await (const chunk of result.stream) {
+                        throwIfAborted(signal);
                         fullText += chunk.text();
                         onStreamUpdate(fullText);
                     }
-                    return fullText.trim();
+                    // The aggregated response carries the final token counts
+                    const { usageMetadata } = await result.response;
+                    return { text: fullText.trim(), usageMetadata };
                 } else {
-                    // Text: Non-streaming
-                    const result = await model.generateContent(payload);
-                    return result.response.text().trim();
+                    // Non-streaming
+                    const result = await model.generateContent(payload, { signal });
+                    return { text: result.response.text().trim(), usageMetadata: result.response.usageMetadata };
                 }
 
             } catch (error) {
-                lastError = error;
-                if (error.message.includes('503') || error.message.includes('429')) {
-                    console.warn(`[GeminiProvider] Attempt ${attempt} failed (overloaded). Retrying...`);
-                    await new Promise(r => setTimeout(r, attempt * 1000));
+                throwIfAborted(signal);
+                lastError = this._toProviderError(error);
+
+                const waitMs = lastError.retryAfter != null ? lastError.retryAfter * 1000 : attempt * 1000;
+                if (isRetryable(lastError) && attempt < maxRetries && waitMs <= MAX_RETRY_WAIT_MS) {
+                    console.warn(`[GeminiProvider] Attempt ${attempt} failed (rate limited). Retrying in ${waitMs}ms...`);
+                    await abortableDelay(waitMs, signal);
                     continue;
                 }
-                throw error;
+                throw lastError;
             }
         }
         throw lastError;
     }
+
+    /**
+     * Maps SDK errors onto the shared error types (see errors.js)
+     */
+    _toProviderError(error) {
+        if (error instanceof ProviderError || isAbortError(error)) {
+            return error;
+        }
+
+        if (error instanceof GoogleGenerativeAIFetchError) {
+            const { status } = error;
+            if (status === 401 || status === 403 || /API key not valid/i.test(error.message)) {
+                return new AuthError(error.message, { status, cause: error });
+            }
+            if (status === 429 || status === 503) {
+                return new RateLimitedError(error.message, {
+                    status,
+                    retryAfter: this._getRetryDelay(error.errorDetails),
+                    cause: error
+                });
+            }
+            if (status === 504) {
+                return new TimeoutError(error.message, { status, cause: error });
+            }
+            return new ProviderError(error.message, { status, cause: error });
+        }
+
+        if (error instanceof GoogleGenerativeAIResponseError) {
+            const categories = this._getBlockCategories(error.response);
+            if (categories) {
+                return new SafetyBlockedError(error.message, { categories, cause: error });
+            }
+            return new InvalidResponseError(error.message, { cause: error });
+        }
+
+        // Remaining SDK errors carry no type - only their message tells them apart
+        if (/Error fetching from/.test(error.message)) {
+            return new NetworkError(error.message, { cause: error });
+        }
+        if (/Failed to parse stream|Error parsing JSON response/.test(error.message)) {
+            return new InvalidResponseError(error.message, { cause: error });
+        }
+        return new ProviderError(error.message, { cause: error });
+    }
+
+    /**
+     * Reads google.rpc.RetryInfo ("retryDelay": "12s") from a 429 response
+     * @returns {number|null} Seconds
+     */
+    _getRetryDelay(errorDetails) {
+        const retryInfo = (errorDetails || []).find(d => d['@type']?.endsWith('RetryInfo'));
+        const seconds = parseFloat(retryInfo?.retryDelay);
+        return Number.isFinite(seconds) ? seconds : null;
+    }
+
+    /**
+     * @returns {string[]|null} Why the prompt or answer was blocked, or null if it wasn't
+     */
+    _getBlockCategories(response) {
+        const feedback = response?.promptFeedback;
+        const candidate = response?.candidates?.[0];
+        const reason = feedback?.blockReason ||
+            (['SAFETY', 'RECITATION', 'LANGUAGE'].includes(candidate?.finishReason) ? candidate.finishReason : null);
+
+        if (!reason) return null;
+
+        const ratings = candidate?.safetyRatings || feedback?.safetyRatings || [];
+        const categories = ratings
+            .filter(r => r.blocked || r.probability === 'HIGH' || r.probability === 'MEDIUM')
+            .map(r => r.category);
+        return categories.length > 0 ? categories : [reason];
+    }
 }
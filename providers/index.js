@@ -7,6 +7,15 @@
  */
 
 export { BaseProvider } from './base-provider.js';
-export { GeminiProvider } from './gemini-provider.js';
-export { CustomModelProvider } from './custom-model-provider.js';
-export { createTranslationProvider, createHybridProvider } from './provider-factory.js';
+export { LANGUAGES, getLanguage, getPromptLanguageName, getProviderLanguages, getDocumentLanguages } from './languages.js';
+export { GeminiProvider, GEMINI_OPERATIONS, validateGeminiModels } from './gemini-provider.js';
+export { CustomModelProvider, CUSTOM_PROTOCOL_VERSION } from './custom-model-provider.js';
+export { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+export { OllamaProvider } from './ollama-provider.js';
+export { DictionaryProvider } from './dictionary-provider.js';
+export { ROMANIZATIONS, toneNumbersToMarks, toneMarksToNumbers, pinyinToZhuyin, formatPinyin, applyToneSandhi, checkPinyin } from './pinyin.js';
+export { checkJyutping } from './jyutping.js';
+export { alignWordPairs } from './word-pair-aligner.js';
+export { ProviderChain, ProviderHealth } from './provider-chain.js';
+export { ReplayProvider } from './replay-provider.js';
+export { createTranslationProvider, createProviderChain, createHybridProvider, createReplayProvider } from './provider-factory.js';
@@ -0,0 +1,75 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * JYUTPING
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Cantonese romanization (LSHK Jyutping), used instead of pinyin when
+ * the source variety is Cantonese (CHINESE_VARIETIES in prompts.js):
+ *
+ *   你好 nei5 hou2     佢哋 keoi5 dei6     唔該 m4 goi1
+ *
+ * Every syllable ends in its tone number, 1 to 6. Providers return it
+ * in the same "pinyin" fields as pinyin, so the word-pair validator
+ * checks it here instead of with checkPinyin (pinyin.js).
+ */
+
+const HAN_CHAR = /\p{Script=Han}/u;
+
+// Initial + final, or the syllabic nasals m and ng (唔 m4, 五 ng5)
+const SYLLABLE = new RegExp('^(?:(?:b|p|m|f|d|t|n|l|gw|kw|g|k|ng|h|w|z|c|s|j)?' +
+    '(?:aa(?:i|u|m|n|ng|p|t|k)?|a(?:i|u|m|n|ng|p|t|k)|e(?:i|u|m|n|ng|p|t|k)?|i(?:u|m|n|ng|p|t|k)?|' +
+    'o(?:i|u|n|ng|t|k)?|u(?:i|n|ng|t|k)?|oe(?:ng|k)?|eo(?:i|n|t)|yu(?:n|t)?)|m|ng)$');
+
+/**
+ * Split Jyutping into syllables. Spaces and punctuation separate words;
+ * inside a word a tone number ends a syllable ("nei5hou2").
+ * @returns {Array} [{ text, syllable, tone (1-6, or null when missing), valid }]
+ */
+export function parseJyutping(text) {
+    const syllables = [];
+    for (const word of (text || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+        const parts = word.toLowerCase().match(/[a-z]+[1-6]?/g) || [];
+        if (parts.join('') !== word.toLowerCase()) {
+            syllables.push({ text: word, syllable: word, tone: null, valid: false });
+            continue;
+        }
+        parts.forEach(part => {
+            const syllable = part.replace(/[1-6]$/, '');
+            const tone = syllable === part ? null : Number(part.slice(-1));
+            syllables.push({ text: part, syllable, tone, valid: SYLLABLE.test(syllable) });
+        });
+    }
+    return syllables;
+}
+
+/**
+ * Problems with Jyutping a provider returned, as sentence endings
+ * (like checkPinyin in pinyin.js)
+ * @param {string} jyutping
+ * @param {string|null} chinese - The characters it is for: the syllable
+ *   count must match. Skipped when it contains Latin letters or digits.
+ * @returns {string[]} Empty when it is fine
+ */
+export function checkJyutping(jyutping, chinese = null) {
+    if (chinese != null && /[\p{L}\p{N}]/u.test(Array.from(chinese).filter(char => !HAN_CHAR.test(char)).join(''))) {
+        return [];
+    }
+
+    const syllables = parseJyutping(jyutping);
+    const problems = [];
+
+    const invalid = syllables.filter(syllable => !syllable.valid).map(syllable => `"${syllable.text}"`);
+    if (invalid.length > 0) {
+        problems.push(`has text that is not Jyutping: ${invalid.join(', ')}`);
+    }
+    if (syllables.some(syllable => syllable.valid && syllable.tone === null)) {
+        problems.push('has a syllable without its tone number (1-6)');
+    }
+    if (chinese != null && invalid.length === 0) {
+        const characters = Array.from(chinese).filter(char => HAN_CHAR.test(char)).length;
+        if (characters > 0 && syllables.length !== characters) {
+            problems.push(`has ${syllables.length} syllable${syllables.length !== 1 ? 's' : ''} for ${characters} character${characters !== 1 ? 's' : ''}`);
+        }
+    }
+    return problems;
+}
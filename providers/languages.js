@@ -0,0 +1,87 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * LANGUAGE REGISTRY
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Every language the app knows, in one place. Providers read it to
+ * name languages in prompts and to report what they support; the UI
+ * builds its language <select>s and labels from it.
+ *
+ * ADDING A LANGUAGE: add an entry below. It appears in Settings, the
+ * start screen and the translation bot for every provider listed in
+ * `providers` (the VITE_TRANSLATION_PROVIDER types).
+ *
+ * Fields:
+ *   code            - Internal code used everywhere ('thai', ...)
+ *   name            - English name, used in prompts
+ *   nativeName      - Name in the language itself, used in the UI
+ *   flag            - Emoji shown next to the name
+ *   dir             - 'ltr' or 'rtl' (how translations are laid out)
+ *   tts             - BCP 47 tag for speech synthesis voices and the
+ *                     `lang` attribute of translated text
+ *   providers       - Provider types that can translate into it
+ *   documentTarget  - false if it makes no sense as the target for a
+ *                     Chinese document (Chinese itself)
+ */
+
+const LLM_PROVIDERS = ['gemini', 'openai-compatible', 'ollama'];
+
+// Small local models are unreliable in these scripts, so Ollama doesn't offer them
+const LARGE_LLM_PROVIDERS = ['gemini', 'openai-compatible'];
+
+export const LANGUAGES = [
+    { code: 'english', name: 'English', nativeName: 'English', flag: '🇺🇸', dir: 'ltr', tts: 'en-US', providers: [...LLM_PROVIDERS, 'custom', 'dictionary'] },
+    { code: 'chinese', name: 'Chinese', nativeName: '中文', flag: '🇨🇳', dir: 'ltr', tts: 'zh-CN', providers: LLM_PROVIDERS, documentTarget: false },
+    { code: 'thai', name: 'Thai', nativeName: 'ภาษาไทย', flag: '🇹🇭', dir: 'ltr', tts: 'th-TH', providers: [...LLM_PROVIDERS, 'custom'] },
+    { code: 'japanese', name: 'Japanese', nativeName: '日本語', flag: '🇯🇵', dir: 'ltr', tts: 'ja-JP', providers: LLM_PROVIDERS },
+    { code: 'korean', name: 'Korean', nativeName: '한국어', flag: '🇰🇷', dir: 'ltr', tts: 'ko-KR', providers: LLM_PROVIDERS },
+    { code: 'vietnamese', name: 'Vietnamese', nativeName: 'Tiếng Việt', flag: '🇻🇳', dir: 'ltr', tts: 'vi-VN', providers: LLM_PROVIDERS },
+    { code: 'indonesian', name: 'Indonesian', nativeName: 'Bahasa Indonesia', flag: '🇮🇩', dir: 'ltr', tts: 'id-ID', providers: LLM_PROVIDERS },
+    { code: 'malay', name: 'Malay', nativeName: 'Bahasa Melayu', flag: '🇲🇾', dir: 'ltr', tts: 'ms-MY', providers: LLM_PROVIDERS },
+    { code: 'burmese', name: 'Burmese', nativeName: 'မြန်မာဘာသာ', flag: '🇲🇲', dir: 'ltr', tts: 'my-MM', providers: LARGE_LLM_PROVIDERS },
+    { code: 'lao', name: 'Lao', nativeName: 'ພາສາລາວ', flag: '🇱🇦', dir: 'ltr', tts: 'lo-LA', providers: LARGE_LLM_PROVIDERS },
+    { code: 'khmer', name: 'Khmer', nativeName: 'ភាសាខ្មែរ', flag: '🇰🇭', dir: 'ltr', tts: 'km-KH', providers: LARGE_LLM_PROVIDERS },
+    { code: 'spanish', name: 'Spanish', nativeName: 'Español', flag: '🇪🇸', dir: 'ltr', tts: 'es-ES', providers: LLM_PROVIDERS },
+    { code: 'french', name: 'French', nativeName: 'Français', flag: '🇫🇷', dir: 'ltr', tts: 'fr-FR', providers: LLM_PROVIDERS },
+    { code: 'german', name: 'German', nativeName: 'Deutsch', flag: '🇩🇪', dir: 'ltr', tts: 'de-DE', providers: LLM_PROVIDERS },
+    { code: 'russian', name: 'Russian', nativeName: 'Русский', flag: '🇷🇺', dir: 'ltr', tts: 'ru-RU', providers: LLM_PROVIDERS },
+    { code: 'arabic', name: 'Arabic', nativeName: 'العربية', flag: '🇸🇦', dir: 'rtl', tts: 'ar-SA', providers: LLM_PROVIDERS }
+];
+
+const BY_CODE = new Map(LANGUAGES.map(language => [language.code, language]));
+
+/**
+ * @returns {object|null} The registry entry for a code
+ */
+export function getLanguage(code) {
+    return BY_CODE.get(code) || null;
+}
+
+/**
+ * How prompts name a language, e.g. 'Thai (ภาษาไทย)'. The native name
+ * keeps models from confusing similar languages (Malay/Indonesian).
+ * Unknown codes fall back to English.
+ */
+export function getPromptLanguageName(code) {
+    const language = getLanguage(code) || getLanguage('english');
+    return language.nativeName === language.name
+        ? language.name
+        : `${language.name} (${language.nativeName})`;
+}
+
+/**
+ * Codes a provider type can translate into (for getCapabilities)
+ * @param {string} providerType - 'gemini', 'openai-compatible', 'ollama', 'custom', 'dictionary'
+ */
+export function getProviderLanguages(providerType) {
+    return LANGUAGES
+        .filter(language => language.providers.includes(providerType))
+        .map(language => language.code);
+}
+
+/**
+ * Languages offered as targets for a document (everything but Chinese)
+ */
+export function getDocumentLanguages() {
+    return LANGUAGES.filter(language => language.documentTarget !== false);
+}
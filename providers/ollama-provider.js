@@ -0,0 +1,335 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * OLLAMA PROVIDER (fully on-device)
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Talks to a local Ollama server (https://ollama.com) through its
+ * `/api/chat` endpoint, so documents never leave the machine.
+ *
+ * - Streaming uses newline-delimited JSON (one object per line)
+ * - Images go in the message's `images` array as raw base64
+ *   (needs a multimodal model such as llava, qwen2.5vl, gemma3)
+ *
+ * CONFIG (.env):
+ *   VITE_TRANSLATION_PROVIDER=ollama
+ *   VITE_OLLAMA_URL=http://localhost:11434     (default)
+ *   VITE_OLLAMA_MODEL=qwen2.5:7b
+ *   VITE_OLLAMA_VISION_MODEL=qwen2.5vl:7b       (optional, defaults to MODEL)
+ *
+ * Note: when the app is served from another origin, start Ollama with
+ * OLLAMA_ORIGINS set so the browser is allowed to call it.
+ */
+
+import { BaseProvider, createCapabilities } from "./base-provider.js";
+import { getProviderLanguages } from "./languages.js";
+import { readNDJSON } from "./stream-utils.js";
+import {
+    buildVisionTranslationPrompt,
+    buildTextTranslationPrompt,
+    buildWordPairsPrompt,
+    buildTranslateTextPrompt,
+    buildExampleSentencesPrompt,
+    buildExplainPrompt,
+    buildGrammarPrompt,
+    buildQuestionPrompt,
+    buildImageQuestionPrompt,
+    buildPracticePrompt
+} from "./prompts.js";
+import {
+    NetworkError,
+    InvalidResponseError,
+    ProviderError,
+    errorFromResponse,
+    wrapError,
+    throwIfAborted
+} from "./errors.js";
+
+export const DEFAULT_OLLAMA_URL = 'http://localhost:11434';
+
+export class OllamaProvider extends BaseProvider {
+    /**
+     * @param {string} baseUrl - Ollama server URL (defaults to http://localhost:11434)
+     * @param {string} model - Model name for text requests
+     * @param {string} visionModel - Optional model name for image requests (defaults to model)
+     */
+    constructor(baseUrl = DEFAULT_OLLAMA_URL, model = null, visionModel = null) {
+        super();
+        this.baseUrl = (baseUrl || DEFAULT_OLLAMA_URL).replace(/\/+$/, '');
+        this.model = model;
+        this.visionModel = visionModel || model;
+        console.log(`[OllamaProvider] Initialized with URL: ${this.baseUrl} (model: ${model}, vision: ${this.visionModel})`);
+    }
+
+    getName() {
+        return `Ollama (${this.model})`;
+    }
+
+    getModelId() {
+        return this.visionModel === this.model ? this.model : `${this.model}+${this.visionModel}`;
+    }
+
+    getCapabilities() {
+        return createCapabilities({
+            streaming: true,
+            vision: true,
+            wordPairs: true,
+            exampleSentences: true,
+            textTranslation: true,
+            assistant: { explain: true, grammar: true, ask: true, askWithImage: true, practice: true },
+            languages: getProviderLanguages('ollama')
+        });
+    }
+
+    /**
+     * Translates text or image
+     */
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script, variety, prompts } = {}) {
+        const languageName = this._getLanguageName(targetLanguage);
+        const isImage = typeof input === 'object' && input?.data;
+
+        let message;
+        if (isImage) {
+            message = this._userMessage(buildVisionTranslationPrompt(languageName, { glossary, style, script, variety, prompts }), input);
+        } else if (typeof input === 'string') {
+            message = this._userMessage(buildTextTranslationPrompt(input, languageName, { glossary, style, script, variety, prompts }));
+        } else {
+            throw new Error('Invalid input format');
+        }
+
+        try {
+            const text = await this._chat([message], {
+                model: isImage ? this.visionModel : this.model,
+                temperature: 0.1,
+                onStreamUpdate,
+                signal,
+                onUsage,
+                operation: 'translate'
+            });
+            return text.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OllamaProvider] Translation failed:', error);
+            throw wrapError(error, 'Translation failed');
+        }
+    }
+
+    /**
+     * Translates image with word-by-word mapping for the highlight feature
+     */
+    async translateWithWordPairs(imageData, targetLanguage = 'english', { signal, onUsage, glossary, style, script, variety, prompts } = {}) {
+        const languageName = this._getLanguageName(targetLanguage);
+
+        const askModel = (prompt) => this._chat(
+            [this._userMessage(prompt, imageData)],
+            { model: this.visionModel, temperature: 0.1, format: 'json', signal, onUsage, operation: 'wordPairs' }
+        );
+
+        try {
+            const text = await askModel(buildWordPairsPrompt(languageName, { glossary, style, script, variety, prompts }));
+            return await this._parseWordPairsWithRepair(text, askModel, { variety });
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OllamaProvider] Word pairs failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Translates text directly (for the translation bot)
+     */
+    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script } = {}) {
+        const targetLangName = this._getLanguageName(targetLanguage);
+        const sourceLangName = sourceLanguage === 'auto' ? null : this._getLanguageName(sourceLanguage);
+        const prompt = buildTranslateTextPrompt(text, sourceLangName, targetLangName, { glossary, style, script });
+
+        try {
+            const result = await this._chat([this._userMessage(prompt)], { temperature: 0.3, onStreamUpdate, signal, onUsage, operation: 'translateText' });
+            return result.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OllamaProvider] Text translation failed:', error);
+            throw wrapError(error, 'Translation failed');
+        }
+    }
+
+    /**
+     * Generates example sentences using a Chinese word
+     */
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', { signal, onUsage, variety, prompts } = {}) {
+        const prompt = buildExampleSentencesPrompt(chineseWord, pinyin, { languageName: this._getLanguageName(targetLanguage), variety, prompts });
+
+        try {
+            const text = await this._chat([this._userMessage(prompt)], { temperature: 0.7, signal, onUsage, operation: 'exampleSentences' });
+            return this._parseJsonArray(text.trim());
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OllamaProvider] Example sentences failed:', error);
+            throw error;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // AI ASSISTANT METHODS
+    // ═══════════════════════════════════════════════════════════════
+
+    async explainText(text, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, variety, prompts } = {}) {
+        const prompt = buildExplainPrompt(text, this._getLanguageName(targetLanguage), { variety, prompts });
+        return this._chatText(prompt, 0.5, onStreamUpdate, 'Explain text', { signal, onUsage, operation: 'explain' });
+    }
+
+    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, variety, prompts } = {}) {
+        const prompt = buildGrammarPrompt(text, this._getLanguageName(targetLanguage), { variety, prompts });
+        return this._chatText(prompt, 0.3, onStreamUpdate, 'Grammar analysis', { signal, onUsage, operation: 'grammar' });
+    }
+
+    async askQuestion(question, context = '', targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, prompts } = {}) {
+        const prompt = buildQuestionPrompt(question, context, this._getLanguageName(targetLanguage), { prompts });
+        return this._chatText(prompt, 0.6, onStreamUpdate, 'Ask question', { signal, onUsage, operation: 'ask' });
+    }
+
+    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, prompts } = {}) {
+        const prompt = buildImageQuestionPrompt(question, this._getLanguageName(targetLanguage), { prompts });
+
+        try {
+            const text = await this._chat([this._userMessage(prompt, imageDataUrl)], {
+                model: this.visionModel,
+                temperature: 0.6,
+                onStreamUpdate,
+                signal,
+                onUsage,
+                operation: 'askWithImage'
+            });
+            return text.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OllamaProvider] Ask question with image failed:', error);
+            throw error;
+        }
+    }
+
+    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english', { signal, onUsage, prompts } = {}) {
+        const prompt = buildPracticePrompt(topic, difficulty, this._getLanguageName(targetLanguage), { prompts });
+        return this._chatText(prompt, 0.7, null, 'Generate practice', { signal, onUsage, operation: 'practice' });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRIVATE HELPER METHODS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * @param {object} options - { signal, onUsage, operation }
+     */
+    async _chatText(prompt, temperature, onStreamUpdate, label, { signal = null, onUsage = null, operation = null } = {}) {
+        try {
+            const text = await this._chat([this._userMessage(prompt)], { temperature, onStreamUpdate, signal, onUsage, operation });
+            return text.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error(`[OllamaProvider] ${label} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Builds a user message. Ollama wants images as raw base64 (no data URL prefix).
+     * @param {string} text - Prompt text
+     * @param {string|object|null} image - base64 string, data URL, or { mimeType, data }
+     */
+    _userMessage(text, image = null) {
+        const message = { role: 'user', content: text };
+        if (image) {
+            message.images = [this._toBase64(image)];
+        }
+        return message;
+    }
+
+    _toBase64(image) {
+        const data = typeof image === 'string' ? image : image.data;
+        return data.includes(',') ? data.split(',')[1] : data;
+    }
+
+    /**
+     * Sends a /api/chat request. Streams NDJSON when onStreamUpdate is given.
+     * Reports the token counts of the final response to onUsage, as `operation`.
+     * @returns {Promise<string>} The assistant message text
+     */
+    async _chat(messages, { model = this.model, temperature = 0.3, format = null, onStreamUpdate = null, signal = null, onUsage = null, operation = null } = {}) {
+        if (!model) {
+            throw new Error('Ollama model not configured. Please check your settings.');
+        }
+
+        const body = {
+            model,
+            messages,
+            stream: !!onStreamUpdate,
+            options: { temperature }
+        };
+        if (format) {
+            body.format = format;
+        }
+
+        const startedAt = Date.now();
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/api/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            throwIfAborted(signal);
+            throw new NetworkError(`Could not reach Ollama at ${this.baseUrl} - is it running? (${error.message})`, { cause: error });
+        }
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw errorFromResponse(response, `Ollama error: ${response.status} ${response.statusText}${detail ? ` - ${detail.slice(0, 200)}` : ''}`);
+        }
+
+        if (!onStreamUpdate) {
+            const data = await response.json().catch(error => {
+                throw new InvalidResponseError(`Ollama returned invalid JSON: ${error.message}`, { cause: error });
+            });
+            if (data.error) throw new ProviderError(`Ollama error: ${data.error}`);
+            this._reportChatUsage(onUsage, { model, operation, final: data, startedAt });
+            return data.message?.content || '';
+        }
+
+        let fullText = '';
+        for await (const chunk of readNDJSON(response)) {
+            if (chunk.error) {
+                throw new ProviderError(`Ollama error: ${chunk.error}`);
+            }
+
+            const delta = chunk.message?.content;
+            if (delta) {
+                fullText += delta;
+                onStreamUpdate(fullText);
+            }
+
+            if (chunk.done) {
+                this._reportChatUsage(onUsage, { model, operation, final: chunk, startedAt });
+                break;
+            }
+        }
+
+        return fullText;
+    }
+
+    /**
+     * Ollama counts tokens in the final response (the one with done: true)
+     */
+    _reportChatUsage(onUsage, { model, operation, final, startedAt }) {
+        const promptTokens = final.prompt_eval_count || 0;
+        const outputTokens = final.eval_count || 0;
+        this._reportUsage(onUsage, {
+            model,
+            operation,
+            promptTokens,
+            outputTokens,
+            totalTokens: promptTokens + outputTokens,
+            latencyMs: Date.now() - startedAt
+        });
+    }
+}
@@ -0,0 +1,445 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * OPENAI-COMPATIBLE PROVIDER
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Talks to any server that speaks the OpenAI `/v1/chat/completions`
+ * protocol: OpenAI itself, vLLM, LiteLLM, LM Studio, llama.cpp server,
+ * or a self-hosted gateway in front of a vision model.
+ *
+ * Images are sent as `image_url` content parts (base64 data URLs) and
+ * streaming uses Server-Sent Events (`stream: true`).
+ *
+ * CONFIG (.env):
+ *   VITE_TRANSLATION_PROVIDER=openai-compatible
+ *   VITE_OPENAI_BASE_URL=http://localhost:8000/v1
+ *   VITE_OPENAI_API_KEY=sk-...            (optional)
+ *   VITE_OPENAI_MODEL=qwen2.5-vl-7b-instruct
+ *   VITE_OPENAI_VISION_MODEL=...          (optional, defaults to MODEL)
+ */
+
+import { BaseProvider, createCapabilities } from "./base-provider.js";
+import { getProviderLanguages } from "./languages.js";
+import { readServerSentEvents } from "./stream-utils.js";
+import {
+    buildVisionTranslationPrompt,
+    buildTextTranslationPrompt,
+    buildWordPairsPrompt,
+    buildLayoutPrompt,
+    buildTranslateTextPrompt,
+    buildExampleSentencesPrompt,
+    buildBackTranslationJudgePrompt,
+    buildExplainPrompt,
+    buildGrammarPrompt,
+    buildQuestionPrompt,
+    buildImageQuestionPrompt,
+    buildPracticePrompt
+} from "./prompts.js";
+import {
+    SafetyBlockedError,
+    InvalidResponseError,
+    ProviderError,
+    errorFromResponse,
+    networkError,
+    wrapError,
+    throwIfAborted
+} from "./errors.js";
+
+export class OpenAICompatibleProvider extends BaseProvider {
+    /**
+     * @param {string} baseUrl - API base URL including the version, e.g. http://host:8000/v1
+     * @param {string} apiKey - Optional bearer token
+     * @param {string} model - Model name for text requests
+     * @param {string} visionModel - Optional model name for image requests (defaults to model)
+     */
+    constructor(baseUrl, apiKey = null, model = null, visionModel = null) {
+        super();
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.visionModel = visionModel || model;
+        console.log(`[OpenAICompatibleProvider] Initialized with URL: ${this.baseUrl} (model: ${model})`);
+    }
+
+    getName() {
+        return `OpenAI-compatible (${this.model})`;
+    }
+
+    getModelId() {
+        return this.visionModel === this.model ? this.model : `${this.model}+${this.visionModel}`;
+    }
+
+    getCapabilities() {
+        return createCapabilities({
+            streaming: true,
+            vision: true,
+            wordPairs: true,
+            exampleSentences: true,
+            textTranslation: true,
+            layout: true,
+            verification: true,
+            assistant: { explain: true, grammar: true, ask: true, askWithImage: true, practice: true },
+            languages: getProviderLanguages('openai-compatible')
+        });
+    }
+
+    /**
+     * Translates text or image
+     */
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script, variety, prompts } = {}) {
+        const languageName = this._getLanguageName(targetLanguage);
+        const isImage = typeof input === 'object' && input?.data;
+
+        let messages;
+        if (isImage) {
+            messages = [this._userMessage(buildVisionTranslationPrompt(languageName, { glossary, style, script, variety, prompts }), input)];
+        } else if (typeof input === 'string') {
+            messages = [this._userMessage(buildTextTranslationPrompt(input, languageName, { glossary, style, script, variety, prompts }))];
+        } else {
+            throw new Error('Invalid input format');
+        }
+
+        try {
+            const text = await this._chat(messages, {
+                model: isImage ? this.visionModel : this.model,
+                temperature: 0.1,
+                onStreamUpdate,
+                signal,
+                onUsage,
+                operation: 'translate'
+            });
+            return text.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OpenAICompatibleProvider] Translation failed:', error);
+            throw wrapError(error, 'Translation failed');
+        }
+    }
+
+    /**
+     * Translates image with word-by-word mapping for the highlight feature
+     */
+    async translateWithWordPairs(imageData, targetLanguage = 'english', { signal, onUsage, glossary, style, script, variety, prompts } = {}) {
+        const languageName = this._getLanguageName(targetLanguage);
+
+        const askModel = (prompt) => this._chat(
+            [this._userMessage(prompt, imageData)],
+            {
+                model: this.visionModel,
+                temperature: 0.1,
+                responseFormat: { type: 'json_object' },
+                signal,
+                onUsage,
+                operation: 'wordPairs'
+            }
+        );
+
+        try {
+            const text = await askModel(buildWordPairsPrompt(languageName, { glossary, style, script, variety, prompts }));
+            return await this._parseWordPairsWithRepair(text, askModel, { variety });
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OpenAICompatibleProvider] Word pairs failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds and translates the text blocks of a page or region image
+     */
+    async translateLayout(imageData, targetLanguage = 'english', { signal, onUsage, glossary, style, script, variety } = {}) {
+        const languageName = this._getLanguageName(targetLanguage);
+
+        try {
+            const text = await this._chat(
+                [this._userMessage(buildLayoutPrompt(languageName, { glossary, style, script, variety }), imageData)],
+                {
+                    model: this.visionModel,
+                    temperature: 0.1,
+                    responseFormat: { type: 'json_object' },
+                    signal,
+                    onUsage,
+                    operation: 'layout'
+                }
+            );
+            return this._parseLayout(text);
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OpenAICompatibleProvider] Layout translation failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rates a back-translation against the original (confidence check)
+     */
+    async judgeBackTranslation(originalText, backTranslation, { signal, onUsage } = {}) {
+        const text = await this._chat(
+            [this._userMessage(buildBackTranslationJudgePrompt(originalText, backTranslation))],
+            { temperature: 0, responseFormat: { type: 'json_object' }, signal, onUsage, operation: 'verify' }
+        );
+        return this._parseJudgement(text);
+    }
+
+    /**
+     * Translates text directly (for the translation bot)
+     */
+    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, glossary, style, script } = {}) {
+        const targetLangName = this._getLanguageName(targetLanguage);
+        const sourceLangName = sourceLanguage === 'auto' ? null : this._getLanguageName(sourceLanguage);
+        const prompt = buildTranslateTextPrompt(text, sourceLangName, targetLangName, { glossary, style, script });
+
+        try {
+            const result = await this._chat([this._userMessage(prompt)], {
+                temperature: 0.3,
+                onStreamUpdate,
+                signal,
+                onUsage,
+                operation: 'translateText'
+            });
+            return result.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OpenAICompatibleProvider] Text translation failed:', error);
+            throw wrapError(error, 'Translation failed');
+        }
+    }
+
+    /**
+     * Generates example sentences using a Chinese word
+     */
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', { signal, onUsage, variety, prompts } = {}) {
+        const prompt = buildExampleSentencesPrompt(chineseWord, pinyin, { languageName: this._getLanguageName(targetLanguage), variety, prompts });
+
+        try {
+            const text = await this._chat([this._userMessage(prompt)], { temperature: 0.7, signal, onUsage, operation: 'exampleSentences' });
+            return this._parseJsonArray(text.trim());
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OpenAICompatibleProvider] Example sentences failed:', error);
+            throw error;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // AI ASSISTANT METHODS
+    // ═══════════════════════════════════════════════════════════════
+
+    async explainText(text, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, variety, prompts } = {}) {
+        const prompt = buildExplainPrompt(text, this._getLanguageName(targetLanguage), { variety, prompts });
+        return this._chatText(prompt, 0.5, onStreamUpdate, 'Explain text', { signal, onUsage, operation: 'explain' });
+    }
+
+    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, variety, prompts } = {}) {
+        const prompt = buildGrammarPrompt(text, this._getLanguageName(targetLanguage), { variety, prompts });
+        return this._chatText(prompt, 0.3, onStreamUpdate, 'Grammar analysis', { signal, onUsage, operation: 'grammar' });
+    }
+
+    async askQuestion(question, context = '', targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, prompts } = {}) {
+        const prompt = buildQuestionPrompt(question, context, this._getLanguageName(targetLanguage), { prompts });
+        return this._chatText(prompt, 0.6, onStreamUpdate, 'Ask question', { signal, onUsage, operation: 'ask' });
+    }
+
+    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null, { signal, onUsage, prompts } = {}) {
+        const prompt = buildImageQuestionPrompt(question, this._getLanguageName(targetLanguage), { prompts });
+
+        try {
+            const text = await this._chat([this._userMessage(prompt, imageDataUrl)], {
+                model: this.visionModel,
+                temperature: 0.6,
+                onStreamUpdate,
+                signal,
+                onUsage,
+                operation: 'askWithImage'
+            });
+            return text.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error('[OpenAICompatibleProvider] Ask question with image failed:', error);
+            throw error;
+        }
+    }
+
+    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english', { signal, onUsage, prompts } = {}) {
+        const prompt = buildPracticePrompt(topic, difficulty, this._getLanguageName(targetLanguage), { prompts });
+        return this._chatText(prompt, 0.7, null, 'Generate practice', { signal, onUsage, operation: 'practice' });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRIVATE HELPER METHODS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * @param {object} options - { signal, onUsage, operation }
+     */
+    async _chatText(prompt, temperature, onStreamUpdate, label, { signal = null, onUsage = null, operation = null } = {}) {
+        try {
+            const text = await this._chat([this._userMessage(prompt)], { temperature, onStreamUpdate, signal, onUsage, operation });
+            return text.trim();
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error(`[OpenAICompatibleProvider] ${label} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Builds a user message. With an image, content becomes a list of parts.
+     * @param {string} text - Prompt text
+     * @param {string|object|null} image - base64 string, data URL, or { mimeType, data }
+     */
+    _userMessage(text, image = null) {
+        if (!image) {
+            return { role: 'user', content: text };
+        }
+
+        return {
+            role: 'user',
+            content: [
+                { type: 'image_url', image_url: { url: this._toDataUrl(image) } },
+                { type: 'text', text }
+            ]
+        };
+    }
+
+    _toDataUrl(image) {
+        if (typeof image === 'string') {
+            return image.startsWith('data:') ? image : `data:image/png;base64,${image}`;
+        }
+        return `data:${image.mimeType || 'image/jpeg'};base64,${image.data}`;
+    }
+
+    /**
+     * Sends a chat completion request. Streams when onStreamUpdate is given.
+     * Reports the response's `usage` to onUsage, as `operation`.
+     * @returns {Promise<string>} The assistant message text
+     */
+    async _chat(messages, { model = this.model, temperature = 0.3, responseFormat = null, onStreamUpdate = null, signal = null, onUsage = null, operation = null } = {}) {
+        if (!this.baseUrl) {
+            throw new Error('OpenAI-compatible base URL not configured. Please check your settings.');
+        }
+
+        const body = {
+            model,
+            messages,
+            temperature,
+            stream: !!onStreamUpdate
+        };
+        if (onStreamUpdate) {
+            // Ask for the token counts in the last event
+            body.stream_options = { include_usage: true };
+        }
+        if (responseFormat) {
+            body.response_format = responseFormat;
+        }
+
+        const startedAt = Date.now();
+        const reportUsage = (usage) => this._reportChatUsage(onUsage, { model, operation, usage, startedAt });
+
+        const url = `${this.baseUrl}/chat/completions`;
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+                },
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            throw networkError(error, url);
+        }
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw errorFromResponse(response, `API error: ${response.status} ${response.statusText}${detail ? ` - ${detail.slice(0, 200)}` : ''}`);
+        }
+
+        if (!onStreamUpdate) {
+            const data = await this._readJson(response);
+            const text = this._messageText(data);
+            reportUsage(data.usage);
+            return text;
+        }
+
+        // Some gateways ignore stream: true and answer with plain JSON
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/event-stream')) {
+            const data = await this._readJson(response);
+            const text = this._messageText(data);
+            onStreamUpdate(text);
+            reportUsage(data.usage);
+            return text;
+        }
+
+        let fullText = '';
+        let usage = null;
+        for await (const data of readServerSentEvents(response)) {
+            if (data === '[DONE]') break;
+
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch {
+                continue; // Ignore malformed keep-alive chunks
+            }
+
+            if (event.error) {
+                throw new ProviderError(event.error.message || 'Stream error');
+            }
+            if (event.usage) usage = event.usage;
+            this._checkContentFilter(event.choices?.[0]);
+
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                fullText += delta;
+                onStreamUpdate(fullText);
+            }
+        }
+
+        reportUsage(usage);
+        return fullText;
+    }
+
+    /**
+     * One usage record per successful call; zeros when the server
+     * sent no `usage` (still counts as a request)
+     */
+    _reportChatUsage(onUsage, { model, operation, usage, startedAt }) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const outputTokens = usage?.completion_tokens || 0;
+        this._reportUsage(onUsage, {
+            model,
+            operation,
+            promptTokens,
+            outputTokens,
+            totalTokens: usage?.total_tokens || promptTokens + outputTokens,
+            latencyMs: Date.now() - startedAt
+        });
+    }
+
+    async _readJson(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new InvalidResponseError(`API returned invalid JSON: ${error.message}`, { cause: error });
+        }
+    }
+
+    _messageText(data) {
+        const choice = data.choices?.[0];
+        this._checkContentFilter(choice);
+        return choice?.message?.content || '';
+    }
+
+    /**
+     * OpenAI-style APIs report refused content as finish_reason "content_filter"
+     */
+    _checkContentFilter(choice) {
+        if (choice?.finish_reason === 'content_filter') {
+            throw new SafetyBlockedError('Response blocked by the content filter', { categories: ['content_filter'] });
+        }
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PINYIN
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Converts between the ways Mandarin pronunciation is written:
+ *
+ *   pinyin            nǐ hǎo       (tone marks - what providers return)
+ *   pinyin-numbers    ni3 hao3     (CC-CEDICT, typing without an IME)
+ *   zhuyin            ㄋㄧˇ ㄏㄠˇ   (Bopomofo, read in Taiwan)
+ *
+ * Text is parsed into syllables first (parsePinyin), so joined words
+ * ("xuéxí"), capitals, apostrophes and erhua ("yīdiǎnr") survive the
+ * conversion. Letters that aren't pinyin are kept as they are.
+ *
+ * TONE SANDHI: dictionaries and models write the citation tones. With
+ * `sandhi: true` the formatters show the tones as spoken instead:
+ *   一 yī → yí before a 4th tone, yì before 1st/2nd/3rd (not in numbers
+ *     or at the end of a phrase, neutral between repeated verbs)
+ *   不 bù → bú before a 4th tone
+ *   3rd + 3rd → 2nd + 3rd (in a run of 3rd tones, all but the last)
+ * The 一/不 rules need to know which syllable is which character, so
+ * they only apply where the syllables line up with the characters.
+ */
+
+// What Settings → Pronunciation offers
+export const ROMANIZATIONS = {
+    pinyin: 'Pinyin (nǐ hǎo)',
+    'pinyin-numbers': 'Pinyin with tone numbers (ni3 hao3)',
+    zhuyin: 'Zhuyin / Bopomofo (ㄋㄧˇ ㄏㄠˇ)'
+};
+
+const TONE_MARKS = {
+    a: 'āáǎàa', e: 'ēéěèe', i: 'īíǐìi', o: 'ōóǒòo', u: 'ūúǔùu', ü: 'ǖǘǚǜü',
+    A: 'ĀÁǍÀA', E: 'ĒÉĚÈE', I: 'ĪÍǏÌI', O: 'ŌÓǑÒO', U: 'ŪÚǓÙU', Ü: 'ǕǗǙǛÜ'
+};
+
+// Marked letter → { letter, tone }, including the interjections ń ň ǹ ḿ
+const MARKED_LETTERS = {
+    ń: { letter: 'n', tone: 2 }, ň: { letter: 'n', tone: 3 }, ǹ: { letter: 'n', tone: 4 }, ḿ: { letter: 'm', tone: 2 }
+};
+for (const [letter, marked] of Object.entries(TONE_MARKS)) {
+    Array.from(marked.slice(0, 4)).forEach((char, i) => {
+        MARKED_LETTERS[char] = { letter: letter.toLowerCase(), tone: i + 1 };
+    });
+}
+
+// A syllable with a tone number: "hao3", "Zhong1", "lu:4", "lv4", "r5"
+const NUMBERED_SYLLABLE = /([a-zü:]+)([1-5])/gi;
+
+// Every Mandarin syllable, plus interjections (m, ng, hm, ...) and
+// erhua "r", which stands for 儿 and so counts as a syllable
+const SYLLABLES = new Set(`
+    a ai an ang ao e ê ei en eng er o ou r m n ng hm hng
+    ya yan yang yao ye yi yin ying yo yong you yu yuan yue yun
+    wa wai wan wang wei wen weng wo wu
+    ba bai ban bang bao bei ben beng bi bian biao bie bin bing bo bu
+    pa pai pan pang pao pei pen peng pi pian piao pie pin ping po pou pu
+    ma mai man mang mao me mei men meng mi mian miao mie min ming miu mo mou mu
+    fa fan fang fei fen feng fo fou fu
+    da dai dan dang dao de dei den deng di dia dian diao die ding diu dong dou du duan dui dun duo
+    ta tai tan tang tao te tei teng ti tian tiao tie ting tong tou tu tuan tui tun tuo
+    na nai nan nang nao ne nei nen neng ni nian niang niao nie nin ning niu nong nou nu nuan nun nuo nü nüe nue
+    la lai lan lang lao le lei leng li lia lian liang liao lie lin ling liu lo long lou lu luan lun luo lü lüe lue
+    ga gai gan gang gao ge gei gen geng gong gou gu gua guai guan guang gui gun guo
+    ka kai kan kang kao ke kei ken keng kong kou ku kua kuai kuan kuang kui kun kuo
+    ha hai han hang hao he hei hen heng hong hou hu hua huai huan huang hui hun huo
+    ji jia jian jiang jiao jie jin jing jiong jiu ju juan jue jun
+    qi qia qian qiang qiao qie qin qing qiong qiu qu quan que qun
+    xi xia xian xiang xiao xie xin xing xiong xiu xu xuan xue xun
+    zha zhai zhan zhang zhao zhe zhei zhen zheng zhi zhong zhou zhu zhua zhuai zhuan zhuang zhui zhun zhuo
+    cha chai chan chang chao che chen cheng chi chong chou chu chua chuai chuan chuang chui chun chuo
+    sha shai shan shang shao she shei shen sheng shi shou shu shua shuai shuan shuang shui shun shuo
+    ran rang rao re ren reng ri rong rou ru rua ruan rui run ruo
+    za zai zan zang zao ze zei zen zeng zi zong zou zu zuan zui zun zuo
+    ca cai can cang cao ce cei cen ceng ci cong cou cu cuan cui cun cuo
+    sa sai san sang sao se sen seng si song sou su suan sui sun suo
+`.trim().split(/\s+/));
+
+const LONGEST_SYLLABLE = 6;
+
+const ZHUYIN_INITIALS = {
+    b: 'ㄅ', p: 'ㄆ', m: 'ㄇ', f: 'ㄈ', d: 'ㄉ', t: 'ㄊ', n: 'ㄋ', l: 'ㄌ', g: 'ㄍ', k: 'ㄎ', h: 'ㄏ',
+    j: 'ㄐ', q: 'ㄑ', x: 'ㄒ', zh: 'ㄓ', ch: 'ㄔ', sh: 'ㄕ', r: 'ㄖ', z: 'ㄗ', c: 'ㄘ', s: 'ㄙ'
+};
+
+const ZHUYIN_FINALS = {
+    '': '', a: 'ㄚ', o: 'ㄛ', e: 'ㄜ', ê: 'ㄝ', ai: 'ㄞ', ei: 'ㄟ', ao: 'ㄠ', ou: 'ㄡ',
+    an: 'ㄢ', en: 'ㄣ', ang: 'ㄤ', eng: 'ㄥ', er: 'ㄦ', ong: 'ㄨㄥ',
+    i: 'ㄧ', ia: 'ㄧㄚ', io: 'ㄧㄛ', ie: 'ㄧㄝ', iao: 'ㄧㄠ', iou: 'ㄧㄡ', ian: 'ㄧㄢ', in: 'ㄧㄣ',
+    iang: 'ㄧㄤ', ing: 'ㄧㄥ', iong: 'ㄩㄥ',
+    u: 'ㄨ', ua: 'ㄨㄚ', uo: 'ㄨㄛ', uai: 'ㄨㄞ', uei: 'ㄨㄟ', uan: 'ㄨㄢ', uen: 'ㄨㄣ', uang: 'ㄨㄤ', ueng: 'ㄨㄥ',
+    ü: 'ㄩ', üe: 'ㄩㄝ', üan: 'ㄩㄢ', ün: 'ㄩㄣ'
+};
+
+// Syllables without an initial are spelled with y/w: yi = i, wei = uei, ...
+const ZERO_INITIAL_FINALS = {
+    yi: 'i', ya: 'ia', yo: 'io', ye: 'ie', yao: 'iao', you: 'iou', yan: 'ian', yin: 'in',
+    yang: 'iang', ying: 'ing', yong: 'iong', yu: 'ü', yue: 'üe', yuan: 'üan', yun: 'ün',
+    wu: 'u', wa: 'ua', wo: 'uo', wai: 'uai', wei: 'uei', wan: 'uan', wen: 'uen', wang: 'uang', weng: 'ueng'
+};
+
+const ZHUYIN_WHOLE = { m: 'ㄇ', n: 'ㄋ', ng: 'ㄫ', hm: 'ㄏㄇ', hng: 'ㄏㄫ', r: 'ㄦ' };
+
+// Index = tone; the neutral tone's dot goes in front
+const ZHUYIN_TONES = ['', '', 'ˊ', 'ˇ', 'ˋ'];
+
+const HAN_CHAR = /\p{Script=Han}/u;
+const NUMERALS = new Set('零一二三四五六七八九十百千万萬亿億两兩');
+
+// ═══════════════════════════════════════════════════════════════
+// SINGLE SYLLABLES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Puts the tone mark on the right vowel of one syllable
+ * @param {string} syllable - Letters only ("hao", "lü")
+ * @param {number} tone - 1-4, or 5 for the neutral tone (no mark)
+ */
+export function markTone(syllable, tone) {
+    if (tone < 1 || tone > 4) return syllable;
+
+    // a and e always take the mark, o takes it in "ou", otherwise the last vowel
+    let index = syllable.search(/[ae]/i);
+    if (index < 0) index = syllable.search(/o(?=u)/i);
+    if (index < 0) {
+        const vowels = [...syllable.matchAll(/[iouü]/gi)];
+        if (vowels.length === 0) return syllable;      // "m2", "ng2" - rare interjections
+        index = vowels[vowels.length - 1].index;
+    }
+
+    const vowel = syllable[index];
+    return syllable.slice(0, index) + TONE_MARKS[vowel][tone - 1] + syllable.slice(index + 1);
+}
+
+/**
+ * One syllable in Zhuyin
+ * @param {string} syllable - Lowercase letters without tone ("zhong", "lü")
+ * @param {number} tone - 1-5
+ */
+export function syllableToZhuyin(syllable, tone) {
+    let zhuyin = ZHUYIN_WHOLE[syllable];
+    if (!zhuyin) {
+        const initial = syllable.match(/^(zh|ch|sh|[bpmfdtnlgkhjqxrzcs])?/)[0];
+        let final = syllable.slice(initial.length);
+        if (!initial) {
+            final = ZERO_INITIAL_FINALS[syllable] ?? final;
+        } else if ('jqx'.includes(initial)) {
+            final = final.replace(/^u/, 'ü');
+        } else if (['zh', 'ch', 'sh', 'r', 'z', 'c', 's'].includes(initial) && final === 'i') {
+            final = '';
+        }
+        final = { ui: 'uei', iu: 'iou', un: 'uen', ue: 'üe' }[final] ?? final;
+        zhuyin = (ZHUYIN_INITIALS[initial] || '') + (ZHUYIN_FINALS[final] ?? final);
+    }
+
+    if (syllable === 'r') return zhuyin;       // Erhua has no tone of its own
+    return tone === 5 ? `˙${zhuyin}` : zhuyin + ZHUYIN_TONES[tone];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Split pinyin into syllables and the text between them
+ * @param {string} text - Tone marks or tone numbers ("nǐ hǎo", "ni3hao3", "lu:4")
+ * @returns {Array} Tokens, in order:
+ *   { type: 'syllable', syllable, tone, capital, joined, marks }
+ *     syllable: lowercase letters without tone; tone: 1-4, 5 = neutral;
+ *     joined: written right after the previous syllable ("xué|xí");
+ *     marks: how many tone marks were on it (more than one is an error)
+ *   { type: 'text', text, invalid } - spaces, punctuation, and letters
+ *     that aren't pinyin (invalid: true)
+ */
+export function parsePinyin(text = '') {
+    const source = text.normalize('NFC').replace(/u:/g, 'ü').replace(/U:/g, 'Ü');
+    const tokens = [];
+    let cursor = 0;
+
+    for (const match of source.matchAll(/(\p{L}+)([1-5])?/gu)) {
+        if (match.index > cursor) {
+            tokens.push({ type: 'text', text: source.slice(cursor, match.index), invalid: false });
+        }
+        const joined = match.index === cursor && tokens[tokens.length - 1]?.type === 'syllable';
+        cursor = match.index + match[0].length;
+
+        const syllables = splitSyllables(match[1]);
+        if (!syllables) {
+            tokens.push({ type: 'text', text: match[0], invalid: true });
+            continue;
+        }
+        syllables.forEach((syllable, i) => tokens.push({ ...syllable, joined: i > 0 || joined }));
+        if (match[2]) {
+            tokens[tokens.length - 1].tone = Number(match[2]);
+        }
+    }
+    if (cursor < source.length) {
+        tokens.push({ type: 'text', text: source.slice(cursor), invalid: false });
+    }
+    return tokens;
+}
+
+/**
+ * Letters → syllables, longest syllable first ("xian" is one syllable,
+ * "xi'an" two), backing off when the rest wouldn't parse
+ * @returns {Array|null} Syllable tokens, null if the letters aren't pinyin
+ */
+function splitSyllables(letters) {
+    const chars = [];
+    for (const char of letters) {
+        const marked = MARKED_LETTERS[char];
+        const letter = marked ? marked.letter : char.toLowerCase();
+        chars.push({ letter: letter === 'v' ? 'ü' : letter, tone: marked?.tone ?? null, capital: char !== char.toLowerCase() });
+    }
+    const plain = chars.map(c => c.letter).join('');
+
+    const memo = new Map();
+    const split = (start) => {
+        if (start === plain.length) return [];
+        if (memo.has(start)) return memo.get(start);
+
+        let result = null;
+        for (let length = Math.min(LONGEST_SYLLABLE, plain.length - start); length > 0 && !result; length--) {
+            if (!SYLLABLES.has(plain.slice(start, start + length))) continue;
+            const rest = split(start + length);
+            if (rest) result = [length, ...rest];
+        }
+        memo.set(start, result);
+        return result;
+    };
+
+    const lengths = split(0);
+    if (!lengths) return null;
+
+    let start = 0;
+    return lengths.map(length => {
+        const span = chars.slice(start, start + length);
+        start += length;
+        const tones = span.filter(c => c.tone).map(c => c.tone);
+        return {
+            type: 'syllable',
+            syllable: span.map(c => c.letter).join(''),
+            tone: tones[0] || 5,
+            capital: span[0].capital,
+            marks: tones.length
+        };
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FORMATTING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * "ni3 hao3" → "nǐ hǎo". Text without tone numbers is returned as is.
+ */
+export function toneNumbersToMarks(pinyin) {
+    return pinyin.replace(NUMBERED_SYLLABLE, (match, letters, tone) => {
+        const syllable = letters.replace(/u:|v/g, 'ü').replace(/U:|V/g, 'Ü');
+        return markTone(syllable, Number(tone));
+    });
+}
+
+/**
+ * "nǐ hǎo" → "ni3 hao3" (neutral tone 5)
+ */
+export function toneMarksToNumbers(pinyin) {
+    return formatPinyin(pinyin, 'pinyin-numbers');
+}
+
+/**
+ * "nǐ hǎo" → "ㄋㄧˇ ㄏㄠˇ"
+ */
+export function pinyinToZhuyin(pinyin) {
+    return formatPinyin(pinyin, 'zhuyin');
+}
+
+/**
+ * Write pinyin in a romanization (see ROMANIZATIONS)
+ * @param {string} pinyin - Tone marks or tone numbers
+ * @param {string} romanization - 'pinyin' | 'pinyin-numbers' | 'zhuyin', or
+ *   'jyutping' when the text is Cantonese and already in Jyutping (kept as it is)
+ * @param {object} options - { sandhi, chinese }: show spoken tones; the
+ *   characters the pinyin is for (needed for the 一/不 rules)
+ */
+export function formatPinyin(pinyin, romanization = 'pinyin', { sandhi = false, chinese = null } = {}) {
+    if (romanization === 'jyutping') return pinyin || '';
+    const tokens = parsePinyin(pinyin);
+    if (sandhi) {
+        applyToneSandhi([{ tokens, chinese }]);
+    }
+    return formatTokens(tokens, romanization);
+}
+
+/**
+ * Write the pinyin of a row of word pairs. Sandhi looks across the
+ * pairs (不 + 是 are usually two pairs).
+ * @param {Array} pairs - [{ chinese, pinyin }]
+ * @returns {string[]} One string per pair
+ */
+export function formatPairPinyin(pairs, romanization = 'pinyin', { sandhi = false } = {}) {
+    if (romanization === 'jyutping') return pairs.map(pair => pair.pinyin || '');
+    const segments = pairs.map(pair => ({ tokens: parsePinyin(pair.pinyin || ''), chinese: pair.chinese }));
+    if (sandhi) {
+        applyToneSandhi(segments);
+    }
+    return segments.map(({ tokens }) => formatTokens(tokens, romanization));
+}
+
+function formatTokens(tokens, romanization) {
+    let output = '';
+    tokens.forEach((token, index) => {
+        if (token.type === 'text') {
+            if (romanization !== 'zhuyin' || token.invalid) {
+                output += token.text;
+                return;
+            }
+            const text = token.text.replace(/'/g, '');
+            // "Xī'ān": the apostrophe parted two syllables - keep them apart (ㄒㄧ ㄢ, not ㄒㄧㄢ)
+            const betweenSyllables = tokens[index - 1]?.type === 'syllable' && tokens[index + 1]?.type === 'syllable';
+            output += !text && betweenSyllables ? ' ' : text;
+            return;
+        }
+
+        const { syllable, tone, capital, joined } = token;
+        if (romanization === 'zhuyin') {
+            output += (joined ? ' ' : '') + syllableToZhuyin(syllable, tone);
+            return;
+        }
+
+        let written = romanization === 'pinyin-numbers'
+            ? (syllable === 'r' ? 'r' : `${syllable}${tone}`)
+            : markTone(syllable, tone);
+        if (capital) written = written.charAt(0).toUpperCase() + written.slice(1);
+        // "Xī'ān": a joined syllable starting with a, e or o needs the apostrophe
+        if (joined && romanization === 'pinyin' && /^[aeo]/.test(syllable)) written = `'${written}`;
+        output += written;
+    });
+    return output;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TONE SANDHI
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Change the tones of parsed syllables to the spoken ones (in place)
+ * @param {Array} segments - [{ tokens (from parsePinyin), chinese }] in reading order
+ */
+export function applyToneSandhi(segments) {
+    // Phrases: syllables not separated by punctuation
+    const phrases = [[]];
+    for (const { tokens, chinese } of segments) {
+        const syllables = tokens.filter(token => token.type === 'syllable');
+        const chars = Array.from(chinese || '').filter(char => HAN_CHAR.test(char));
+        const aligned = chars.length === syllables.length;
+
+        tokens.forEach(token => {
+            if (token.type === 'text') {
+                if (/[^\s'’-]/.test(token.text)) phrases.push([]);
+                return;
+            }
+            phrases[phrases.length - 1].push({ token, char: aligned ? chars[syllables.indexOf(token)] : null, tone: token.tone });
+        });
+    }
+
+    for (const phrase of phrases) {
+        phrase.forEach((unit, i) => {
+            const previous = phrase[i - 1];
+            const next = phrase[i + 1];
+
+            if (unit.char === '一' && unit.token.syllable === 'yi' && unit.tone === 1) {
+                if (!next || NUMERALS.has(next.char) || NUMERALS.has(previous?.char) || previous?.char === '第') return;
+                if (previous?.char && previous.char === next.char) {
+                    unit.token.tone = 5;                           // 看一看
+                } else {
+                    unit.token.tone = next.tone >= 4 ? 2 : 4;      // 一个 (neutral 个 is a 4th tone), 一天
+                }
+            } else if (unit.char === '不' && unit.token.syllable === 'bu' && unit.tone === 4 && next?.tone === 4) {
+                unit.token.tone = 2;
+            }
+        });
+
+        // 3rd tones in a row: all but the last become 2nd
+        phrase.forEach((unit, i) => {
+            if (unit.tone === 3 && phrase[i + 1]?.tone === 3) {
+                unit.token.tone = 2;
+            }
+        });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Problems with pinyin a provider returned, as sentence endings
+ * ('has no tone marks') for the word-pair validator
+ * @param {string} pinyin
+ * @param {string|null} chinese - The characters it is for: the syllable
+ *   count must match (erhua "r" counts as 儿). Skipped when it contains
+ *   Latin letters or digits (卡拉OK).
+ * @returns {string[]} Empty when it is fine
+ */
+export function checkPinyin(pinyin, chinese = null) {
+    if (chinese != null && /[\p{L}\p{N}]/u.test(Array.from(chinese).filter(char => !HAN_CHAR.test(char)).join(''))) {
+        return [];
+    }
+
+    const tokens = parsePinyin(pinyin);
+    const syllables = tokens.filter(token => token.type === 'syllable');
+    const problems = [];
+
+    const invalid = tokens.filter(token => token.invalid).map(token => `"${token.text}"`);
+    if (invalid.length > 0) {
+        problems.push(`has text that is not pinyin: ${invalid.join(', ')}`);
+    }
+    if (syllables.some(token => token.marks > 1)) {
+        problems.push('has a syllable with more than one tone mark');
+    }
+    if (syllables.length >= 2 && syllables.every(token => token.tone === 5)) {
+        problems.push('has no tone marks');
+    }
+    if (chinese != null && invalid.length === 0) {
+        const characters = Array.from(chinese).filter(char => HAN_CHAR.test(char)).length;
+        if (characters > 0 && syllables.length !== characters) {
+            problems.push(`has ${syllables.length} syllable${syllables.length !== 1 ? 's' : ''} for ${characters} character${characters !== 1 ? 's' : ''}`);
+        }
+    }
+    return problems;
+}
@@ -0,0 +1,241 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PROMPT TEMPLATES
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * The built-in text of the prompts users may edit (Settings → Prompts).
+ * The builders in prompts.js render them; edited copies are kept by
+ * PromptLibrary (prompt-library.js) and reach the providers as
+ * `options.prompts` ({ templateId: template }).
+ *
+ * A template names its variables in double braces: {{language}}.
+ * What the app adds after it - style, script and glossary blocks - is
+ * not part of the template, so an edited prompt still follows them.
+ *
+ * VERSIONS: bump a template's `version` whenever its text changes, so
+ * edited copies made from the older text are flagged for review.
+ * PROMPT_LIBRARY_VERSION is the format of the saved edits.
+ */
+
+export const PROMPT_LIBRARY_VERSION = 1;
+
+const LANGUAGE = "The language to answer in, e.g. 'Thai (ภาษาไทย)'";
+
+export const PROMPT_TEMPLATES = {
+    visionTranslation: {
+        label: 'Translate image',
+        version: 1,
+        variables: { language: LANGUAGE },
+        required: [],
+        template: `Transcribe and translate the text in this image to {{language}}.
+IMPORTANT: Preserve the original layout structure.
+Output ONLY the translation.`
+    },
+
+    textTranslation: {
+        label: 'Translate text',
+        version: 1,
+        variables: { language: LANGUAGE, text: 'The text to translate' },
+        required: ['text'],
+        template: `Translate this text to {{language}}:
+{{text}}`
+    },
+
+    wordPairs: {
+        label: 'Word-by-word translation',
+        version: 1,
+        variables: { language: LANGUAGE },
+        required: [],
+        // The reply must keep this JSON shape - it is parsed and validated
+        template: `Analyze the Chinese text in this image and provide a translation with word-by-word mapping.
+
+Return a JSON object in this EXACT format (no markdown, just raw JSON):
+{
+  "originalText": "The original Chinese text as seen in the image",
+  "fullPinyin": "The complete pinyin with tone marks for the entire text",
+  "fullTranslation": "The complete {{language}} translation",
+  "wordPairs": [
+    {"chinese": "你好", "pinyin": "nǐ hǎo", "translation": "hello"},
+    {"chinese": "今天", "pinyin": "jīn tiān", "translation": "today"}
+  ]
+}
+
+Important rules:
+1. Include ALL significant words/phrases from the Chinese text
+2. Group multi-character words appropriately
+3. Provide accurate pinyin with tone marks for both fullPinyin and wordPairs
+4. Return ONLY the JSON object, no explanations`
+    },
+
+    exampleSentences: {
+        label: 'Example sentences',
+        version: 1,
+        variables: {
+            word: 'The Chinese word',
+            pinyin: "' (pīnyīn)' when the word's pinyin is known, else empty",
+            language: LANGUAGE
+        },
+        required: ['word'],
+        template: `Generate 2 simple example sentences using the Chinese word "{{word}}"{{pinyin}}.
+
+Format as JSON array:
+[
+  {"chinese": "例句1", "pinyin": "lì jù yī", "translation": "Translation 1"},
+  {"chinese": "例句2", "pinyin": "lì jù èr", "translation": "Translation 2"}
+]
+
+ONLY output the JSON array.`
+    },
+
+    explain: {
+        label: 'AI: Explain',
+        version: 1,
+        variables: { text: 'The Chinese text to explain', language: LANGUAGE },
+        required: ['text'],
+        template: `You are an expert Chinese language teacher. Explain the following Chinese text in {{language}}.
+
+Text: "{{text}}"
+
+Provide a comprehensive explanation including:
+1. **Literal Meaning**: Word-by-word breakdown
+2. **Overall Meaning**: What the text means as a whole
+3. **Usage Context**: When and how this phrase is commonly used
+4. **Cultural Notes**: Any cultural significance or nuances
+5. **Similar Expressions**: Related phrases or alternatives
+
+Be educational but concise. Use examples where helpful.`
+    },
+
+    grammar: {
+        label: 'AI: Grammar',
+        version: 1,
+        variables: { text: 'The Chinese text to analyze', language: LANGUAGE },
+        required: ['text'],
+        template: `You are an expert Chinese grammar teacher. Analyze the grammar of the following Chinese text in {{language}}.
+
+Text: "{{text}}"
+
+Provide a detailed grammar analysis:
+1. **Sentence Structure**: Identify the sentence pattern (SVO, topic-comment, etc.)
+2. **Parts of Speech**: Label each word/phrase (noun, verb, adjective, particle, etc.)
+3. **Grammar Patterns**: Explain key grammar structures used
+4. **Particles & Markers**: Explain any particles (了, 的, 着, etc.) and their functions
+5. **Key Points**: Important grammar rules to remember
+
+Format with clear headings. Be educational and precise.`
+    },
+
+    question: {
+        label: 'AI: Question',
+        version: 1,
+        variables: {
+            question: "The user's question",
+            context: 'The text being studied as a "Context: ..." paragraph, or empty',
+            language: LANGUAGE
+        },
+        required: ['question'],
+        template: `You are a helpful and knowledgeable Chinese language assistant. Answer the following question in {{language}}.
+
+Question: {{question}}{{context}}
+
+Provide a clear, educational answer. Include examples with pinyin and translations when relevant. Be concise but thorough.`
+    },
+
+    imageQuestion: {
+        label: 'AI: Question about an image',
+        version: 1,
+        variables: { question: "The user's question", language: LANGUAGE },
+        required: ['question'],
+        template: `You are a helpful assistant. Look at this image and answer the following question based on what you see.
+
+Question: {{question}}
+
+Provide a clear and helpful answer based on the content visible in the image. Answer in {{language}}.`
+    },
+
+    practice: {
+        label: 'AI: Practice',
+        version: 1,
+        variables: {
+            topic: 'What to practice',
+            difficulty: "'beginner', 'intermediate' or 'advanced'",
+            language: LANGUAGE
+        },
+        required: ['topic'],
+        template: `Create a {{difficulty}}-level Chinese practice exercise about "{{topic}}" in {{language}}.
+
+Generate 3 exercises:
+1. **Fill in the blank**: A sentence with one word missing
+2. **Translation**: Translate a sentence from {{language}} to Chinese
+3. **Multiple Choice**: Pick the correct meaning or usage
+
+For each exercise, include:
+- The question
+- The answer (hidden with "Answer: ")
+- A brief explanation
+
+Format clearly with numbering. Include pinyin where helpful.`
+    }
+};
+
+// Values for the Settings preview
+export const PROMPT_SAMPLE_VALUES = {
+    language: 'English',
+    text: '我们今天学习中文。',
+    word: '学习',
+    pinyin: ' (xué xí)',
+    question: 'When do I use 了?',
+    context: '\n\nContext (text the user is studying): "我们今天学习中文。"',
+    topic: 'ordering food',
+    difficulty: 'beginner'
+};
+
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fill in a template's variables. Unknown names are left as written.
+ * @param {string} template
+ * @param {object} values - { name: text }
+ */
+export function renderTemplate(template, values) {
+    return template.replace(VARIABLE, (match, name) =>
+        Object.hasOwn(values, name) ? String(values[name] ?? '') : match);
+}
+
+/**
+ * Render a prompt from the user's edited copy or the built-in text
+ * @param {string} id - Key of PROMPT_TEMPLATES
+ * @param {object} values - Its variables
+ * @param {object} prompts - options.prompts: edited templates by id
+ */
+export function renderPrompt(id, values, prompts = null) {
+    return renderTemplate(prompts?.[id] ?? PROMPT_TEMPLATES[id].template, values);
+}
+
+/**
+ * Problems that would make an edited template misbehave
+ * @returns {string[]} Empty when the template is fine
+ */
+export function checkTemplate(id, template) {
+    const definition = PROMPT_TEMPLATES[id];
+    if (!definition) return [`Unknown prompt "${id}"`];
+    if (!template.trim()) return ['The prompt is empty'];
+
+    const used = new Set([...template.matchAll(VARIABLE)].map(match => match[1]));
+    const problems = [];
+    for (const name of used) {
+        if (!Object.hasOwn(definition.variables, name)) {
+            problems.push(`Unknown variable {{${name}}} (available: ${Object.keys(definition.variables).map(v => `{{${v}}}`).join(', ')})`);
+        }
+    }
+    for (const name of definition.required) {
+        if (!used.has(name)) {
+            problems.push(`{{${name}}} is missing - without it the model never sees ${lowerFirst(definition.variables[name])}`);
+        }
+    }
+    return problems;
+}
+
+function lowerFirst(text) {
+    return text.charAt(0).toLowerCase() + text.slice(1);
+}
@@ -0,0 +1,254 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * SHARED PROMPTS
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * The prompt text used by every LLM-backed provider (Gemini,
+ * OpenAI-compatible gateways, ...). Keeping them in one place means
+ * all providers ask the model the same questions and return the
+ * same shapes to the app.
+ *
+ * The translation prompts take optional prompt options:
+ *   - glossary: [{ term, translation, notes }] (see glossary-service.js)
+ *     - matching terms must be translated exactly as listed
+ *   - style: key of TRANSLATION_STYLES (register of the translation)
+ *   - script: key of CHINESE_SCRIPTS (how Chinese text is written out)
+ *   - variety: key of CHINESE_VARIETIES (how the source text is read)
+ *
+ * Prompts users may edit take `prompts` (their edited templates by id);
+ * the text of those lives in prompt-templates.js.
+ */
+
+import { renderPrompt } from './prompt-templates.js';
+
+/**
+ * Translation registers. 'natural' is the default and adds nothing.
+ */
+export const TRANSLATION_STYLES = {
+    literal: 'Translate literally, as a gloss for a learner: follow the Chinese wording and word order closely so each part can be traced back to the original, even if the result sounds unnatural.',
+    natural: '',
+    formal: 'Use fluent, formal language suitable for official documentation.',
+    casual: 'Use fluent, casual everyday language.'
+};
+
+/**
+ * Scripts for transcribed Chinese. 'as-shown' is the default and adds nothing.
+ */
+export const CHINESE_SCRIPTS = {
+    'as-shown': null,
+    simplified: 'Simplified Chinese characters',
+    traditional: 'Traditional Chinese characters'
+};
+
+/**
+ * Spoken varieties the source text is read in. 'mandarin' is the
+ * default and adds nothing; for Cantonese the pronunciation fields
+ * hold Jyutping (see jyutping.js) instead of pinyin.
+ */
+export const CHINESE_VARIETIES = {
+    mandarin: null,
+    cantonese: 'The Chinese text is Cantonese as written in Hong Kong, including Cantonese characters such as 嘅, 咗, 唔, 係, 佢, 冇, 喺 and 啲. Read it as Cantonese, not as Mandarin.'
+};
+
+/**
+ * Style block appended to translation prompts ('' for the default)
+ */
+export function buildStyleInstructions(style) {
+    const instruction = TRANSLATION_STYLES[style];
+    return instruction ? `\n\nSTYLE: ${instruction}` : '';
+}
+
+/**
+ * Script block ('' for 'as-shown')
+ * @param {string} target - What must be written in that script
+ */
+export function buildScriptInstructions(script, target) {
+    const name = CHINESE_SCRIPTS[script];
+    return name ? `\n\nSCRIPT: Write ${target} in ${name}, converting characters where needed.` : '';
+}
+
+/**
+ * Variety block ('' for Mandarin)
+ * @param {string|null} romanized - What must be written in Jyutping, if anything
+ */
+export function buildVarietyInstructions(variety, romanized = null) {
+    const instruction = CHINESE_VARIETIES[variety];
+    if (!instruction) return '';
+    return `\n\nCANTONESE: ${instruction}` +
+        (romanized ? ` Write ${romanized} in Jyutping with tone numbers (e.g. "nei5 hou2"), not in Mandarin pinyin.` : '');
+}
+
+/**
+ * Glossary block appended to translation prompts ('' when empty)
+ */
+export function buildGlossaryInstructions(glossary = []) {
+    if (!glossary || glossary.length === 0) return '';
+
+    const lines = glossary.map(({ term, translation, notes }) =>
+        `- ${term} → ${translation}${notes ? ` (${notes})` : ''}`);
+    return `\n\nGLOSSARY - whenever one of these terms appears, translate it exactly as given:\n${lines.join('\n')}`;
+}
+
+/**
+ * Vision translation (image → translated text)
+ */
+export function buildVisionTranslationPrompt(languageName, { glossary, style, variety, prompts } = {}) {
+    return renderPrompt('visionTranslation', { language: languageName }, prompts) +
+        buildVarietyInstructions(variety) + buildStyleInstructions(style) + buildGlossaryInstructions(glossary);
+}
+
+/**
+ * Plain text translation used by translate() with a string input
+ */
+export function buildTextTranslationPrompt(text, languageName, { glossary, style, variety, prompts } = {}) {
+    return renderPrompt('textTranslation', { language: languageName, text }, prompts) +
+        buildVarietyInstructions(variety) + buildStyleInstructions(style) + buildGlossaryInstructions(glossary);
+}
+
+/**
+ * Several regions in one request. The payload lists each region as an
+ * "[id]" label followed by its image or text; this prompt comes last.
+ * @param {string[]} ids - Region ids, in payload order
+ */
+export function buildBatchTranslationPrompt(ids, languageName, { glossary, style, variety } = {}) {
+    return `Above are ${ids.length} regions, each introduced by its id in square brackets (e.g. [${ids[0]}]).
+For each region, transcribe any text in it (for images) and translate it to ${languageName}, preserving line breaks.
+
+Return a JSON array in this EXACT format (no markdown, just raw JSON):
+[
+  {"id": "${ids[0]}", "translation": "..."}
+]
+
+Include every id exactly once: ${ids.join(', ')}. Use "" for a region without text.${buildVarietyInstructions(variety)}${buildStyleInstructions(style)}${buildGlossaryInstructions(glossary)}`;
+}
+
+/**
+ * Text blocks with their positions, for overlays drawn over the page
+ * (translateLayout). Boxes are fractions of the image size, so they
+ * don't depend on the resolution the image was sent at.
+ */
+export function buildLayoutPrompt(languageName, { glossary, style, script, variety } = {}) {
+    return `Find every block of text in this image (paragraphs, headings, captions, speech bubbles, labels) and translate each one to ${languageName}.
+
+Return a JSON object in this EXACT format (no markdown, just raw JSON):
+{
+  "blocks": [
+    {"order": 1, "box": [0.08, 0.05, 0.92, 0.12], "originalText": "原文", "translation": "..."}
+  ]
+}
+
+Rules:
+1. "box" is [left, top, right, bottom] as fractions of the image width and height (0 to 1), tightly around the block's text
+2. "order" is the reading order, starting at 1 (for vertical Chinese text: right to left)
+3. Keep the lines of one paragraph in one block; separate blocks that are apart on the page
+4. Skip page numbers, watermarks and blocks without readable text${buildVarietyInstructions(variety)}${buildScriptInstructions(script, 'originalText')}${buildStyleInstructions(style)}${buildGlossaryInstructions(glossary)}`;
+}
+
+/**
+ * Word-by-word mapping for the highlight feature
+ */
+export function buildWordPairsPrompt(languageName, { glossary, style, script, variety, prompts } = {}) {
+    const glossaryRule = glossary?.length
+        ? '\n5. Glossary terms are one word pair each, translated as listed (also in fullTranslation)'
+        : '';
+    return renderPrompt('wordPairs', { language: languageName }, prompts) + glossaryRule +
+        buildVarietyInstructions(variety, 'fullPinyin and the "pinyin" of every word pair') +
+        buildStyleInstructions(style) +
+        buildScriptInstructions(script, 'originalText and the "chinese" of every word pair') +
+        buildGlossaryInstructions(glossary);
+}
+
+/**
+ * Second chance for a word-pairs reply that failed validation
+ * (see word-pair-validator.js). Sent with the same image.
+ * @param {string} previousReply - The rejected reply, verbatim
+ * @param {string[]} violations - What the validator complained about
+ * @param {object} options - { variety } the reply was asked for
+ */
+export function buildWordPairsRepairPrompt(previousReply, violations, { variety } = {}) {
+    const pronunciationRule = variety === 'cantonese'
+        ? 'Pronunciations are Jyutping with tone numbers (nei5 hou2), never Mandarin pinyin'
+        : 'Pinyin uses tone marks (nǐ hǎo), never tone numbers (ni3 hao3)';
+    return `Your previous answer for the Chinese text in this image had problems:
+${violations.map(v => `- ${v}`).join('\n')}
+
+Previous answer:
+${previousReply}
+
+Return the corrected JSON object in the same format:
+{"originalText": "...", "fullPinyin": "...", "fullTranslation": "...", "wordPairs": [{"chinese": "...", "pinyin": "...", "translation": "..."}]}
+
+Rules:
+1. The wordPairs must cover originalText in order - every Chinese character in exactly one pair, none skipped, none repeated
+2. ${pronunciationRule}
+3. Return ONLY the JSON object, no explanations`;
+}
+
+/**
+ * Translation bot (free text, optional source language)
+ * @param {string|null} sourceLangName - null to auto-detect
+ */
+export function buildTranslateTextPrompt(text, sourceLangName, targetLangName, { glossary, style, script } = {}) {
+    const prompt = sourceLangName
+        ? `Translate the following ${sourceLangName} text to ${targetLangName}.\n\nText:\n${text}\n\nProvide ONLY the translation, no explanations.`
+        : `Translate the following text to ${targetLangName}. Auto-detect the source language.\n\nText:\n${text}\n\nProvide ONLY the translation, no explanations.`;
+    return prompt + buildStyleInstructions(style) + buildScriptInstructions(script, 'any Chinese in the translation') + buildGlossaryInstructions(glossary);
+}
+
+/**
+ * Confidence check: compares a Chinese text with a back-translation
+ * of its translation (judgeBackTranslation)
+ */
+export function buildBackTranslationJudgePrompt(originalText, backTranslation) {
+    return `A Chinese text was translated into another language, and the translation was then translated back into Chinese. Judge how well the back-translation preserves the meaning of the original. Ignore differences in wording that keep the meaning.
+
+Original:
+${originalText}
+
+Back-translation:
+${backTranslation}
+
+Return a JSON object in this EXACT format (no markdown, just raw JSON):
+{
+  "score": 0.9,
+  "divergences": [
+    {"original": "exact text copied from the original", "backTranslation": "what it became", "note": "short reason"}
+  ]
+}
+
+"score" is 1 when the meaning is fully preserved and 0 when it is unrelated. List only places where the meaning changed, was lost or was added; use an empty list if there are none.`;
+}
+
+export function buildExampleSentencesPrompt(chineseWord, pinyin = '', { languageName = 'English', variety, prompts } = {}) {
+    return renderPrompt('exampleSentences', {
+        word: chineseWord,
+        pinyin: pinyin ? ` (${pinyin})` : '',
+        language: languageName
+    }, prompts) + buildVarietyInstructions(variety, 'the "pinyin" of every sentence');
+}
+
+export function buildExplainPrompt(text, languageName, { variety, prompts } = {}) {
+    return renderPrompt('explain', { text, language: languageName }, prompts) +
+        buildVarietyInstructions(variety, 'every pronunciation');
+}
+
+export function buildGrammarPrompt(text, languageName, { variety, prompts } = {}) {
+    return renderPrompt('grammar', { text, language: languageName }, prompts) +
+        buildVarietyInstructions(variety, 'every pronunciation');
+}
+
+export function buildQuestionPrompt(question, context, languageName, { prompts } = {}) {
+    return renderPrompt('question', {
+        question,
+        context: context ? `\n\nContext (text the user is studying): "${context}"` : '',
+        language: languageName
+    }, prompts);
+}
+
+export function buildImageQuestionPrompt(question, languageName, { prompts } = {}) {
+    return renderPrompt('imageQuestion', { question, language: languageName }, prompts);
+}
+
+export function buildPracticePrompt(topic, difficulty, languageName, { prompts } = {}) {
+    return renderPrompt('practice', { topic, difficulty, language: languageName }, prompts);
+}
@@ -0,0 +1,413 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PROVIDER CHAIN (failover across any number of providers)
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Wraps a list of providers and tries them in order until one
+ * succeeds. Acts as a provider itself, so TranslationService can't
+ * tell the difference.
+ *
+ *   new ProviderChain([ollama, gemini], { failureThreshold: 3 })
+ *
+ * HEALTH: every call's outcome and latency go into a rolling window
+ * per provider (see getHealth()). After `failureThreshold` failures
+ * in a row the provider's circuit opens and it is skipped for
+ * `cooldownMs`. After the cool-down it gets one trial request: success
+ * closes the circuit, failure opens it again. If every provider is
+ * open, all of them are tried anyway - a slow answer beats none.
+ *
+ * Only failures that say something about the provider count.
+ * Cancellations and refused content (see shouldTryNextProvider in
+ * errors.js) are rethrown right away without touching its health.
+ *
+ * HEDGING: translate() with `options.hedge: true` (used by live
+ * translation) starts the next provider too when the first hasn't
+ * answered within `hedgeDelayMs` (or its recent p90 latency). The
+ * first success wins and the other request is cancelled.
+ */
+
+import { BaseProvider, createCapabilities } from './base-provider.js';
+import { shouldTryNextProvider, throwIfAborted, isAbortError, createAbortError } from './errors.js';
+
+export const DEFAULT_CHAIN_OPTIONS = {
+    failureThreshold: 3,    // Consecutive failures that open the circuit
+    cooldownMs: 30000,      // How long an open circuit skips the provider
+    windowSize: 20,         // Calls kept for error rate / latency
+    hedgeDelayMs: 1500      // Hedge after this long when there is no latency data yet
+};
+
+/**
+ * Rolling outcome window + circuit breaker for one provider
+ */
+export class ProviderHealth {
+    constructor({ failureThreshold, cooldownMs, windowSize }) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.windowSize = windowSize;
+
+        this.samples = [];           // { ok, latencyMs }
+        this.consecutiveFailures = 0;
+        this.openUntil = 0;
+    }
+
+    recordSuccess(latencyMs) {
+        this._push({ ok: true, latencyMs });
+        this.consecutiveFailures = 0;
+        this.openUntil = 0;
+    }
+
+    recordFailure(latencyMs) {
+        this._push({ ok: false, latencyMs });
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.failureThreshold) {
+            this.openUntil = Date.now() + this.cooldownMs;
+        }
+    }
+
+    /**
+     * @returns {boolean} True while the circuit is open (provider skipped)
+     */
+    isOpen(now = Date.now()) {
+        return now < this.openUntil;
+    }
+
+    /**
+     * @returns {number} Share of failed calls in the window (0..1)
+     */
+    getErrorRate() {
+        if (this.samples.length === 0) return 0;
+        return this.samples.filter(s => !s.ok).length / this.samples.length;
+    }
+
+    /**
+     * Latency of successful calls in the window
+     * @param {number} percentile - 0..1 (0.5 = median)
+     * @returns {number|null} Milliseconds, or null without data
+     */
+    getLatency(percentile = 0.5) {
+        const latencies = this.samples.filter(s => s.ok).map(s => s.latencyMs).sort((a, b) => a - b);
+        if (latencies.length === 0) return null;
+        return latencies[Math.min(latencies.length - 1, Math.floor(percentile * latencies.length))];
+    }
+
+    _push(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > this.windowSize) {
+            this.samples.shift();
+        }
+    }
+}
+
+export class ProviderChain extends BaseProvider {
+    /**
+     * @param {BaseProvider[]} providers - In order of preference
+     * @param {object} options - See DEFAULT_CHAIN_OPTIONS
+     */
+    constructor(providers, options = {}) {
+        super();
+        if (!providers || providers.length === 0) {
+            throw new Error('ProviderChain needs at least one provider');
+        }
+
+        this.providers = providers;
+        this.options = { ...DEFAULT_CHAIN_OPTIONS, ...options };
+        this.health = providers.map(() => new ProviderHealth(this.options));
+
+        console.log(`[ProviderChain] Initialized: ${this.getName()}`);
+    }
+
+    getName() {
+        return `Chain (${this.providers.map(p => p.getName()).join(' → ')})`;
+    }
+
+    /**
+     * Any member may answer, so the cache key covers all of them
+     */
+    getModelId(operation = 'translate') {
+        return this.providers.map(p => p.getModelId?.(operation) || '').join('|');
+    }
+
+    isConfigured() {
+        return this.providers.some(p => p.isConfigured?.() ?? true);
+    }
+
+    /**
+     * Connect every member. One that can't be reached is left to the
+     * health checks like any other failure.
+     */
+    async connect(options = {}) {
+        const results = await Promise.allSettled(this.providers.map(p => p.connect?.(options)));
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                console.warn(`[ProviderChain] ${this.providers[i].getName()} could not connect:`, result.reason);
+            }
+        });
+    }
+
+    /**
+     * Everything at least one member can do
+     */
+    getCapabilities() {
+        const all = this.providers.map(p => p.getCapabilities?.() || createCapabilities());
+        const any = (pick) => all.some(pick);
+
+        return createCapabilities({
+            streaming: any(c => c.streaming),
+            vision: any(c => c.vision),
+            wordPairs: any(c => c.wordPairs),
+            exampleSentences: any(c => c.exampleSentences),
+            textTranslation: any(c => c.textTranslation),
+            layout: any(c => c.layout),
+            verification: any(c => c.verification),
+            assistant: {
+                explain: any(c => c.assistant.explain),
+                grammar: any(c => c.assistant.grammar),
+                ask: any(c => c.assistant.ask),
+                askWithImage: any(c => c.assistant.askWithImage),
+                practice: any(c => c.assistant.practice)
+            },
+            languages: [...new Set(all.flatMap(c => c.languages))]
+        });
+    }
+
+    /**
+     * Per-provider health snapshot (for debugging / a status panel)
+     */
+    getHealth() {
+        const now = Date.now();
+        return this.providers.map((provider, i) => {
+            const health = this.health[i];
+            return {
+                name: provider.getName(),
+                errorRate: health.getErrorRate(),
+                latencyMs: health.getLatency(0.5),
+                consecutiveFailures: health.consecutiveFailures,
+                open: health.isOpen(now),
+                openUntil: health.isOpen(now) ? health.openUntil : null
+            };
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROVIDER INTERFACE
+    // ═══════════════════════════════════════════════════════════════
+
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        const isImage = typeof input === 'object' && input?.data;
+        const feature = isImage ? 'vision' : null;
+        const call = (provider, stream, signal) =>
+            provider.translate(input, targetLanguage, stream, { ...options, signal });
+
+        if (options.hedge) {
+            return this._runHedged(feature, targetLanguage, call, onStreamUpdate, options.signal);
+        }
+        return this._run(feature, targetLanguage, (provider, signal) => call(provider, onStreamUpdate, signal), options.signal);
+    }
+
+    async translateBatch(regions, targetLanguage = 'english', options = {}) {
+        const feature = regions.some(({ input }) => typeof input === 'object') ? 'vision' : null;
+        return this._run(feature, targetLanguage, (provider, signal) =>
+            provider.translateBatch(regions, targetLanguage, { ...options, signal }), options.signal);
+    }
+
+    async translateLayout(imageData, targetLanguage = 'english', options = {}) {
+        return this._run('layout', targetLanguage, (provider, signal) =>
+            provider.translateLayout(imageData, targetLanguage, { ...options, signal }), options.signal);
+    }
+
+    async translateWithWordPairs(imageData, targetLanguage = 'english', options = {}) {
+        return this._run('wordPairs', targetLanguage, (provider, signal) =>
+            provider.translateWithWordPairs(imageData, targetLanguage, { ...options, signal }), options.signal);
+    }
+
+    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._run('textTranslation', targetLanguage, (provider, signal) =>
+            provider.translateText(text, sourceLanguage, targetLanguage, onStreamUpdate, { ...options, signal }), options.signal);
+    }
+
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', options = {}) {
+        return this._run('exampleSentences', targetLanguage, (provider, signal) =>
+            provider.generateExampleSentences(chineseWord, pinyin, targetLanguage, { ...options, signal }), options.signal);
+    }
+
+    async judgeBackTranslation(originalText, backTranslation, options = {}) {
+        return this._run('verification', 'chinese', (provider, signal) =>
+            provider.judgeBackTranslation(originalText, backTranslation, { ...options, signal }), options.signal);
+    }
+
+    async explainText(text, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._run('assistant.explain', targetLanguage, (provider, signal) =>
+            provider.explainText(text, targetLanguage, onStreamUpdate, { ...options, signal }), options.signal);
+    }
+
+    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._run('assistant.grammar', targetLanguage, (provider, signal) =>
+            provider.analyzeGrammar(text, targetLanguage, onStreamUpdate, { ...options, signal }), options.signal);
+    }
+
+    async askQuestion(question, context = '', targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._run('assistant.ask', targetLanguage, (provider, signal) =>
+            provider.askQuestion(question, context, targetLanguage, onStreamUpdate, { ...options, signal }), options.signal);
+    }
+
+    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._run('assistant.askWithImage', targetLanguage, (provider, signal) =>
+            provider.askQuestionWithImage(question, imageDataUrl, targetLanguage, onStreamUpdate, { ...options, signal }), options.signal);
+    }
+
+    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english', options = {}) {
+        return this._run('assistant.practice', targetLanguage, (provider, signal) =>
+            provider.generatePractice(topic, difficulty, targetLanguage, { ...options, signal }), options.signal);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRIVATE HELPER METHODS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Indexes of the members that can serve a request, closed circuits first
+     * @param {string|null} feature - Capability path, e.g. 'assistant.explain'
+     */
+    _candidates(feature, targetLanguage) {
+        const capable = this.providers
+            .map((provider, i) => i)
+            .filter(i => {
+                const caps = this.providers[i].getCapabilities?.() || createCapabilities();
+                const supported = !feature || feature.split('.').reduce((obj, key) => obj?.[key], caps) === true;
+                return supported && caps.languages.includes(targetLanguage);
+            });
+
+        if (capable.length === 0) {
+            throw new Error(`No provider in ${this.getName()} supports this request.`);
+        }
+
+        const now = Date.now();
+        const closed = capable.filter(i => !this.health[i].isOpen(now));
+        return closed.length > 0 ? closed : capable;
+    }
+
+    /**
+     * Tries the candidates one after another
+     * @param {function(BaseProvider, AbortSignal): Promise} call
+     */
+    async _run(feature, targetLanguage, call, signal) {
+        let lastError = null;
+
+        for (const i of this._candidates(feature, targetLanguage)) {
+            throwIfAborted(signal);
+            try {
+                return await this._attempt(i, () => call(this.providers[i], signal));
+            } catch (error) {
+                if (!shouldTryNextProvider(error)) throw error;
+                console.warn(`[ProviderChain] ${this.providers[i].getName()} failed:`, error.message);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Like _run, but the next candidate starts early when the current one is
+     * slow. Only the first request to stream is shown, so two providers never
+     * write over each other.
+     * @param {function(BaseProvider, function|null, AbortSignal): Promise} call
+     */
+    _runHedged(feature, targetLanguage, call, onStreamUpdate, signal) {
+        const candidates = this._candidates(feature, targetLanguage);
+
+        return new Promise((resolve, reject) => {
+            const controllers = [];
+            let next = 0;
+            let running = 0;
+            let settled = false;
+            let streamOwner = null;
+            let hedgeTimer = null;
+            let lastError = null;
+
+            const finish = (fn, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(hedgeTimer);
+                signal?.removeEventListener('abort', onAbort);
+                controllers.forEach(c => c.abort());
+                fn(value);
+            };
+
+            const onAbort = () => finish(reject, createAbortError());
+
+            const start = () => {
+                if (settled || next >= candidates.length) return;
+
+                const i = candidates[next++];
+                const controller = new AbortController();
+                controllers.push(controller);
+                running++;
+
+                const stream = onStreamUpdate && ((text) => {
+                    if (streamOwner === null) streamOwner = i;
+                    if (streamOwner === i && !settled) onStreamUpdate(text);
+                });
+
+                clearTimeout(hedgeTimer);
+                hedgeTimer = setTimeout(start, this._hedgeDelay(i));
+
+                this._attempt(i, () => call(this.providers[i], stream, controller.signal))
+                    .then(result => finish(resolve, result))
+                    .catch(error => {
+                        running--;
+                        if (settled) return;
+                        // Our own cancellation of a losing request isn't a verdict
+                        if (!isAbortError(error) && !shouldTryNextProvider(error)) {
+                            finish(reject, error);
+                            return;
+                        }
+                        if (!isAbortError(error)) {
+                            console.warn(`[ProviderChain] ${this.providers[i].getName()} failed:`, error.message);
+                            lastError = error;
+                        }
+                        if (streamOwner === i) streamOwner = null;
+
+                        if (next < candidates.length) {
+                            start(); // Don't wait for the hedge timer after a failure
+                        } else if (running === 0) {
+                            finish(reject, lastError || error);
+                        }
+                    });
+            };
+
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+            start();
+        });
+    }
+
+    _hedgeDelay(index) {
+        return this.health[index].getLatency(0.9) ?? this.options.hedgeDelayMs;
+    }
+
+    /**
+     * Runs one call and records its outcome in the provider's health
+     */
+    async _attempt(index, fn) {
+        const health = this.health[index];
+        const startedAt = Date.now();
+
+        try {
+            const result = await fn();
+            health.recordSuccess(Date.now() - startedAt);
+            return result;
+        } catch (error) {
+            if (shouldTryNextProvider(error)) {
+                health.recordFailure(Date.now() - startedAt);
+                if (health.isOpen()) {
+                    console.warn(`[ProviderChain] ${this.providers[index].getName()} skipped for ${this.options.cooldownMs}ms after ${health.consecutiveFailures} failures`);
+                }
+            }
+            throw error;
+        }
+    }
+}
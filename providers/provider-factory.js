@@ -10,6 +10,12 @@
  * - Reads VITE_TRANSLATION_PROVIDER from .env
  * - If 'gemini' → uses GeminiProvider (current behavior)
  * - If 'custom' → uses CustomModelProvider (your future model!)
+ * - If 'openai-compatible' → uses OpenAICompatibleProvider (any /v1/chat/completions server)
+ * - If 'ollama' → uses OllamaProvider (local, on-device models)
+ * - If 'dictionary' → uses DictionaryProvider (offline CC-CEDICT word pairs for text)
+ * - If 'chain' → tries several of the above in order (see createProviderChain)
+ * - If 'hybrid' → shorthand for the chain custom → gemini
+ * - If 'replay' → records or replays responses offline (see ReplayProvider)
  * 
  * The rest of your app doesn't need to know which provider is used.
  * It just calls translationService.translate() and it works!
@@ -17,15 +23,33 @@
 
 import { GeminiProvider } from './gemini-provider.js';
 import { CustomModelProvider } from './custom-model-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { OllamaProvider } from './ollama-provider.js';
+import { DictionaryProvider } from './dictionary-provider.js';
+import { ProviderChain } from './provider-chain.js';
+import { ReplayProvider } from './replay-provider.js';
 
 /**
  * Creates the appropriate translation provider based on config
  * 
  * @param {object} config - Configuration object with:
- *   - provider: 'gemini' | 'custom'
+ *   - provider: 'gemini' | 'custom' | 'openai-compatible' | 'ollama' | 'dictionary' | 'chain' | 'hybrid' | 'replay'
  *   - geminiApiKey: API key for Gemini
+ *   - geminiModels: Model ladder per operation (see GEMINI_MODELS in config.js)
  *   - customModelUrl: URL for your custom model API
  *   - customModelApiKey: Optional API key for your model
+ *   - openaiBaseUrl: Base URL of an OpenAI-compatible API (e.g. http://host:8000/v1)
+ *   - openaiApiKey: Optional bearer token for that API
+ *   - openaiModel: Model name for text requests
+ *   - openaiVisionModel: Optional model name for image requests
+ *   - ollamaUrl: Ollama server URL (defaults to http://localhost:11434)
+ *   - ollamaModel: Ollama model for text requests
+ *   - ollamaVisionModel: Optional Ollama model for image requests
+ *   - dictionary: DictionaryProvider options ({ url, version }, see OFFLINE_DICTIONARY in config.js)
+ *   - replayMode: 'replay' (default) or 'record'
+ *   - replayTarget: Provider type to record (defaults to 'gemini')
+ *   - replayFixtures: Fixture object, or replayFixturesUrl to fetch one
+ *   - replaySpeed: Delay multiplier when replaying (0 = instant)
  * 
  * @returns {BaseProvider} The configured provider instance
  */
@@ -36,7 +60,7 @@ export function createTranslationProvider(config) {
 
     switch (providerType.toLowerCase()) {
         case 'gemini':
-            return new GeminiProvider(config.geminiApiKey);
+            return new GeminiProvider(config.geminiApiKey, config.geminiModels);
 
         case 'custom':
             if (!config.customModelUrl) {
@@ -47,55 +71,98 @@ export function createTranslationProvider(config) {
                 config.customModelApiKey
             );
 
+        case 'openai-compatible':
+            if (!config.openaiBaseUrl || !config.openaiModel) {
+                throw new Error('openaiBaseUrl and openaiModel are required for openai-compatible provider');
+            }
+            return new OpenAICompatibleProvider(
+                config.openaiBaseUrl,
+                config.openaiApiKey,
+                config.openaiModel,
+                config.openaiVisionModel
+            );
+
+        case 'ollama':
+            if (!config.ollamaModel) {
+                throw new Error('ollamaModel is required for ollama provider');
+            }
+            return new OllamaProvider(
+                config.ollamaUrl || undefined,
+                config.ollamaModel,
+                config.ollamaVisionModel
+            );
+
+        case 'dictionary':
+            return new DictionaryProvider(config.dictionary);
+
+        case 'chain':
+            return createProviderChain(config);
+
+        case 'hybrid':
+            return createHybridProvider(config);
+
+        case 'replay':
+            return createReplayProvider(config);
+
         default:
             console.warn(`Unknown provider: ${providerType}, falling back to Gemini`);
-            return new GeminiProvider(config.geminiApiKey);
+            return new GeminiProvider(config.geminiApiKey, config.geminiModels);
     }
 }
 
 /**
  * ═══════════════════════════════════════════════════════════════
- * HYBRID PROVIDER FACTORY (Optional Advanced Usage)
+ * PROVIDER CHAIN FACTORY (Optional Advanced Usage)
  * ═══════════════════════════════════════════════════════════════
  * 
+ * Creates a ProviderChain from a list of provider types, each built
+ * with createTranslationProvider() from the same config:
+ *
+ *   VITE_TRANSLATION_PROVIDER=chain
+ *   VITE_PROVIDER_CHAIN=ollama,gemini
+ *
+ * @param {object} config - Same as createTranslationProvider, plus:
+ *   - chain: Provider types in order of preference, e.g. ['custom', 'gemini']
+ *   - chainOptions: Health/circuit breaker settings (see PROVIDER_CHAIN in config.js)
+ */
+export function createProviderChain(config) {
+    const types = config.chain || [];
+    if (types.length === 0) {
+        throw new Error('chain is required for the chain provider (e.g. VITE_PROVIDER_CHAIN=ollama,gemini)');
+    }
+    if (types.some(type => ['chain', 'hybrid', 'replay'].includes(type))) {
+        throw new Error('A provider chain cannot contain another chain or a replay provider');
+    }
+
+    const providers = types.map(type => createTranslationProvider({ ...config, provider: type }));
+    return new ProviderChain(providers, config.chainOptions);
+}
+
+/**
  * Creates a provider that tries custom model first, then falls back to Gemini.
  * Useful for testing your model while keeping Gemini as backup.
+ * (Shorthand for a chain of ['custom', 'gemini'].)
  */
 export function createHybridProvider(config) {
-    const customProvider = new CustomModelProvider(
-        config.customModelUrl,
-        config.customModelApiKey
-    );
-    const geminiProvider = new GeminiProvider(config.geminiApiKey);
-
-    // Return a proxy that tries custom first, falls back to Gemini
-    return {
-        getName: () => 'Hybrid (Custom + Gemini)',
-
-        async translate(input, targetLanguage, onStreamUpdate) {
-            try {
-                console.log('[HybridProvider] Trying custom model...');
-                return await customProvider.translate(input, targetLanguage, onStreamUpdate);
-            } catch (error) {
-                console.warn('[HybridProvider] Custom failed, using Gemini:', error.message);
-                return await geminiProvider.translate(input, targetLanguage, onStreamUpdate);
-            }
-        },
+    return createProviderChain({ ...config, chain: ['custom', 'gemini'] });
+}
 
-        async translateWithWordPairs(imageData, targetLanguage) {
-            try {
-                return await customProvider.translateWithWordPairs(imageData, targetLanguage);
-            } catch {
-                return await geminiProvider.translateWithWordPairs(imageData, targetLanguage);
-            }
-        },
+/**
+ * Creates a ReplayProvider. In record mode it wraps the provider named
+ * by replayTarget (which may be a chain), built from the same config.
+ */
+export function createReplayProvider(config) {
+    const mode = config.replayMode || 'replay';
+    const targetType = config.replayTarget || 'gemini';
+    if (targetType === 'replay') {
+        throw new Error('replayTarget cannot be replay');
+    }
 
-        async generateExampleSentences(word, pinyin, targetLanguage) {
-            try {
-                return await customProvider.generateExampleSentences(word, pinyin, targetLanguage);
-            } catch {
-                return await geminiProvider.generateExampleSentences(word, pinyin, targetLanguage);
-            }
-        }
-    };
+    return new ReplayProvider({
+        mode,
+        target: mode === 'record' ? createTranslationProvider({ ...config, provider: targetType }) : null,
+        fixtures: config.replayFixtures || null,
+        fixturesUrl: config.replayFixturesUrl || null,
+        speed: config.replaySpeed ?? 1
+    });
 }
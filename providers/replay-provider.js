@@ -0,0 +1,422 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * REPLAY PROVIDER (record / replay for offline work)
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Lets you run the app - and scripted tests - without a live API key.
+ *
+ * RECORD: wraps a real provider (Gemini by default). Every response,
+ * including the timing of each streamed chunk, token usage and typed
+ * errors, is stored under a hash of the request and saved to
+ * localStorage. Download the fixture file from the browser console:
+ *
+ *   app.translationService.provider.downloadFixtures()
+ *
+ * and put it in public/fixtures/replay.json.
+ *
+ * REPLAY: answers from the fixtures - same request, same chunks, same
+ * delays (scaled by `speed`; 0 replays instantly, for tests). A request
+ * that was never recorded fails with a ProviderError naming its key.
+ *
+ *   VITE_TRANSLATION_PROVIDER=replay
+ *   VITE_REPLAY_MODE=record            # or replay (default)
+ *   VITE_REPLAY_TARGET=gemini          # provider to record
+ *   VITE_REPLAY_FIXTURES=/fixtures/replay.json
+ *
+ * In Node (e.g. a test script), pass the parsed file directly:
+ *
+ *   new ReplayProvider({ fixtures: JSON.parse(readFileSync(path)), speed: 0 })
+ *
+ * scripts/replay-fixtures.js does that with the bundled recording
+ * (`npm run test:replay`).
+ *
+ * FIXTURE FORMAT (version 1):
+ *   {
+ *     "version": 1,
+ *     "recordedWith": "Gemini",
+ *     "capabilities": { ... },           // of the recorded provider
+ *     "entries": {
+ *       "<sha-256 of the request>": {
+ *         "label": "translate: 你好…",    // for humans only
+ *         "chunks": [{ "delayMs": 180, "text": "Hel" }, ...],
+ *         "latencyMs": 950,
+ *         "result": ...,                  // or "error": { name, message, status, ... }
+ *         "usage": [{ promptTokens, outputTokens, ... }]
+ *       }
+ *     }
+ *   }
+ */
+
+import { BaseProvider, createCapabilities } from './base-provider.js';
+import { LANGUAGES } from './languages.js';
+import {
+    ProviderError,
+    RateLimitedError,
+    AuthError,
+    SafetyBlockedError,
+    TimeoutError,
+    NetworkError,
+    InvalidResponseError,
+    ProtocolError,
+    isAbortError,
+    throwIfAborted,
+    abortableDelay
+} from './errors.js';
+
+const FIXTURE_VERSION = 1;
+const STORAGE_KEY = 'chineseTranslator_replayFixtures';
+
+// Options that don't change the answer (callbacks, transport settings)
+const UNKEYED_OPTIONS = ['signal', 'onUsage', 'hedge', 'bypassCache', 'priority'];
+
+const ERROR_CLASSES = {
+    ProviderError,
+    RateLimitedError,
+    AuthError,
+    SafetyBlockedError,
+    TimeoutError,
+    NetworkError,
+    InvalidResponseError,
+    ProtocolError
+};
+
+export class ReplayProvider extends BaseProvider {
+    /**
+     * @param {object} options
+     *   - mode: 'replay' (default) or 'record'
+     *   - target: Provider to record from (required for 'record')
+     *   - fixtures: Fixture object to replay from
+     *   - fixturesUrl: Where to fetch fixtures if none were passed
+     *     (falls back to what was recorded in this browser)
+     *   - speed: Multiplier for recorded delays (1 = real time, 0 = instant)
+     */
+    constructor({ mode = 'replay', target = null, fixtures = null, fixturesUrl = null, speed = 1 } = {}) {
+        super();
+        if (mode !== 'replay' && mode !== 'record') {
+            throw new Error(`Unknown replay mode "${mode}" - use "record" or "replay"`);
+        }
+        if (mode === 'record' && !target) {
+            throw new Error('ReplayProvider needs a target provider to record from');
+        }
+
+        this.mode = mode;
+        this.target = target;
+        this.fixturesUrl = fixturesUrl;
+        this.speed = speed;
+        this.fixtures = fixtures ? this._checkFixtures(fixtures) : null;
+        this.fixturesPromise = null;
+
+        console.log(`[ReplayProvider] ${mode === 'record' ? `Recording ${target.getName()}` : 'Replaying fixtures'}`);
+    }
+
+    getName() {
+        return this.mode === 'record' ? `Replay (recording ${this.target.getName()})` : 'Replay';
+    }
+
+    getModelId(operation = 'translate') {
+        return this.mode === 'record' ? this.target.getModelId?.(operation) || '' : 'replay';
+    }
+
+    isConfigured() {
+        return this.mode === 'record' ? this.target.isConfigured?.() ?? true : true;
+    }
+
+    /**
+     * Recording: connect the target. Replaying: load the fixtures, so
+     * getCapabilities() reports the recorded provider's.
+     */
+    async connect(options = {}) {
+        if (this.mode === 'record') {
+            await this.target.connect?.(options);
+        } else {
+            await this._loadFixtures();
+        }
+    }
+
+    /**
+     * Recording: whatever the target can do. Replaying: what the recorded
+     * provider could do, or everything if the fixtures don't say.
+     */
+    getCapabilities() {
+        if (this.mode === 'record') {
+            return this.target.getCapabilities?.() || createCapabilities();
+        }
+        return this.fixtures?.capabilities || createCapabilities({
+            streaming: true,
+            vision: true,
+            wordPairs: true,
+            exampleSentences: true,
+            textTranslation: true,
+            layout: true,
+            verification: true,
+            assistant: { explain: true, grammar: true, ask: true, askWithImage: true, practice: true },
+            languages: LANGUAGES.map(language => language.code)
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROVIDER INTERFACE
+    // ═══════════════════════════════════════════════════════════════
+
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._handle('translate', [input, targetLanguage], onStreamUpdate, options,
+            (stream, opts) => this.target.translate(input, targetLanguage, stream, opts));
+    }
+
+    async translateWithWordPairs(imageData, targetLanguage = 'english', options = {}) {
+        return this._handle('translateWithWordPairs', [imageData, targetLanguage], null, options,
+            (stream, opts) => this.target.translateWithWordPairs(imageData, targetLanguage, opts));
+    }
+
+    async translateLayout(imageData, targetLanguage = 'english', options = {}) {
+        return this._handle('translateLayout', [imageData, targetLanguage], null, options,
+            (stream, opts) => this.target.translateLayout(imageData, targetLanguage, opts));
+    }
+
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', options = {}) {
+        return this._handle('generateExampleSentences', [chineseWord, pinyin, targetLanguage], null, options,
+            (stream, opts) => this.target.generateExampleSentences(chineseWord, pinyin, targetLanguage, opts));
+    }
+
+    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._handle('translateText', [text, sourceLanguage, targetLanguage], onStreamUpdate, options,
+            (stream, opts) => this.target.translateText(text, sourceLanguage, targetLanguage, stream, opts));
+    }
+
+    async judgeBackTranslation(originalText, backTranslation, options = {}) {
+        return this._handle('judgeBackTranslation', [originalText, backTranslation], null, options,
+            (stream, opts) => this.target.judgeBackTranslation(originalText, backTranslation, opts));
+    }
+
+    async explainText(text, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._handle('explainText', [text, targetLanguage], onStreamUpdate, options,
+            (stream, opts) => this.target.explainText(text, targetLanguage, stream, opts));
+    }
+
+    async analyzeGrammar(text, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._handle('analyzeGrammar', [text, targetLanguage], onStreamUpdate, options,
+            (stream, opts) => this.target.analyzeGrammar(text, targetLanguage, stream, opts));
+    }
+
+    async askQuestion(question, context = '', targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._handle('askQuestion', [question, context, targetLanguage], onStreamUpdate, options,
+            (stream, opts) => this.target.askQuestion(question, context, targetLanguage, stream, opts));
+    }
+
+    async askQuestionWithImage(question, imageDataUrl, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
+        return this._handle('askQuestionWithImage', [question, imageDataUrl, targetLanguage], onStreamUpdate, options,
+            (stream, opts) => this.target.askQuestionWithImage(question, imageDataUrl, targetLanguage, stream, opts));
+    }
+
+    async generatePractice(topic, difficulty = 'beginner', targetLanguage = 'english', options = {}) {
+        return this._handle('generatePractice', [topic, difficulty, targetLanguage], null, options,
+            (stream, opts) => this.target.generatePractice(topic, difficulty, targetLanguage, opts));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // FIXTURES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * @returns {object} The fixtures recorded so far (record mode) or loaded
+     */
+    getFixtures() {
+        return this.fixtures || this._emptyFixtures();
+    }
+
+    /**
+     * Save the fixtures as replay.json (browser only)
+     */
+    downloadFixtures(fileName = 'replay.json') {
+        const blob = new Blob([JSON.stringify(this.getFixtures(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Forget everything recorded in this browser
+     */
+    clearRecording() {
+        this.fixtures = this._emptyFixtures();
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // INTERNALS
+    // ═══════════════════════════════════════════════════════════════
+
+    async _handle(method, args, onStreamUpdate, options, callTarget) {
+        const key = await this._requestKey(method, args, options);
+        return this.mode === 'record'
+            ? this._record(key, method, args, onStreamUpdate, options, callTarget)
+            : this._replay(key, method, args, onStreamUpdate, options);
+    }
+
+    async _record(key, method, args, onStreamUpdate, options, callTarget) {
+        const startedAt = Date.now();
+        let lastChunkAt = startedAt;
+        const entry = { label: this._label(method, args), chunks: [], usage: [] };
+
+        const stream = onStreamUpdate && ((text) => {
+            const now = Date.now();
+            entry.chunks.push({ delayMs: now - lastChunkAt, text });
+            lastChunkAt = now;
+            onStreamUpdate(text);
+        });
+        const onUsage = (usage) => {
+            entry.usage.push(usage);
+            options.onUsage?.(usage);
+        };
+
+        try {
+            entry.result = await callTarget(stream, { ...options, onUsage });
+        } catch (error) {
+            // A cancelled request says nothing about the provider
+            if (!isAbortError(error)) {
+                entry.error = this._serializeError(error);
+                entry.latencyMs = Date.now() - startedAt;
+                await this._store(key, entry);
+            }
+            throw error;
+        }
+
+        entry.latencyMs = Date.now() - startedAt;
+        await this._store(key, entry);
+        return entry.result;
+    }
+
+    async _replay(key, method, args, onStreamUpdate, options) {
+        const fixtures = await this._loadFixtures();
+        throwIfAborted(options.signal);
+
+        const entry = fixtures.entries[key];
+        if (!entry) {
+            throw new ProviderError(`No recorded response for ${this._label(method, args)} (key ${key.slice(0, 12)}). Record it with VITE_REPLAY_MODE=record.`);
+        }
+
+        let elapsed = 0;
+        for (const chunk of entry.chunks || []) {
+            await this._wait(chunk.delayMs, options.signal);
+            elapsed += chunk.delayMs;
+            onStreamUpdate?.(chunk.text);
+        }
+        await this._wait((entry.latencyMs || 0) - elapsed, options.signal);
+
+        for (const usage of entry.usage || []) {
+            this._reportUsage(options.onUsage, usage);
+        }
+
+        if (entry.error) {
+            throw this._deserializeError(entry.error);
+        }
+        // Callers may modify results - never hand out the fixture itself
+        return structuredClone(entry.result);
+    }
+
+    _wait(ms, signal) {
+        const scaled = ms * this.speed;
+        return scaled > 0 ? abortableDelay(scaled, signal) : Promise.resolve();
+    }
+
+    /**
+     * SHA-256 of the method, its arguments and the options that shape
+     * the prompt (glossary, style, ...)
+     */
+    async _requestKey(method, args, options) {
+        const keyedOptions = Object.fromEntries(Object.entries(options)
+            .filter(([name, value]) => !UNKEYED_OPTIONS.includes(name) && typeof value !== 'function')
+            .sort(([a], [b]) => a.localeCompare(b)));
+        const material = JSON.stringify([method, args, keyedOptions]);
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    _label(method, args) {
+        const [first] = args;
+        const summary = typeof first === 'string' ? first.slice(0, 40) : '[image]';
+        return `${method}: ${summary}`;
+    }
+
+    async _store(key, entry) {
+        if (!this.fixtures) {
+            this.fixtures = this._loadRecording() || this._emptyFixtures();
+        }
+        this.fixtures.recordedWith = this.target.getName();
+        this.fixtures.capabilities = this.target.getCapabilities?.() || createCapabilities();
+        this.fixtures.entries[key] = entry;
+
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.fixtures));
+        } catch (error) {
+            console.warn('[ReplayProvider] Could not save recording (download it before it grows further):', error);
+        }
+    }
+
+    /**
+     * Fixtures passed in, else fetched from fixturesUrl, else recorded here
+     */
+    _loadFixtures() {
+        if (this.fixtures) return Promise.resolve(this.fixtures);
+
+        this.fixturesPromise ??= (async () => {
+            if (this.fixturesUrl) {
+                try {
+                    const response = await fetch(this.fixturesUrl);
+                    if (response.ok) {
+                        this.fixtures = this._checkFixtures(await response.json());
+                        console.log(`[ReplayProvider] Loaded ${Object.keys(this.fixtures.entries).length} recordings from ${this.fixturesUrl}`);
+                        return this.fixtures;
+                    }
+                    console.warn(`[ReplayProvider] ${this.fixturesUrl}: ${response.status}, using this browser's recording`);
+                } catch (error) {
+                    console.warn(`[ReplayProvider] Could not load ${this.fixturesUrl}, using this browser's recording:`, error);
+                }
+            }
+            this.fixtures = this._loadRecording() || this._emptyFixtures();
+            return this.fixtures;
+        })();
+        return this.fixturesPromise;
+    }
+
+    _loadRecording() {
+        if (typeof localStorage === 'undefined') return null;
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? this._checkFixtures(JSON.parse(saved)) : null;
+        } catch (error) {
+            console.warn('[ReplayProvider] Ignoring saved recording:', error);
+            return null;
+        }
+    }
+
+    _checkFixtures(fixtures) {
+        if (fixtures?.version !== FIXTURE_VERSION || typeof fixtures.entries !== 'object') {
+            throw new Error(`Replay fixtures must be version ${FIXTURE_VERSION} with an "entries" object`);
+        }
+        return fixtures;
+    }
+
+    _emptyFixtures() {
+        return { version: FIXTURE_VERSION, recordedWith: null, capabilities: null, entries: {} };
+    }
+
+    _serializeError(error) {
+        const { name = 'Error', message = String(error), status = null, retryAfter, categories, timeoutMs, serverVersion } = error || {};
+        return { name, message, status, retryAfter, categories, timeoutMs, serverVersion };
+    }
+
+    _deserializeError({ name, message, ...details }) {
+        const ErrorClass = ERROR_CLASSES[name];
+        return ErrorClass ? new ErrorClass(message, details) : new Error(message);
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * STREAM UTILITIES
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Helpers for reading streamed HTTP responses from fetch().
+ * Used by providers that talk to servers directly instead of
+ * going through an SDK.
+ */
+
+/**
+ * Yields decoded text lines from a fetch Response body as they arrive.
+ * @param {Response} response - A fetch response with a readable body
+ */
+export async function* readLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                finished = true;
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+                buffer = buffer.slice(newlineIndex + 1);
+                yield line;
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer) {
+            yield buffer.replace(/\r$/, '');
+        }
+    } finally {
+        // The caller stopped early ([DONE], done: true, an error): close the
+        // connection instead of leaving it open until the server ends it
+        if (!finished) {
+            reader.cancel().catch(() => {});
+        }
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Yields the `data:` payload of each Server-Sent Event.
+ * Multi-line data fields are joined with newlines, as per the SSE spec.
+ * @param {Response} response - A fetch response with Content-Type text/event-stream
+ */
+export async function* readServerSentEvents(response) {
+    let dataLines = [];
+
+    for await (const line of readLines(response)) {
+        if (line === '') {
+            // Blank line = end of event
+            if (dataLines.length > 0) {
+                yield dataLines.join('\n');
+                dataLines = [];
+            }
+            continue;
+        }
+
+        if (line.startsWith(':')) continue; // Comment / keep-alive
+
+        if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    }
+
+    if (dataLines.length > 0) {
+        yield dataLines.join('\n');
+    }
+}
+
+/**
+ * Yields one parsed JSON object per line of a newline-delimited JSON stream.
+ * Blank lines are skipped; a malformed line throws.
+ * @param {Response} response - A fetch response with NDJSON content
+ */
+export async function* readNDJSON(response) {
+    for await (const line of readLines(response)) {
+        if (!line.trim()) continue;
+        yield JSON.parse(line);
+    }
+}
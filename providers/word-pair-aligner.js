@@ -0,0 +1,215 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * WORD PAIR ALIGNER
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Lines the word pairs of a translateWithWordPairs result up with its
+ * originalText, so every pair knows exactly which characters it is:
+ *
+ *   originalText: "我们今天学习中文。"
+ *   wordPairs:    [{ chinese: "我们", start: 0, end: 2 },
+ *                  { chinese: "今天", start: 2, end: 4 }, ...]
+ *
+ * Offsets index originalText like String.slice (UTF-16 code units).
+ * Models don't always return clean pairs, so the aligner also repairs:
+ *
+ * - dropped characters: each missing stretch of Chinese text becomes
+ *   untranslated pairs ({ untranslated: true }, no pinyin, no
+ *   translation), cut into words by longest match (segmentText in
+ *   cedict.js) against the other pairs' words and, when given, the
+ *   dictionary's - the highlighter then covers the whole sentence
+ * - duplicated words: a pair whose text is already covered is removed
+ * - out-of-order pairs: moved to where their text is
+ * - differing pairs (e.g. simplified pairs for traditional text): take
+ *   the characters where the reading is at, if there are as many
+ *
+ * Pairs that can't be placed at all keep their place, without offsets.
+ * Punctuation and Latin text don't need pairs, as in word-pair-validator.js.
+ */
+
+import { segmentText } from './cedict.js';
+
+const HAN_CHAR = /\p{Script=Han}/u;
+
+/**
+ * @param {object} result - { originalText, wordPairs, ... } (already validated)
+ * @param {object} segmenter - { isWord, maxWordLength }: the words a
+ *   dictionary knows (see DictionaryProvider.findWords), for cutting
+ *   dropped text into words; without it only the pairs' words are known
+ * @returns {object} A copy of result: wordPairs in reading order with
+ *   { start, end } (null when not found), plus `alignment`:
+ *   { dropped: [{ start, end, text }], duplicates: [{ index, chinese }],
+ *     outOfOrder: [{ index, chinese }], differing: [{ index, chinese, text }],
+ *     unmatched: [{ index, chinese }] },
+ *   indices being those of the pairs the provider returned
+ */
+export function alignWordPairs(result, { isWord = null, maxWordLength = 1 } = {}) {
+    const originalText = result?.originalText || '';
+    const pairs = result?.wordPairs || [];
+    const alignment = { dropped: [], duplicates: [], outOfOrder: [], differing: [], unmatched: [] };
+
+    if (!originalText || pairs.length === 0) {
+        return { ...result, wordPairs: pairs.map(pair => ({ ...pair, start: null, end: null })), alignment };
+    }
+
+    const covered = new Array(originalText.length).fill(false);
+    const isFree = (start, end) => covered.slice(start, end).every(taken => !taken);
+    const cover = (start, end) => covered.fill(true, start, end);
+
+    const aligned = [];
+    let cursor = 0;
+
+    pairs.forEach((pair, index) => {
+        const text = (pair.chinese || '').trim();
+        const label = { index, chinese: pair.chinese };
+
+        if (!HAN_CHAR.test(text)) {
+            // Punctuation-only pair: only where the reading is at anyway
+            const position = text ? originalText.indexOf(text, cursor) : -1;
+            if (position !== -1 && !hasHan(originalText.slice(cursor, position)) && isFree(position, position + text.length)) {
+                cover(position, position + text.length);
+                cursor = position + text.length;
+                aligned.push({ ...pair, start: position, end: position + text.length });
+            } else {
+                aligned.push({ ...pair, start: null, end: null });
+            }
+            return;
+        }
+
+        const ahead = findFree(originalText, text, cursor, originalText.length, isFree);
+        if (ahead !== -1) {
+            cover(ahead, ahead + text.length);
+            cursor = ahead + text.length;
+            aligned.push({ ...pair, start: ahead, end: ahead + text.length });
+            return;
+        }
+
+        const behind = findFree(originalText, text, 0, cursor, isFree);
+        const here = spanAt(originalText, cursor, text);
+        if (behind !== -1) {
+            cover(behind, behind + text.length);
+            alignment.outOfOrder.push(label);
+            aligned.push({ ...pair, start: behind, end: behind + text.length });
+        } else if (originalText.includes(text)) {
+            alignment.duplicates.push(label);
+        } else if (here && isFree(here.start, here.end)) {
+            cover(here.start, here.end);
+            cursor = here.end;
+            alignment.differing.push({ ...label, text: originalText.slice(here.start, here.end) });
+            aligned.push({ ...pair, start: here.start, end: here.end });
+        } else {
+            alignment.unmatched.push(label);
+            aligned.push({ ...pair, start: null, end: null });
+        }
+    });
+
+    // Missing Chinese text, cut into words the model used elsewhere or the dictionary knows
+    const knownWords = new Set(aligned.map(pair => (pair.chinese || '').trim()).filter(Boolean));
+    const isKnown = (word) => knownWords.has(word) || !!isWord?.(word);
+    const longestWord = [...knownWords].reduce((longest, word) => Math.max(longest, Array.from(word).length), maxWordLength);
+    for (const gap of uncoveredRuns(originalText, covered)) {
+        alignment.dropped.push(gap);
+        for (const word of segmentGap(gap.text, isKnown, longestWord)) {
+            aligned.push({
+                chinese: word.text,
+                pinyin: '',
+                translation: '',
+                untranslated: true,
+                start: gap.start + word.start,
+                end: gap.start + word.end
+            });
+        }
+    }
+
+    return { ...result, wordPairs: inReadingOrder(aligned), alignment };
+}
+
+/**
+ * First occurrence of text in [from, to) whose characters are all uncovered
+ */
+function findFree(haystack, text, from, to, isFree) {
+    let position = haystack.indexOf(text, from);
+    while (position !== -1 && position + text.length <= to) {
+        if (isFree(position, position + text.length)) return position;
+        position = haystack.indexOf(text, position + 1);
+    }
+    return -1;
+}
+
+/**
+ * The Chinese characters at the reading position, as many as text has
+ * (only for text that is all Chinese characters)
+ * @returns {object|null} { start, end }
+ */
+function spanAt(haystack, cursor, text) {
+    const length = Array.from(text).length;
+    if (Array.from(text).some(char => !HAN_CHAR.test(char))) return null;
+
+    let start = cursor;
+    while (start < haystack.length && !HAN_CHAR.test(String.fromCodePoint(haystack.codePointAt(start)))) start++;
+    const chars = Array.from(haystack.slice(start)).slice(0, length);
+    if (chars.length < length || chars.some(char => !HAN_CHAR.test(char))) return null;
+    return { start, end: start + chars.join('').length };
+}
+
+/**
+ * Known words where they fit; the characters in between stay together
+ */
+function segmentGap(text, isKnown, maxWordLength) {
+    const words = [];
+    for (const word of segmentText(text, isKnown, maxWordLength)) {
+        const previous = words[words.length - 1];
+        if (!word.known && previous && !previous.known && previous.end === word.start) {
+            previous.text += word.text;
+            previous.end = word.end;
+        } else {
+            words.push({ ...word });
+        }
+    }
+    return words;
+}
+
+/**
+ * Stretches of uncovered text that contain Chinese characters,
+ * trimmed to their first and last Chinese character
+ * @returns {Array} [{ start, end, text }]
+ */
+function uncoveredRuns(text, covered) {
+    const runs = [];
+    let start = null;
+    for (let i = 0; i <= text.length; i++) {
+        const free = i < text.length && !covered[i];
+        if (free && start === null) start = i;
+        if (!free && start !== null) {
+            const run = text.slice(start, i);
+            const first = run.search(HAN_CHAR);
+            if (first !== -1) {
+                const chars = Array.from(run);
+                let last = run.length;
+                while (!HAN_CHAR.test(chars[chars.length - 1])) last -= chars.pop().length;
+                runs.push({ start: start + first, end: start + last, text: run.slice(first, last) });
+            }
+            start = null;
+        }
+    }
+    return runs;
+}
+
+/**
+ * Sort by position; pairs without one stay right after the pair
+ * that came before them
+ */
+function inReadingOrder(pairs) {
+    let lastStart = -1;
+    return pairs
+        .map((pair, order) => {
+            if (pair.start !== null) lastStart = pair.start;
+            return { pair, order, key: pair.start ?? lastStart + 0.5 };
+        })
+        .sort((a, b) => a.key - b.key || a.order - b.order)
+        .map(({ pair }) => pair);
+}
+
+function hasHan(text) {
+    return HAN_CHAR.test(text);
+}
@@ -0,0 +1,196 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * WORD PAIR VALIDATOR
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Checks a word-pairs payload before it reaches the highlighter:
+ *
+ *   {
+ *     originalText: "今天很忙",
+ *     fullPinyin: "jīn tiān hěn máng",
+ *     fullTranslation: "Very busy today",
+ *     wordPairs: [{ chinese: "今天", pinyin: "jīn tiān", translation: "today" }, ...]
+ *   }
+ *
+ * Besides the shape, the pairs must cover originalText in reading
+ * order: every Chinese character exactly once - no gaps, no overlaps.
+ * Punctuation, spaces and Latin text don't count towards coverage.
+ *
+ * Pinyin must be well-formed (checkPinyin in pinyin.js): real syllables,
+ * one tone mark each, one syllable per character. For Cantonese the
+ * same fields hold Jyutping and are checked by checkJyutping instead.
+ *
+ * Violations are plain sentences so they can be pasted into the
+ * repair prompt (buildWordPairsRepairPrompt) as they are.
+ */
+
+import { checkPinyin } from './pinyin.js';
+import { checkJyutping } from './jyutping.js';
+
+const HAN_CHAR = /\p{Script=Han}/u;
+
+// "ni3 hao3", "lv4" - tone numbers instead of tone marks
+const TONE_NUMBER = /[a-zü:]+[1-5]/i;
+
+// Keep the repair prompt short even for badly broken replies
+const MAX_VIOLATIONS = 20;
+
+/**
+ * Parses a model reply and validates it
+ * @param {string} text - Raw model reply (may be wrapped in ```json fences)
+ * @param {object} options - { variety } the reply was asked for (see validateWordPairs)
+ * @returns {{ value: object, violations: string[] }} value always has the
+ *   expected shape; when the reply isn't JSON at all, the whole reply
+ *   becomes fullTranslation
+ */
+export function parseWordPairs(text, options = {}) {
+    let payload;
+    try {
+        payload = JSON.parse(stripCodeFences(text));
+    } catch (error) {
+        return {
+            value: { originalText: '', fullPinyin: '', fullTranslation: text, wordPairs: [] },
+            violations: [`The reply is not valid JSON (${error.message}).`]
+        };
+    }
+    return validateWordPairs(payload, options);
+}
+
+/**
+ * Validates an already-parsed payload (e.g. from the custom model API)
+ * @param {object} options - { variety }: 'cantonese' when the pronunciations
+ *   are Jyutping (CHINESE_VARIETIES in prompts.js)
+ * @returns {{ value: object, violations: string[] }} value is normalized:
+ *   missing strings become '', unusable pairs are dropped
+ */
+export function validateWordPairs(payload, { variety = 'mandarin' } = {}) {
+    const violations = [];
+    const jyutping = variety === 'cantonese';
+    const checkPronunciation = jyutping ? checkJyutping : checkPinyin;
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return {
+            value: { originalText: '', fullPinyin: '', fullTranslation: '', wordPairs: [] },
+            violations: ['The reply must be a JSON object with originalText, fullPinyin, fullTranslation and wordPairs.']
+        };
+    }
+
+    for (const field of ['originalText', 'fullPinyin', 'fullTranslation']) {
+        if (typeof payload[field] !== 'string' || !payload[field].trim()) {
+            violations.push(`"${field}" must be a non-empty string.`);
+        }
+    }
+
+    if (!jyutping && typeof payload.fullPinyin === 'string' && TONE_NUMBER.test(payload.fullPinyin)) {
+        violations.push(`"fullPinyin" uses tone numbers - use tone marks (e.g. "nǐ hǎo", not "ni3 hao3").`);
+    } else if (typeof payload.fullPinyin === 'string' && payload.fullPinyin.trim()) {
+        const chinese = typeof payload.originalText === 'string' ? payload.originalText : null;
+        const [problem] = checkPronunciation(payload.fullPinyin, chinese);
+        if (problem) violations.push(`"fullPinyin" ${problem}.`);
+    }
+
+    let rawPairs = payload.wordPairs;
+    if (!Array.isArray(rawPairs)) {
+        violations.push('"wordPairs" must be an array.');
+        rawPairs = [];
+    }
+
+    const wordPairs = [];
+    rawPairs.forEach((pair, index) => {
+        if (!pair || typeof pair !== 'object' || typeof pair.chinese !== 'string' || !pair.chinese.trim()) {
+            violations.push(`wordPairs[${index}] has no "chinese" text.`);
+            return;
+        }
+
+        const label = `wordPairs[${index}] ("${pair.chinese}")`;
+        if (typeof pair.pinyin !== 'string' || !pair.pinyin.trim()) {
+            violations.push(`${label} has no pinyin.`);
+        } else if (!jyutping && TONE_NUMBER.test(pair.pinyin)) {
+            violations.push(`${label} pinyin "${pair.pinyin}" uses tone numbers - use tone marks.`);
+        } else if (HAN_CHAR.test(pair.pinyin)) {
+            violations.push(`${label} pinyin "${pair.pinyin}" contains Chinese characters.`);
+        } else {
+            const [problem] = checkPronunciation(pair.pinyin, pair.chinese);
+            if (problem) violations.push(`${label} pinyin "${pair.pinyin}" ${problem}.`);
+        }
+        if (typeof pair.translation !== 'string' || !pair.translation.trim()) {
+            violations.push(`${label} has no translation.`);
+        }
+
+        wordPairs.push({
+            ...pair,
+            pinyin: typeof pair.pinyin === 'string' ? pair.pinyin : '',
+            translation: typeof pair.translation === 'string' ? pair.translation : ''
+        });
+    });
+
+    const originalText = typeof payload.originalText === 'string' ? payload.originalText : '';
+    violations.push(...checkCoverage(originalText, wordPairs));
+
+    return {
+        value: {
+            originalText,
+            fullPinyin: typeof payload.fullPinyin === 'string' ? payload.fullPinyin : '',
+            fullTranslation: typeof payload.fullTranslation === 'string' ? payload.fullTranslation : '',
+            wordPairs
+        },
+        violations: violations.length > MAX_VIOLATIONS
+            ? [...violations.slice(0, MAX_VIOLATIONS), `...and ${violations.length - MAX_VIOLATIONS} more problems.`]
+            : violations
+    };
+}
+
+/**
+ * Walks the pairs through originalText's Chinese characters in order
+ * @returns {string[]} Violations (missing characters, overlaps, unknown segments)
+ */
+function checkCoverage(originalText, wordPairs) {
+    const text = hanOnly(originalText);
+    if (!text) return [];
+
+    if (wordPairs.length === 0) {
+        return ['"wordPairs" is empty but originalText contains Chinese text.'];
+    }
+
+    const violations = [];
+    const missing = [];
+    let cursor = 0;
+
+    wordPairs.forEach((pair, index) => {
+        const segment = hanOnly(pair.chinese);
+        if (!segment) return; // Punctuation-only pairs don't affect coverage
+
+        const label = `wordPairs[${index}] ("${pair.chinese}")`;
+        const position = text.indexOf(segment, cursor);
+        // Starts inside the previous segment?
+        const overlapIndex = text.indexOf(segment, Math.max(0, cursor - segment.length + 1));
+
+        if (overlapIndex !== -1 && overlapIndex < cursor) {
+            violations.push(`${label} overlaps the previous segment - each character must belong to exactly one pair.`);
+            cursor = Math.max(cursor, overlapIndex + segment.length);
+        } else if (position === -1) {
+            violations.push(`${label} does not appear in originalText at this position.`);
+        } else {
+            if (position > cursor) missing.push(text.slice(cursor, position));
+            cursor = position + segment.length;
+        }
+    });
+
+    if (cursor < text.length) missing.push(text.slice(cursor));
+
+    if (missing.length > 0) {
+        violations.push(`wordPairs skip characters of originalText: ${missing.map(m => `"${m}"`).join(', ')}.`);
+    }
+    return violations;
+}
+
+function hanOnly(text) {
+    return Array.from(text || '').filter(char => HAN_CHAR.test(char)).join('');
+}
+
+/**
+ * Models without a JSON response mode often wrap JSON in ```json fences
+ */
+export function stripCodeFences(text) {
+    return text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+}
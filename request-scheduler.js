@@ -0,0 +1,228 @@
+// Request Scheduler
+// One queue in front of the provider for every caller (selections, live
+// mode, the camera loop, background word pairs, the bot, the assistant)
+//
+// - Priorities: 'user' (explicit actions) > 'live' (live mode, camera) >
+//   'background' (word pairs, confidence checks). The highest waiting
+//   request starts first; lower classes also have their own, smaller limits.
+// - Identical requests in flight (same key) share one provider call.
+//   Each caller keeps its own AbortSignal; the call is only cancelled
+//   when every caller has gone.
+// - Backpressure: a RateLimitedError (429) pauses the queue for the
+//   provider's Retry-After (or cooldownMs) and halves the concurrency;
+//   it grows back by one per `limit` successes. While paused, new
+//   background requests are refused instead of queued.
+
+import { RateLimitedError, createAbortError } from './providers/errors.js';
+
+export const PRIORITIES = ['user', 'live', 'background'];
+
+const DEFAULT_LIMITS = { user: 4, live: 2, background: 1 };
+
+export class RequestScheduler {
+    /**
+     * @param {object} options
+     *   - maxConcurrent: Provider calls in flight at most
+     *   - limits: Per-priority maximum, e.g. { user: 4, live: 2, background: 1 }
+     *   - cooldownMs: Pause after a 429 that didn't say how long to wait
+     *   - maxCooldownMs: Never pause longer than this
+     */
+    constructor({ maxConcurrent = 4, limits = {}, cooldownMs = 5000, maxCooldownMs = 60000 } = {}) {
+        this.maxConcurrent = maxConcurrent;
+        this.limits = { ...DEFAULT_LIMITS, ...limits };
+        this.cooldownMs = cooldownMs;
+        this.maxCooldownMs = maxCooldownMs;
+
+        this.limit = maxConcurrent;       // Current concurrency (lowered on 429s)
+        this.successStreak = 0;
+        this.pausedUntil = 0;
+        this.resumeTimer = null;
+
+        this.queue = [];                  // Jobs waiting, in arrival order
+        this.running = new Set();
+        this.byKey = new Map();           // Dedup key -> queued or running job
+        this.sequence = 0;
+    }
+
+    /**
+     * Run a provider call when its turn comes
+     * @param {function(AbortSignal, function|null): Promise} call - Makes the
+     *   provider call with the job's signal and stream listener (given for
+     *   shared calls even when nobody listens yet - a caller may join later)
+     * @param {object} options
+     *   - priority: 'user' (default) | 'live' | 'background'
+     *   - key: Identical requests share a call (null = never shared)
+     *   - signal: The caller's AbortSignal
+     *   - onStreamUpdate: The caller's stream listener
+     * @returns {Promise} The call's result
+     */
+    schedule(call, { priority = 'user', key = null, signal = null, onStreamUpdate = null } = {}) {
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown request priority "${priority}" (expected one of: ${PRIORITIES.join(', ')})`);
+        }
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError());
+        }
+        if (priority === 'background' && this.isPaused()) {
+            return Promise.reject(new RateLimitedError('Rate limited - background request skipped', {
+                retryAfter: Math.ceil((this.pausedUntil - Date.now()) / 1000)
+            }));
+        }
+
+        let job = key ? this.byKey.get(key) : null;
+        if (job) {
+            // Someone more important now waits for it
+            if (PRIORITIES.indexOf(priority) < PRIORITIES.indexOf(job.priority)) {
+                job.priority = priority;
+            }
+        } else {
+            job = {
+                key,
+                priority,
+                call,
+                sequence: this.sequence++,
+                controller: new AbortController(),
+                callers: new Set(),
+                lastStream: null,
+                // Fans the call's stream out to whoever waits for it when it arrives
+                stream: (text) => {
+                    job.lastStream = text;
+                    job.callers.forEach(caller => caller.onStreamUpdate?.(text));
+                }
+            };
+            if (key) this.byKey.set(key, job);
+            this.queue.push(job);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const caller = { resolve, reject, onStreamUpdate, signal, onAbort: null };
+            if (signal) {
+                caller.onAbort = () => this._leave(job, caller);
+                signal.addEventListener('abort', caller.onAbort, { once: true });
+            }
+            job.callers.add(caller);
+
+            // Joined a call that is already streaming - catch up
+            if (onStreamUpdate && job.lastStream !== null) {
+                onStreamUpdate(job.lastStream);
+            }
+        });
+
+        this._dispatch();
+        return promise;
+    }
+
+    /**
+     * Whether a recent 429 is holding the queue
+     */
+    isPaused(now = Date.now()) {
+        return now < this.pausedUntil;
+    }
+
+    /**
+     * Snapshot for debugging / a status panel
+     */
+    getStats() {
+        const count = (jobs, priority) => jobs.filter(job => job.priority === priority).length;
+        const running = [...this.running];
+        return {
+            limit: this.limit,
+            pausedForMs: Math.max(0, this.pausedUntil - Date.now()),
+            running: Object.fromEntries(PRIORITIES.map(p => [p, count(running, p)])),
+            queued: Object.fromEntries(PRIORITIES.map(p => [p, count(this.queue, p)]))
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRIVATE HELPER METHODS
+    // ═══════════════════════════════════════════════════════════════
+
+    _dispatch() {
+        if (this.isPaused()) return;
+
+        const waiting = [...this.queue].sort((a, b) =>
+            PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) || a.sequence - b.sequence);
+
+        for (const job of waiting) {
+            if (this.running.size >= this.limit) break;
+
+            const sameClass = [...this.running].filter(running => running.priority === job.priority).length;
+            if (sameClass >= this.limits[job.priority]) continue;
+
+            this._start(job);
+        }
+    }
+
+    async _start(job) {
+        this.queue.splice(this.queue.indexOf(job), 1);
+        this.running.add(job);
+
+        // Only a shared call can gain a listener after it started
+        const streams = job.key !== null || [...job.callers].some(caller => caller.onStreamUpdate);
+
+        try {
+            const result = await job.call(job.controller.signal, streams ? job.stream : null);
+            this._recordSuccess();
+            this._settle(job, caller => caller.resolve(result));
+        } catch (error) {
+            if (error instanceof RateLimitedError) {
+                this._recordRateLimit(error);
+            }
+            this._settle(job, caller => caller.reject(error));
+        } finally {
+            this.running.delete(job);
+            this._dispatch();
+        }
+    }
+
+    _settle(job, notify) {
+        if (job.key && this.byKey.get(job.key) === job) {
+            this.byKey.delete(job.key);
+        }
+        for (const caller of job.callers) {
+            caller.signal?.removeEventListener('abort', caller.onAbort);
+            notify(caller);
+        }
+        job.callers.clear();
+    }
+
+    /**
+     * A caller gave up. The call goes on while anyone else still waits for it.
+     */
+    _leave(job, caller) {
+        if (!job.callers.delete(caller)) return;
+        caller.reject(createAbortError());
+        if (job.callers.size > 0) return;
+
+        if (job.key && this.byKey.get(job.key) === job) {
+            this.byKey.delete(job.key);
+        }
+        const index = this.queue.indexOf(job);
+        if (index >= 0) {
+            this.queue.splice(index, 1);
+        } else {
+            job.controller.abort();
+        }
+    }
+
+    _recordSuccess() {
+        this.successStreak++;
+        if (this.limit < this.maxConcurrent && this.successStreak >= this.limit) {
+            this.limit++;
+            this.successStreak = 0;
+        }
+    }
+
+    _recordRateLimit(error) {
+        this.successStreak = 0;
+        this.limit = Math.max(1, Math.floor(this.limit / 2));
+
+        const waitMs = Math.min(this.maxCooldownMs,
+            error.retryAfter != null ? error.retryAfter * 1000 : this.cooldownMs);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + waitMs);
+        console.warn(`[RequestScheduler] Rate limited - pausing ${Math.round(waitMs / 1000)}s, concurrency ${this.limit}`);
+
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => this._dispatch(), this.pausedUntil - Date.now());
+    }
+}
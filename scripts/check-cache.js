@@ -0,0 +1,119 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * CACHE CHECKS
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * TranslationService without a usable TranslationCache. Browsers only
+ * offer crypto.subtle in secure contexts, so opening the app over plain
+ * http on a LAN address disables the cache - every request must still
+ * reach the provider instead of failing on the cache key, and identical
+ * requests in flight must still share one provider call:
+ *
+ *   npm run test:cache
+ *
+ * The service reads import.meta.env, so it's loaded through Vite.
+ */
+
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Answers every call without a network, counting them
+function createFakeProvider() {
+    const calls = [];
+    return {
+        calls,
+        getName: () => 'Fake',
+        getModelId: () => 'fake-model',
+        getCapabilities: () => ({
+            streaming: false, vision: true, wordPairs: true, exampleSentences: false,
+            textTranslation: false, layout: false, verification: false,
+            assistant: {}, languages: ['english']
+        }),
+        async translate(input) {
+            calls.push('translate');
+            return `translated ${typeof input === 'string' ? input : 'image'}`;
+        },
+        async translateBatch(regions) {
+            calls.push('translateBatch');
+            return regions.map(({ id }) => ({ id, translation: `translated ${id}` }));
+        },
+        async translateWithWordPairs() {
+            calls.push('wordPairs');
+            return {
+                original: '你好',
+                translation: 'hello',
+                wordPairs: [{ chinese: '你好', english: 'hello', pinyin: 'nǐ hǎo' }]
+            };
+        }
+    };
+}
+
+const IMAGE = { mimeType: 'image/png', data: 'iVBORw0KGgo=' };
+
+const CASES = [
+    ['translate', (service) => service.translate('你好'), (result) => result === 'translated 你好'],
+    ['image translation', (service) => service.translate(IMAGE), (result) => result === 'translated image'],
+    ['word pairs', (service) => service.translateWithWordPairs(IMAGE), (result) => result.wordPairs.length === 1],
+    ['batch', (service) => service.translateBatch([{ input: '你好' }, { input: '再见' }]),
+        (result) => result.every(region => !region.error && !region.cached)],
+    ['isCached', (service) => service.isCached('translate', '你好'), (result) => result === false],
+    ['identical requests share a call', async (service, provider) => {
+        const before = provider.calls.length;
+        await Promise.all([service.translate('早上好'), service.translate('早上好')]);
+        return provider.calls.length - before;
+    }, (calls) => calls === 1]
+];
+
+async function main() {
+    const server = await createServer({
+        root: ROOT,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        server: { middlewareMode: true, hmr: false },
+        optimizeDeps: { noDiscovery: true, include: [] }
+    });
+
+    let failed = 0;
+    try {
+        const { TranslationService } = await server.ssrLoadModule('/translation-service.js');
+        const { RequestScheduler } = await server.ssrLoadModule('/request-scheduler.js');
+
+        // An insecure browser context: IndexedDB, but no crypto.subtle
+        const crypto = globalThis.crypto;
+        globalThis.indexedDB ??= {};
+        Object.defineProperty(globalThis, 'crypto', { value: { getRandomValues: crypto.getRandomValues.bind(crypto) }, configurable: true });
+
+        const service = new TranslationService({ dictionary: false });
+        const provider = createFakeProvider();
+        service.provider = provider;
+        service.setScheduler(new RequestScheduler());
+
+        if (service.cache.enabled) {
+            failed++;
+            console.log('  ✗ cache is enabled without crypto.subtle');
+        }
+        for (const [name, run, check] of CASES) {
+            try {
+                const result = await run(service, provider);
+                if (!check(result)) throw new Error(`unexpected result ${JSON.stringify(result)}`);
+                console.log(`  ✓ ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`  ✗ ${name}: ${error.message}`);
+            }
+        }
+    } finally {
+        await server.close();
+    }
+
+    if (failed > 0) {
+        console.log(`${failed} of ${CASES.length} checks failed`);
+        process.exitCode = 1;
+    }
+}
+
+main();
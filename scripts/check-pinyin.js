@@ -0,0 +1,43 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PINYIN CHECKS
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Known conversions of providers/pinyin.js, so a change to the
+ * romanizations shows up before it reaches the word chips:
+ *
+ *   npm run test:pinyin
+ */
+
+import { pinyinToZhuyin, toneNumbersToMarks, toneMarksToNumbers, formatPinyin } from '../providers/pinyin.js';
+
+const CASES = [
+    ['tone numbers → marks', () => toneNumbersToMarks('ni3 hao3'), 'nǐ hǎo'],
+    ['ü from u: and v', () => toneNumbersToMarks('nu:3 lv4'), 'nǚ lǜ'],
+    ['marks → numbers, apostrophe kept', () => toneMarksToNumbers("Xī'ān"), "Xi1'an1"],
+    ['Zhuyin', () => pinyinToZhuyin('nǐ hǎo'), 'ㄋㄧˇ ㄏㄠˇ'],
+    ['Zhuyin of joined syllables', () => pinyinToZhuyin('zhōngwén'), 'ㄓㄨㄥ ㄨㄣˊ'],
+    // The apostrophe is the only thing telling 西安 from 先
+    ["Zhuyin of Xī'ān", () => pinyinToZhuyin("Xī'ān"), 'ㄒㄧ ㄢ'],
+    ['Zhuyin of xiān', () => pinyinToZhuyin('xiān'), 'ㄒㄧㄢ'],
+    ["Zhuyin of nǚ'ér", () => pinyinToZhuyin("nǚ'ér"), 'ㄋㄩˇ ㄦˊ'],
+    ['Zhuyin keeps quotes apart from syllables', () => pinyinToZhuyin("nǐ hǎo, 'nǐ'"), 'ㄋㄧˇ ㄏㄠˇ, ㄋㄧˇ'],
+    ['third tone sandhi', () => formatPinyin('nǐ hǎo', 'pinyin', { sandhi: true, chinese: '你好' }), 'ní hǎo'],
+    ['不 before a fourth tone', () => formatPinyin('bù shì', 'pinyin', { sandhi: true, chinese: '不是' }), 'bú shì']
+];
+
+let failed = 0;
+for (const [name, run, expected] of CASES) {
+    const actual = run();
+    if (actual === expected) {
+        console.log(`  ✓ ${name}`);
+    } else {
+        failed++;
+        console.log(`  ✗ ${name}: expected "${expected}", got "${actual}"`);
+    }
+}
+
+if (failed > 0) {
+    console.log(`${failed} of ${CASES.length} checks failed`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,138 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * REPLAY FIXTURES (offline provider check)
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Replays public/fixtures/replay.json through ReplayProvider - no API
+ * key, no network - and checks every scenario below still finds its
+ * recording, streams its chunks and reports its usage:
+ *
+ *   npm run test:replay
+ *
+ * The fixture was recorded from the reference model server. After
+ * changing a scenario (or the request options that go into the
+ * fixture keys), record it again:
+ *
+ *   npm run model-server                   (in another terminal)
+ *   RECORD=1 npm run test:replay
+ *
+ * Environment variables:
+ *   RECORD            - "1" to record from CUSTOM_MODEL_URL instead of replaying
+ *   CUSTOM_MODEL_URL  - server to record from (default http://localhost:8787)
+ *   FIXTURES          - fixture file (default public/fixtures/replay.json)
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ReplayProvider } from '../providers/replay-provider.js';
+import { CustomModelProvider } from '../providers/custom-model-provider.js';
+import { validateWordPairs } from '../providers/word-pair-validator.js';
+import { ProviderError } from '../providers/errors.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES = resolve(ROOT, process.env.FIXTURES || 'public/fixtures/replay.json');
+const RECORD = process.env.RECORD === '1';
+const SERVER_URL = process.env.CUSTOM_MODEL_URL || 'http://localhost:8787';
+
+// The reference server reads every image as the same sentence
+const IMAGE = { mimeType: 'image/png', data: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==' };
+
+const SCENARIOS = [
+    {
+        name: 'streamed text translation',
+        run: (provider, options) => provider.translate('我们今天学习中文。', 'english', options.onStreamUpdate, options),
+        check: (result, { chunks }) => {
+            assert(typeof result === 'string' && result.length > 0, 'no translation');
+            assert(chunks.length > 0, 'no streamed chunks');
+            assert(chunks[chunks.length - 1].trim() === result, 'last chunk is not the translation');
+        }
+    },
+    {
+        name: 'image translation with a glossary',
+        run: (provider, options) => provider.translate(IMAGE, 'english', null,
+            { ...options, glossary: [{ term: '中文', translation: 'Mandarin' }] }),
+        check: (result) => assert(result.includes('Mandarin'), 'glossary term not in the translation')
+    },
+    {
+        name: 'word pairs',
+        run: (provider, options) => provider.translateWithWordPairs(IMAGE, 'english', options),
+        check: (result) => {
+            const { violations } = validateWordPairs(result);
+            assert(violations.length === 0, `word pairs are invalid: ${violations.join('; ')}`);
+        }
+    },
+    {
+        name: 'example sentences',
+        run: (provider, options) => provider.generateExampleSentences('中文', 'zhōng wén', 'english', options),
+        check: (result) => assert(Array.isArray(result) && result.length > 0, 'no sentences')
+    },
+    {
+        name: 'recorded error',
+        run: (provider, options) => provider.translate('', 'english', null, options),
+        expectError: ProviderError
+    }
+];
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runScenario(provider, scenario) {
+    const chunks = [];
+    const usage = [];
+    const options = { onStreamUpdate: (text) => chunks.push(text), onUsage: (entry) => usage.push(entry) };
+
+    let result;
+    try {
+        result = await scenario.run(provider, options);
+    } catch (error) {
+        if (scenario.expectError && error instanceof scenario.expectError) return;
+        throw error;
+    }
+    assert(!scenario.expectError, `expected a ${scenario.expectError?.name}, got a result`);
+    scenario.check(result, { chunks, usage });
+    if (!RECORD) assert(usage.length > 0, 'no usage reported');
+}
+
+async function main() {
+    const provider = RECORD
+        ? new ReplayProvider({ mode: 'record', target: new CustomModelProvider(SERVER_URL) })
+        : new ReplayProvider({ fixtures: JSON.parse(readFileSync(FIXTURES, 'utf8')), speed: 0 });
+    await provider.connect();
+
+    let failed = 0;
+    for (const scenario of SCENARIOS) {
+        try {
+            await runScenario(provider, scenario);
+            console.log(`  ✓ ${scenario.name}`);
+        } catch (error) {
+            failed++;
+            console.log(`  ✗ ${scenario.name}: ${error.message}`);
+        }
+    }
+
+    // Anything not recorded must fail loudly instead of reaching a network
+    if (!RECORD) {
+        try {
+            await provider.translate('没有录过的句子', 'english');
+            failed++;
+            console.log('  ✗ unrecorded request: answered anyway');
+        } catch (error) {
+            console.log(`  ${error instanceof ProviderError ? '✓' : '✗'} unrecorded request fails`);
+            if (!(error instanceof ProviderError)) failed++;
+        }
+    }
+
+    if (RECORD && failed === 0) {
+        mkdirSync(dirname(FIXTURES), { recursive: true });
+        writeFileSync(FIXTURES, JSON.stringify(provider.getFixtures(), null, 2) + '\n');
+        console.log(`Recorded ${Object.keys(provider.getFixtures().entries).length} responses to ${FIXTURES}`);
+    }
+    if (failed > 0) {
+        console.log(`${failed} of ${SCENARIOS.length} scenarios failed`);
+        process.exitCode = 1;
+    }
+}
+
+main();
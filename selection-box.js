@@ -19,6 +19,9 @@ export class SelectionBox {
         this.minWidth = 50;
         this.minHeight = 40;
 
+        // Callback when drag/resize starts (to cancel in-flight translation)
+        this.onMoveStart = null;
+
         // Callback when drag/resize ends (for debounced translation)
         this.onMoveEnd = null;
 
@@ -121,6 +124,7 @@ export class SelectionBox {
         this.startTop = rect.top;
 
         this.box.style.cursor = 'grabbing';
+        this.notifyMoveStart();
     }
 
     handleResizeStart(e) {
@@ -139,6 +143,13 @@ export class SelectionBox {
         this.startHeight = rect.height;
         this.startLeft = rect.left;
         this.startTop = rect.top;
+        this.notifyMoveStart();
+    }
+
+    notifyMoveStart() {
+        if (this.onMoveStart && typeof this.onMoveStart === 'function') {
+            this.onMoveStart();
+        }
     }
 
     handleMove(e) {
@@ -506,6 +517,19 @@ export class SelectionBox {
         });
     }
 
+    /**
+     * Show a badge (e.g. translation confidence) on the sticky note
+     * @param {HTMLElement|null} badge - null removes the current one
+     */
+    setStickyNoteBadge(badge) {
+        const card = document.querySelector('#stickyNoteOverlay .sticky-note-card');
+        card?.querySelector('.sticky-note-badge')?.remove();
+        if (!card || !badge) return;
+
+        badge.classList.add('sticky-note-badge');
+        card.appendChild(badge);
+    }
+
     hideStickyNote() {
         const existing = document.getElementById('stickyNoteOverlay');
         if (existing) {
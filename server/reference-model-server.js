@@ -0,0 +1,290 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * REFERENCE MODEL SERVER (custom model protocol 1.0)
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * A tiny server that speaks the protocol CustomModelProvider expects
+ * (see the header of providers/custom-model-provider.js), so you can
+ * test the app - or compare your own server's answers - without a
+ * trained model. Plain Node, no dependencies:
+ *
+ *   npm run model-server
+ *
+ * then in .env:
+ *
+ *   VITE_TRANSLATION_PROVIDER=custom
+ *   VITE_CUSTOM_MODEL_URL=http://localhost:8787
+ *
+ * The "model" is a word list: it translates the words it knows and
+ * leaves the rest in Chinese. It can't read images, so every image is
+ * treated as the text in DEMO_IMAGE_TEXT.
+ *
+ * Environment variables:
+ *   PORT              - default 8787
+ *   API_KEY           - if set, requests must send "Authorization: Bearer <key>"
+ *   PROTOCOL_VERSION  - announce another version (to test mismatch errors)
+ *   STREAMING         - "0" to announce and serve buffered answers only
+ *   DELAY_MS          - pause between streamed words (default 80)
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT || 8787);
+const API_KEY = process.env.API_KEY || null;
+const PROTOCOL_VERSION = process.env.PROTOCOL_VERSION || '1.0';
+const STREAMING = process.env.STREAMING !== '0';
+const DELAY_MS = Number(process.env.DELAY_MS ?? 80);
+
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const DEMO_IMAGE_TEXT = '我们今天学习中文。';
+
+// chinese → { pinyin, english, thai }
+const DICTIONARY = {
+    '我们': { pinyin: 'wǒ men', english: 'we', thai: 'พวกเรา' },
+    '我': { pinyin: 'wǒ', english: 'I', thai: 'ฉัน' },
+    '你好': { pinyin: 'nǐ hǎo', english: 'hello', thai: 'สวัสดี' },
+    '你': { pinyin: 'nǐ', english: 'you', thai: 'คุณ' },
+    '今天': { pinyin: 'jīn tiān', english: 'today', thai: 'วันนี้' },
+    '学习': { pinyin: 'xué xí', english: 'study', thai: 'เรียน' },
+    '中文': { pinyin: 'zhōng wén', english: 'Chinese', thai: 'ภาษาจีน' },
+    '世界': { pinyin: 'shì jiè', english: 'world', thai: 'โลก' },
+    '很': { pinyin: 'hěn', english: 'very', thai: 'มาก' },
+    '好': { pinyin: 'hǎo', english: 'good', thai: 'ดี' },
+    '喜欢': { pinyin: 'xǐ huan', english: 'like', thai: 'ชอบ' },
+    '书': { pinyin: 'shū', english: 'book', thai: 'หนังสือ' },
+    '看': { pinyin: 'kàn', english: 'read', thai: 'อ่าน' },
+    '是': { pinyin: 'shì', english: 'is', thai: 'เป็น' },
+    '的': { pinyin: 'de', english: "'s", thai: 'ของ' },
+    '。': { pinyin: '.', english: '.', thai: '' },
+    '，': { pinyin: ',', english: ',', thai: '' }
+};
+const LONGEST_WORD = Math.max(...Object.keys(DICTIONARY).map(word => word.length));
+
+const CAPABILITIES = {
+    protocolVersion: PROTOCOL_VERSION,
+    model: 'reference-word-list',
+    operations: ['translate', 'translate-with-pairs', 'generate-examples', 'translate-text'],
+    inputTypes: ['text', 'image'],
+    languages: ['english', 'thai'],
+    maxImageBytes: MAX_IMAGE_BYTES,
+    streaming: STREAMING
+};
+
+// ═══════════════════════════════════════════════════════════════
+// THE "MODEL"
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Longest-match segmentation; unknown characters become their own words
+ */
+function segment(text) {
+    const words = [];
+    let i = 0;
+    while (i < text.length) {
+        let length = Math.min(LONGEST_WORD, text.length - i);
+        while (length > 1 && !DICTIONARY[text.slice(i, i + length)]) length--;
+        words.push(text.slice(i, i + length));
+        i += length;
+    }
+    return words.filter(word => word.trim());
+}
+
+function wordPairs(text, targetLanguage) {
+    return segment(text).map(chinese => ({
+        chinese,
+        pinyin: DICTIONARY[chinese]?.pinyin || '',
+        translation: DICTIONARY[chinese]?.[targetLanguage] ?? chinese
+    }));
+}
+
+function translate(text, targetLanguage, glossary = []) {
+    const required = new Map(glossary.map(({ term, translation }) => [term, translation]));
+    const separator = targetLanguage === 'thai' ? '' : ' ';
+    return segment(text)
+        .map(word => required.get(word) ?? DICTIONARY[word]?.[targetLanguage] ?? word)
+        .join(separator)
+        .replace(/ ([.,'])/g, '$1');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ROUTES
+// ═══════════════════════════════════════════════════════════════
+
+const routes = {
+    'GET /capabilities': () => CAPABILITIES,
+
+    'POST /translate': (body) => {
+        requireLanguage(body.targetLanguage);
+        const text = body.inputType === 'image' ? imageText(body.input) : requireString(body.input, 'input');
+        return { translation: translate(text, body.targetLanguage, body.glossary), usage: usage(text) };
+    },
+
+    'POST /translate-with-pairs': (body) => {
+        requireLanguage(body.targetLanguage);
+        const text = imageText(body.image);
+        const pairs = wordPairs(text, body.targetLanguage);
+        return {
+            originalText: text,
+            fullPinyin: pairs.map(pair => pair.pinyin).filter(Boolean).join(' '),
+            fullTranslation: translate(text, body.targetLanguage, body.glossary),
+            wordPairs: pairs,
+            usage: usage(text)
+        };
+    },
+
+    'POST /generate-examples': (body) => {
+        requireLanguage(body.targetLanguage);
+        const word = requireString(body.word, 'word');
+        const sentences = [`我们今天学习${word}。`, `我很喜欢${word}。`].map(chinese => ({
+            chinese,
+            pinyin: wordPairs(chinese, body.targetLanguage).map(pair => pair.pinyin || pair.chinese).join(' '),
+            translation: translate(chinese, body.targetLanguage)
+        }));
+        return { sentences, usage: usage(word) };
+    },
+
+    'POST /translate-text': (body) => {
+        requireLanguage(body.targetLanguage);
+        const text = requireString(body.text, 'text');
+        return { translation: translate(text, body.targetLanguage, body.glossary), usage: usage(text) };
+    }
+};
+
+class ProtocolViolation extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function requireString(value, field) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new ProtocolViolation(400, 'invalid_request', `"${field}" must be a non-empty string`);
+    }
+    return value;
+}
+
+function requireLanguage(code) {
+    if (!CAPABILITIES.languages.includes(code)) {
+        throw new ProtocolViolation(400, 'unsupported_language',
+            `Cannot translate to ${code} (supported: ${CAPABILITIES.languages.join(', ')})`);
+    }
+}
+
+function imageText(base64) {
+    requireString(base64, 'image');
+    if (Buffer.byteLength(base64, 'base64') > MAX_IMAGE_BYTES) {
+        throw new ProtocolViolation(413, 'image_too_large', `Images may be at most ${MAX_IMAGE_BYTES} bytes`);
+    }
+    return DEMO_IMAGE_TEXT;
+}
+
+function usage(text) {
+    return { promptTokens: text.length, outputTokens: text.length, model: CAPABILITIES.model };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HTTP
+// ═══════════════════════════════════════════════════════════════
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Protocol-Version'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, code, message) {
+    sendJson(res, status, { error: { code, message } });
+}
+
+/**
+ * Stream a translation word by word as Server-Sent Events
+ */
+async function streamTranslation(req, res, { translation, usage }) {
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    const pieces = translation.match(/\S+\s*/g) || [];
+    for (const delta of pieces) {
+        if (closed) return;     // The app cancelled - stop "generating"
+        res.write(`data: ${JSON.stringify({ delta })}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+    }
+    res.write(`data: ${JSON.stringify({ usage })}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw new ProtocolViolation(400, 'invalid_request', 'Body must be JSON');
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+        sendError(res, 404, 'not_found', `${req.method} ${url.pathname} is not part of protocol ${PROTOCOL_VERSION}`);
+        return;
+    }
+
+    if (API_KEY && req.headers.authorization !== `Bearer ${API_KEY}`) {
+        sendError(res, 401, 'unauthorized', 'Missing or wrong API key');
+        return;
+    }
+
+    // Clients announce their version; a different major version can't be served.
+    // The handshake is always answered, so the client can explain the mismatch.
+    const clientVersion = req.headers['x-protocol-version'];
+    if (url.pathname !== '/capabilities' && clientVersion &&
+        clientVersion.split('.')[0] !== PROTOCOL_VERSION.split('.')[0]) {
+        sendError(res, 400, 'unsupported_protocol_version',
+            `Client speaks protocol ${clientVersion}, this server speaks ${PROTOCOL_VERSION}`);
+        return;
+    }
+
+    try {
+        const body = req.method === 'POST' ? await readBody(req) : {};
+        const result = route(body);
+        console.log(`${req.method} ${url.pathname} → 200`);
+
+        if (url.searchParams.get('stream') === '1' && STREAMING && typeof result.translation === 'string') {
+            await streamTranslation(req, res, result);
+        } else {
+            sendJson(res, 200, result);
+        }
+    } catch (error) {
+        if (error instanceof ProtocolViolation) {
+            console.log(`${req.method} ${url.pathname} → ${error.status} ${error.code}`);
+            sendError(res, error.status, error.code, error.message);
+        } else {
+            console.error(error);
+            sendError(res, 500, 'internal_error', error.message);
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Reference model server (protocol ${PROTOCOL_VERSION}) on http://localhost:${PORT}`);
+});
@@ -0,0 +1,245 @@
+// Translation Cache
+// Persistent, content-addressed cache for provider results (IndexedDB)
+//
+// Keys are SHA-256 hashes of { operation, input, languages, provider, model },
+// so re-selecting the same region returns the stored result instead of
+// sending the image again. Entries are evicted least-recently-used first
+// once the entry count or total size limit is exceeded.
+//
+// Hashing needs crypto.subtle, which browsers only offer in secure contexts
+// (https or localhost). Without it - or without IndexedDB - the cache is
+// disabled and createKey() returns null.
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024; // 20 MB
+
+export class TranslationCache {
+    constructor({
+        dbName = 'ChineseTranslatorCache',
+        storeName = 'translations',
+        maxEntries = DEFAULT_MAX_ENTRIES,
+        maxBytes = DEFAULT_MAX_BYTES
+    } = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.enabled = typeof indexedDB !== 'undefined' && !!globalThis.crypto?.subtle;
+        this.dbPromise = this.enabled ? this.initDB() : null;
+    }
+
+    initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onerror = (event) => {
+                console.error('TranslationCache IndexedDB error:', event.target.error);
+                reject(event.target.error);
+            };
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('lastAccessed', 'lastAccessed');
+                }
+            };
+        });
+    }
+
+    /**
+     * Build the cache key for a request
+     * @param {object} descriptor - See describeRequest()
+     * @returns {Promise<string|null>} Hex SHA-256 digest, or null when the cache is disabled
+     */
+    async createKey(descriptor) {
+        if (!this.enabled) return null;
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(describeRequest(descriptor)));
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Look up a cached value and mark it as recently used
+     * @returns {Promise<*>} The cached value, or undefined on a miss
+     */
+    async get(key) {
+        if (!this.enabled) return undefined;
+
+        try {
+            const db = await this.dbPromise;
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.storeName], 'readwrite');
+                const store = transaction.objectStore(this.storeName);
+                const request = store.get(key);
+
+                request.onsuccess = (e) => {
+                    const entry = e.target.result;
+                    if (!entry) {
+                        resolve(undefined);
+                        return;
+                    }
+                    // Touch for LRU
+                    entry.lastAccessed = Date.now();
+                    store.put(entry);
+                    resolve(entry.value);
+                };
+                request.onerror = (e) => reject(e.target.error);
+            });
+        } catch (error) {
+            console.warn('[TranslationCache] Lookup failed:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Check for an entry without touching its LRU position
+     */
+    async has(key) {
+        if (!this.enabled) return false;
+
+        try {
+            const db = await this.dbPromise;
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.storeName], 'readonly');
+                const request = transaction.objectStore(this.storeName).count(key);
+
+                request.onsuccess = (e) => resolve(e.target.result > 0);
+                request.onerror = (e) => reject(e.target.error);
+            });
+        } catch (error) {
+            console.warn('[TranslationCache] Lookup failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Store a value, then evict old entries if over the limits
+     * @param {string} key - From createKey()
+     * @param {*} value - Any structured-cloneable value
+     * @param {string} operation - For stats/debugging
+     */
+    async set(key, value, operation = '') {
+        if (!this.enabled) return;
+
+        const size = JSON.stringify(value).length * 2; // Rough UTF-16 byte size
+        if (size > this.maxBytes) return;
+
+        try {
+            const db = await this.dbPromise;
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.storeName], 'readwrite');
+                const now = Date.now();
+                transaction.objectStore(this.storeName).put({
+                    key,
+                    operation,
+                    value,
+                    size,
+                    createdAt: now,
+                    lastAccessed: now
+                });
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = (e) => reject(e.target.error);
+            });
+
+            await this.evict();
+        } catch (error) {
+            console.warn('[TranslationCache] Store failed:', error);
+        }
+    }
+
+    /**
+     * Delete least-recently-used entries until both limits are met
+     */
+    async evict() {
+        if (!this.enabled) return;
+
+        const db = await this.dbPromise;
+        const { entries, bytes } = await this.getStats();
+        let entriesOver = entries - this.maxEntries;
+        let bytesOver = bytes - this.maxBytes;
+
+        if (entriesOver <= 0 && bytesOver <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readwrite');
+            const index = transaction.objectStore(this.storeName).index('lastAccessed');
+            const request = index.openCursor(); // Oldest first
+
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor || (entriesOver <= 0 && bytesOver <= 0)) return;
+
+                entriesOver--;
+                bytesOver -= cursor.value.size || 0;
+                cursor.delete();
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * @returns {Promise<{entries: number, bytes: number}>}
+     */
+    async getStats() {
+        if (!this.enabled) return { entries: 0, bytes: 0 };
+
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).openCursor();
+            let entries = 0;
+            let bytes = 0;
+
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    entries++;
+                    bytes += cursor.value.size || 0;
+                    cursor.continue();
+                } else {
+                    resolve({ entries, bytes });
+                }
+            };
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    async clear() {
+        if (!this.enabled) return;
+
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readwrite');
+            const request = transaction.objectStore(this.storeName).clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+}
+
+/**
+ * Everything that identifies a request, as one string (hashed into the
+ * cache key; also works as an in-memory key where hashing isn't available)
+ * @param {object} descriptor - { operation, input, targetLanguage, sourceLanguage, provider, model, variant }
+ *   input may be a string or an image object { mimeType, data } / base64 string
+ * @returns {string}
+ */
+export function describeRequest({ operation, input, targetLanguage, sourceLanguage = null, provider, model = '', variant = '' }) {
+    // The base64 text is a 1:1 encoding of the image bytes, so hashing it
+    // addresses the content without decoding large images first
+    const inputMaterial = typeof input === 'string' ? input : `${input?.mimeType || ''}:${input?.data || ''}`;
+    // variant: anything else that changes the prompt (e.g. glossary terms)
+    return JSON.stringify([operation, provider, model, sourceLanguage, targetLanguage, inputMaterial, ...(variant ? [variant] : [])]);
+}
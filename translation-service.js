@@ -40,18 +40,65 @@
  *   Just change VITE_TRANSLATION_PROVIDER in your .env file!
  *   - 'gemini' → Uses Google's Gemini API (default)
  *   - 'custom' → Uses your own trained model
+ *   - 'openai-compatible' → Uses any OpenAI-style /v1/chat/completions server
+ *   - 'ollama' → Uses a local Ollama server (nothing leaves the machine)
+ *   - 'chain' → Tries VITE_PROVIDER_CHAIN (e.g. ollama,gemini) in order
+ *   - 'replay' → Records/replays responses for offline work (VITE_REPLAY_MODE)
  */
 
-import { createTranslationProvider, createHybridProvider } from './providers/provider-factory.js';
+import { createTranslationProvider } from './providers/provider-factory.js';
+import { createCapabilities } from './providers/base-provider.js';
+import { TranslationCache, describeRequest } from './translation-cache.js';
+import { DictionaryProvider } from './providers/dictionary-provider.js';
+import { alignWordPairs } from './providers/word-pair-aligner.js';
+import { compareWithBackTranslation, combineConfidence, mergeDivergentSpans } from './translation-verifier.js';
+import { config } from './config.js';
+import { throwIfAborted, isAbortError } from './providers/errors.js';
+
+// Editable prompt templates each cached operation uses (providers/prompt-templates.js)
+const OPERATION_PROMPTS = {
+    translate: (input) => [typeof input === 'string' ? 'textTranslation' : 'visionTranslation'],
+    wordPairs: () => ['wordPairs']
+};
 
 export class TranslationService {
-    constructor() {
+    /**
+     * @param {object} options
+     *   - cache: TranslationCache options ({ maxEntries, maxBytes }), or false to disable
+     *   - dictionary: DictionaryProvider options ({ url, version }) for
+     *     lookupWordPairs(), or false to disable
+     */
+    constructor({ cache = {}, dictionary = config.OFFLINE_DICTIONARY } = {}) {
         this.provider = null;
+        this.cache = cache === false ? null : new TranslationCache(cache);
+        // Loaded on its first lookup
+        this.dictionary = dictionary === false ? null : new DictionaryProvider(dictionary);
+        this.usageTracker = null;
+        this.scheduler = null;
+        this.glossary = null;
+        this.promptLibrary = null;
+        this.translationStyle = { style: 'natural', script: 'as-shown', variety: 'mandarin' };
+        this.usageContext = { documentId: null, documentName: null };
         this.providerConfig = {
             provider: 'gemini',        // Default provider
             geminiApiKey: null,
+            geminiModels: config.GEMINI_MODELS,
             customModelUrl: null,
-            customModelApiKey: null
+            customModelApiKey: null,
+            openaiBaseUrl: null,
+            openaiApiKey: null,
+            openaiModel: null,
+            openaiVisionModel: null,
+            ollamaUrl: null,
+            ollamaModel: null,
+            ollamaVisionModel: null,
+            chain: [],
+            chainOptions: config.PROVIDER_CHAIN,
+            replayMode: 'replay',
+            replayTarget: 'gemini',
+            replayFixturesUrl: null,
+            replaySpeed: 1,
+            dictionary: config.OFFLINE_DICTIONARY
         };
     }
 
@@ -67,12 +114,36 @@ export class TranslationService {
             this.providerConfig.provider = import.meta.env.VITE_TRANSLATION_PROVIDER || 'gemini';
             this.providerConfig.customModelUrl = import.meta.env.VITE_CUSTOM_MODEL_URL || null;
             this.providerConfig.customModelApiKey = import.meta.env.VITE_CUSTOM_MODEL_API_KEY || null;
+            this.providerConfig.openaiBaseUrl = import.meta.env.VITE_OPENAI_BASE_URL || null;
+            this.providerConfig.openaiApiKey = import.meta.env.VITE_OPENAI_API_KEY || null;
+            this.providerConfig.openaiModel = import.meta.env.VITE_OPENAI_MODEL || null;
+            this.providerConfig.openaiVisionModel = import.meta.env.VITE_OPENAI_VISION_MODEL || null;
+            this.providerConfig.ollamaUrl = import.meta.env.VITE_OLLAMA_URL || null;
+            this.providerConfig.ollamaModel = import.meta.env.VITE_OLLAMA_MODEL || null;
+            this.providerConfig.ollamaVisionModel = import.meta.env.VITE_OLLAMA_VISION_MODEL || null;
+            this.providerConfig.chain = (import.meta.env.VITE_PROVIDER_CHAIN || '')
+                .split(',').map(type => type.trim()).filter(Boolean);
+            this.providerConfig.replayMode = import.meta.env.VITE_REPLAY_MODE || 'replay';
+            this.providerConfig.replayTarget = import.meta.env.VITE_REPLAY_TARGET || 'gemini';
+            this.providerConfig.replayFixturesUrl = import.meta.env.VITE_REPLAY_FIXTURES || '/fixtures/replay.json';
+            this.providerConfig.replaySpeed = Number(import.meta.env.VITE_REPLAY_SPEED ?? 1);
         }
 
         // Create the provider
         this._initProvider();
     }
 
+    /**
+     * Replace the Gemini model ladder (e.g. with the one edited in Settings)
+     * @param {object} models - { operation: [{ model, timeout, temperature, responseMimeType }] }
+     */
+    setGeminiModels(models) {
+        this.providerConfig.geminiModels = models;
+        if (this.provider) {
+            this._initProvider();
+        }
+    }
+
     /**
      * Advanced: Manually configure provider settings
      * @param {object} config - Full provider configuration
@@ -87,12 +158,7 @@ export class TranslationService {
      */
     _initProvider() {
         try {
-            // Check if hybrid mode is requested
-            if (this.providerConfig.provider === 'hybrid') {
-                this.provider = createHybridProvider(this.providerConfig);
-            } else {
-                this.provider = createTranslationProvider(this.providerConfig);
-            }
+            this.provider = createTranslationProvider(this.providerConfig);
             console.log(`[TranslationService] Using: ${this.provider.getName()}`);
         } catch (error) {
             console.error('[TranslationService] Failed to create provider:', error);
@@ -100,6 +166,21 @@ export class TranslationService {
         }
     }
 
+    /**
+     * Let the provider fetch what it needs before the first request
+     * (the custom model's capabilities handshake, replay fixtures)
+     * @returns {Promise<object>} The capabilities afterwards (see getCapabilities)
+     */
+    async connectProvider() {
+        try {
+            await this.provider?.connect?.();
+        } catch (error) {
+            // Requests will try again and report the error where it matters
+            console.warn('[TranslationService] Provider could not connect:', error);
+        }
+        return this.getCapabilities();
+    }
+
     /**
      * Get the current provider name
      * @returns {string} Provider name
@@ -108,6 +189,65 @@ export class TranslationService {
         return this.provider?.getName() || 'None';
     }
 
+    /**
+     * Whether requests can be made (e.g. Gemini has an API key)
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return !!this.provider && (this.provider.isConfigured?.() ?? true);
+    }
+
+    /**
+     * Per-provider health when a provider chain is in use
+     * @returns {Array|null} See ProviderChain.getHealth(), null for a single provider
+     */
+    getProviderHealth() {
+        return this.provider?.getHealth?.() || null;
+    }
+
+    /**
+     * Get what the current provider can do (see BaseProvider.getCapabilities)
+     * @returns {object} Capability descriptor - everything false if no provider
+     */
+    getCapabilities() {
+        if (!this.provider) {
+            return createCapabilities({ languages: [] });
+        }
+        // Providers written before capabilities existed get the conservative default
+        return this.provider.getCapabilities?.() || createCapabilities();
+    }
+
+    /**
+     * Check a single capability
+     * @param {string} feature - e.g. 'vision', 'wordPairs', 'assistant.explain'
+     * @returns {boolean}
+     */
+    supports(feature) {
+        const value = feature.split('.').reduce((obj, key) => obj?.[key], this.getCapabilities());
+        return value === true;
+    }
+
+    /**
+     * Check that the target language is served by the current provider
+     * @param {string} language - Language code
+     * @returns {boolean}
+     */
+    supportsLanguage(language) {
+        return this.getCapabilities().languages.includes(language);
+    }
+
+    /**
+     * Throws a descriptive error if the provider can't do what's asked
+     */
+    _assertSupported(feature, label, targetLanguage = null) {
+        if (!this.supports(feature)) {
+            throw new Error(`${label} is not supported by ${this.getProviderName()}.`);
+        }
+        if (targetLanguage && !this.supportsLanguage(targetLanguage)) {
+            throw new Error(`${this.getProviderName()} cannot translate to ${targetLanguage}.`);
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // PUBLIC API (Same interface as before - no changes needed in app.js!)
     // ═══════════════════════════════════════════════════════════════
@@ -117,26 +257,312 @@ export class TranslationService {
      * @param {string|object} input - Text string OR Image Data { mimeType, data }
      * @param {string} targetLanguage - Target language
      * @param {function} onStreamUpdate - Optional callback for streaming
+     * @param {object} options - { bypassCache: true } to force a fresh translation,
+     *   { signal } AbortSignal to cancel it, { style, script, variety } to override
+     *   setTranslationStyle()
      * @returns {Promise<string>} - Final translated text
      */
-    async translate(input, targetLanguage = 'english', onStreamUpdate = null) {
+    async translate(input, targetLanguage = 'english', onStreamUpdate = null, options = {}) {
         if (!this.provider) {
             throw new Error('Translation provider not configured. Please check your settings.');
         }
-        return this.provider.translate(input, targetLanguage, onStreamUpdate);
+        if (typeof input === 'object') {
+            this._assertSupported('vision', 'Image translation', targetLanguage);
+        } else if (!this.supportsLanguage(targetLanguage)) {
+            throw new Error(`${this.getProviderName()} cannot translate to ${targetLanguage}.`);
+        }
+
+        const promptOptions = this._promptOptions(input, options, 'translate', targetLanguage);
+        return this._withCache('translate', { input, targetLanguage, promptOptions }, options, async ({ signal, onStreamUpdate: stream }) => {
+            const feature = typeof input === 'object' ? 'vision' : 'text';
+            return this.provider.translate(input, targetLanguage, stream, this.trackUsage(feature, { ...options, ...promptOptions, signal }));
+        }, onStreamUpdate);
     }
 
     /**
-     * Translates image with word-by-word mapping for highlighting feature
+     * Translates several regions (cropped images or texts, e.g. every
+     * speech bubble on a page) in as few provider requests as possible.
+     * Cached regions are answered from the cache; new results are cached
+     * apart from translate() results (the batch prompt is a different one).
+     * The batch prompt has no editable template: regions whose translation
+     * template the user edited (Settings → Prompts) go through translate()
+     * one by one instead, so they still follow it.
+     * @param {Array} regions - [{ id, input }], input as for translate().
+     *   Ids are optional ('r1', 'r2', ... by position) but must be unique.
+     * @param {string} targetLanguage - Target language
+     * @param {object} options - { bypassCache, signal, style, script, variety },
+     *   { maxRegionsPerRequest, concurrency } to override config.BATCH_TRANSLATION
+     * @returns {Promise<Array>} One result per region, in order:
+     *   { id, translation, cached } or { id, error } if that region failed
+     */
+    async translateBatch(regions, targetLanguage = 'english', options = {}) {
+        if (!this.provider) {
+            throw new Error('Translation provider not configured. Please check your settings.');
+        }
+
+        const batch = regions.map((region, i) => ({ id: String(region.id ?? `r${i + 1}`), input: region.input }));
+        if (new Set(batch.map(region => region.id)).size !== batch.length) {
+            throw new Error('Batch region ids must be unique');
+        }
+        if (batch.some(region => typeof region.input === 'object')) {
+            this._assertSupported('vision', 'Image translation', targetLanguage);
+        } else if (!this.supportsLanguage(targetLanguage)) {
+            throw new Error(`${this.getProviderName()} cannot translate to ${targetLanguage}.`);
+        }
+
+        // Keyed by what the batch prompt uses - it has no editable template
+        const results = new Map();
+        const pending = [];
+        const single = [];
+        for (const region of batch) {
+            if (this._promptOptions(region.input, options, 'translate', targetLanguage).prompts) {
+                single.push(region);
+                continue;
+            }
+            const key = this.cache?.enabled
+                ? await this._cacheKey('translateBatch', { input: region.input, targetLanguage, promptOptions: this._promptOptions(region.input, options) })
+                : null;
+            const cached = key && !options.bypassCache ? await this.cache.get(key) : undefined;
+            if (cached !== undefined) {
+                results.set(region.id, { id: region.id, translation: cached, cached: true });
+            } else {
+                pending.push({ ...region, key });
+            }
+        }
+        throwIfAborted(options.signal);
+
+        // Edited templates: one translate() per region, cached like any other
+        const translateSingly = single.map(async ({ id, input }) => {
+            try {
+                const cached = !options.bypassCache && await this.isCached('translate', input, targetLanguage, null, options);
+                const translation = await this.translate(input, targetLanguage, null, options);
+                results.set(id, { id, translation, cached });
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                results.set(id, { id, error });
+            }
+        });
+
+        const translateBatched = (async () => {
+            if (pending.length === 0) return;
+
+            // One prompt serves every pending region, so it carries all their glossary terms
+            const glossary = new Map();
+            for (const region of pending) {
+                this.getGlossaryFor(region.input).forEach(entry => glossary.set(entry.term, entry));
+            }
+            const { style, script, variety } = this._promptOptions(null, options);
+
+            const answers = await this.schedule(options, ({ signal }) => this.provider.translateBatch(
+                pending.map(({ id, input }) => ({ id, input })),
+                targetLanguage,
+                this.trackUsage('batch', { ...config.BATCH_TRANSLATION, ...options, style, script, variety, glossary: [...glossary.values()], signal })
+            ));
+
+            for (const answer of answers) {
+                const region = pending.find(p => p.id === answer.id);
+                if (!region) continue;
+                results.set(region.id, answer.error ? answer : { id: region.id, translation: answer.translation, cached: false });
+                if (!answer.error && region.key && this._isCacheable(answer.translation)) {
+                    await this.cache.set(region.key, answer.translation, 'translateBatch');
+                }
+            }
+        })();
+
+        await Promise.all([...translateSingly, translateBatched]);
+        return batch.map(({ id }) => results.get(id) || { id, error: new Error('No translation returned for this region') });
+    }
+
+    /**
+     * Translates image with word-by-word mapping for highlighting feature.
+     * Text goes to the offline dictionary when it has the target language
+     * (see lookupWordPairs) - no network, no credits.
+     * @param {object|string} imageData - Image Data { mimeType, data }, or Chinese text
+     * @param {string} targetLanguage - Target language
+     * @param {object} options - { bypassCache: true } to force a fresh translation,
+     *   { signal } AbortSignal to cancel it, { style, script, variety } to override
+     *   setTranslationStyle()
+     * @returns {Promise<object>} - { fullTranslation, wordPairs }, the pairs
+     *   aligned with originalText (see _alignWordPairs)
+     */
+    async translateWithWordPairs(imageData, targetLanguage = 'english', options = {}) {
+        if (typeof imageData === 'string' && this.canLookUpWordPairs(targetLanguage)) {
+            return this.lookupWordPairs(imageData, targetLanguage, options);
+        }
+        if (!this.provider) {
+            throw new Error('Translation provider not configured.');
+        }
+        this._assertSupported('wordPairs', 'Word-by-word translation', targetLanguage);
+
+        const promptOptions = this._promptOptions(imageData, options, 'wordPairs', targetLanguage);
+        const result = await this._withCache('wordPairs', { input: imageData, targetLanguage, promptOptions }, options, async ({ signal }) => {
+            return this.provider.translateWithWordPairs(imageData, targetLanguage, this.trackUsage('wordPairs', { ...options, ...promptOptions, signal }));
+        });
+        return this._alignWordPairs(result);
+    }
+
+    /**
+     * Give every pair its { start, end } in originalText and cover the
+     * whole text: missing characters become untranslated pairs, repeated
+     * pairs are dropped, misplaced ones moved (providers/word-pair-aligner.js).
+     * Missing text is cut into the offline dictionary's words (which loads
+     * it, the first time). Runs on cached results too, so older entries get
+     * offsets as well.
+     */
+    async _alignWordPairs(result) {
+        let aligned = alignWordPairs(result);
+        if (aligned.alignment.dropped.length > 0) {
+            const segmenter = await this._dictionarySegmenter(result.originalText);
+            if (segmenter) aligned = alignWordPairs(result, segmenter);
+        }
+        const { dropped, duplicates, outOfOrder, differing, unmatched } = aligned.alignment;
+        if (dropped.length || duplicates.length || outOfOrder.length || differing.length || unmatched.length) {
+            console.warn('[TranslationService] Word pairs realigned with the original text:', aligned.alignment);
+        }
+        return aligned;
+    }
+
+    /**
+     * The offline dictionary's words in a text, for alignWordPairs()
+     * @returns {Promise<object|null>} { isWord, maxWordLength }, null without a dictionary
+     */
+    async _dictionarySegmenter(text) {
+        if (!this.dictionary) return null;
+        try {
+            const words = await this.dictionary.findWords(text);
+            return { isWord: (word) => words.has(word), maxWordLength: this.dictionary.maxWordLength };
+        } catch (error) {
+            console.warn('[TranslationService] Dictionary lookup for word pair alignment failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether lookupWordPairs() can serve a target language
+     */
+    canLookUpWordPairs(targetLanguage = 'english') {
+        return !!this.dictionary && this.dictionary.getCapabilities().languages.includes(targetLanguage);
+    }
+
+    /**
+     * Word pairs from the offline dictionary (CC-CEDICT) - what
+     * translateWithWordPairs() uses for text, and the fallback when the
+     * provider's word pairs of an image fail. Looking up text needs no
+     * network and no credits; an image's text is transcribed by the
+     * provider first, unless the caller already knows it.
+     * @param {string|object} input - Chinese text, or Image Data { mimeType, data }
+     * @param {string} targetLanguage - Target language
+     * @param {object} options - { signal, priority }, { originalText } of the image,
+     *   { variety } to override setTranslationStyle() (Cantonese: Jyutping)
+     * @returns {Promise<object>} - { originalText, fullPinyin, fullTranslation, wordPairs },
+     *   fullTranslation being the glosses in a row
+     */
+    async lookupWordPairs(input, targetLanguage = 'english', options = {}) {
+        if (!this.canLookUpWordPairs(targetLanguage)) {
+            throw new Error(`The offline dictionary has no ${targetLanguage} translations.`);
+        }
+
+        const { originalText, ...requestOptions } = options;
+        let text = typeof input === 'string' ? input : originalText;
+        if (!text) {
+            text = await this._transcribe(input, requestOptions);
+        }
+        const { variety } = this._promptOptions(null, options);
+        return this._alignWordPairs(await this.dictionary.translateWithWordPairs(text, targetLanguage, { signal: options.signal, variety }));
+    }
+
+    /**
+     * The Chinese text of an image, as the provider reads it
+     */
+    async _transcribe(imageData, options = {}) {
+        if (!this.supports('vision') || !this.supportsLanguage('chinese')) {
+            throw new Error(`${this.getProviderName()} cannot read the text of an image.`);
+        }
+
+        // "Translating" into Chinese transcribes; the glossary's translations don't apply
+        const { script } = this._promptOptions(null, options);
+        const promptOptions = { glossary: [], style: 'literal', script };
+        return this._withCache('transcribe', { input: imageData, targetLanguage: 'chinese', promptOptions }, options, async ({ signal }) => {
+            return this.provider.translate(imageData, 'chinese', null, this.trackUsage('wordPairs', { ...options, ...promptOptions, signal }));
+        });
+    }
+
+    /**
+     * Finds the text blocks on a page or region image and translates
+     * each one, with its position (for overlays drawn over the page)
      * @param {object} imageData - Image Data { mimeType, data }
      * @param {string} targetLanguage - Target language
-     * @returns {Promise<object>} - { fullTranslation, wordPairs }
+     * @param {object} options - { bypassCache, signal, style, script, variety }
+     * @returns {Promise<object>} - { blocks: [{ order, box: [x0, y0, x1, y1], originalText, translation }] },
+     *   boxes as fractions of the image size, blocks in reading order
+     */
+    async translateLayout(imageData, targetLanguage = 'english', options = {}) {
+        if (!this.provider) {
+            throw new Error('Translation provider not configured.');
+        }
+        this._assertSupported('layout', 'Layout-aware translation', targetLanguage);
+
+        const promptOptions = this._promptOptions(imageData, options);
+        return this._withCache('layout', { input: imageData, targetLanguage, promptOptions }, options, async ({ signal }) => {
+            return this.provider.translateLayout(imageData, targetLanguage, this.trackUsage('layout', { ...options, ...promptOptions, signal }));
+        });
+    }
+
+    /**
+     * Whether verifyTranslation() can run (it needs translation into Chinese)
+     */
+    canVerifyTranslations() {
+        return this.supports('textTranslation') && this.supportsLanguage('chinese');
+    }
+
+    /**
+     * Confidence check: translates a finished translation back into
+     * Chinese and compares it with the original, by characters and (if
+     * the provider can judge) by meaning. See translation-verifier.js.
+     * @param {string} originalText - The Chinese source text
+     * @param {string} translation - Its translation (from translate(),
+     *   translateText(), ...)
+     * @param {object} options - { bypassCache, signal }
+     * @returns {Promise<object>} - { confidence, overlap, modelScore,
+     *   backTranslation, divergentSpans: [{ start, end, text, source, note }] },
+     *   scores 0-1 (modelScore null if the provider can't judge)
      */
-    async translateWithWordPairs(imageData, targetLanguage = 'english') {
+    async verifyTranslation(originalText, translation, options = {}) {
         if (!this.provider) {
             throw new Error('Translation provider not configured.');
         }
-        return this.provider.translateWithWordPairs(imageData, targetLanguage);
+        this._assertSupported('textTranslation', 'Back-translation', 'chinese');
+
+        const { overlapWeight } = config.TRANSLATION_VERIFICATION;
+        const { script } = this._promptOptions(null, options);
+        // Style and glossary don't apply - the back-translation should follow the translation closely
+        const promptOptions = { glossary: [], style: 'literal', script };
+        const input = JSON.stringify([originalText, translation]);
+
+        return this._withCache('verify', { input, targetLanguage: 'chinese', promptOptions }, options, async ({ signal }) => {
+            const backTranslation = await this.provider.translateText(
+                translation, 'auto', 'chinese', null, this.trackUsage('verify', { ...options, ...promptOptions, signal }));
+            const { overlap, divergentSpans } = compareWithBackTranslation(originalText, backTranslation);
+
+            let judgement = null;
+            if (this.supports('verification')) {
+                try {
+                    judgement = await this.provider.judgeBackTranslation(originalText, backTranslation, this.trackUsage('verify', { ...options, signal }));
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    // The character comparison still gives a score
+                    console.warn('[TranslationService] Back-translation judge failed:', error.message);
+                }
+            }
+
+            return {
+                confidence: combineConfidence(overlap, judgement?.score ?? null, overlapWeight),
+                overlap,
+                modelScore: judgement?.score ?? null,
+                backTranslation,
+                divergentSpans: mergeDivergentSpans(originalText, divergentSpans, judgement?.divergences)
+            };
+        });
     }
 
     /**
@@ -144,13 +570,21 @@ export class TranslationService {
      * @param {string} chineseWord - Chinese word/phrase
      * @param {string} pinyin - Pinyin pronunciation
      * @param {string} targetLanguage - Target language
+     * @param {object} options - { signal } AbortSignal to cancel the request
      * @returns {Promise<Array>} - Array of example sentence objects
      */
-    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english') {
+    async generateExampleSentences(chineseWord, pinyin = '', targetLanguage = 'english', options = {}) {
         if (!this.provider) {
             throw new Error('Translation provider not configured.');
         }
-        return this.provider.generateExampleSentences(chineseWord, pinyin, targetLanguage);
+        this._assertSupported('exampleSentences', 'Example sentences');
+        return this.schedule(options, ({ signal }) =>
+            this.provider.generateExampleSentences(chineseWord, pinyin, targetLanguage, this.trackUsage('examples', {
+                ...options,
+                signal,
+                variety: options.variety || this.translationStyle.variety,
+                prompts: this.getPromptTemplates(targetLanguage, ['exampleSentences'])
+            })));
     }
 
     /**
@@ -159,13 +593,294 @@ export class TranslationService {
      * @param {string} sourceLanguage - Source language code (or 'auto')
      * @param {string} targetLanguage - Target language code
      * @param {function} onStreamUpdate - Optional streaming callback
+     * @param {object} options - { bypassCache: true } to force a fresh translation,
+     *   { signal } AbortSignal to cancel it, { style, script, variety } to override
+     *   setTranslationStyle()
      * @returns {Promise<string>} - Translated text
      */
-    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null) {
+    async translateText(text, sourceLanguage = 'auto', targetLanguage = 'english', onStreamUpdate = null, options = {}) {
         if (!this.provider) {
             throw new Error('Translation provider not configured. Please check your settings.');
         }
-        return this.provider.translateText(text, sourceLanguage, targetLanguage, onStreamUpdate);
+        this._assertSupported('textTranslation', 'Text translation', targetLanguage);
+
+        const promptOptions = this._promptOptions(text, options);
+        return this._withCache('translateText', { input: text, sourceLanguage, targetLanguage, promptOptions }, options, async ({ signal, onStreamUpdate: stream }) => {
+            return this.provider.translateText(text, sourceLanguage, targetLanguage, stream, this.trackUsage('bot', { ...options, ...promptOptions, signal }));
+        }, onStreamUpdate);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROMPT OPTIONS (style, script, variety, glossary)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Default register, script and source variety for every translation
+     * @param {object} preferences - { style, script, variety }: keys of
+     *   TRANSLATION_STYLES, CHINESE_SCRIPTS and CHINESE_VARIETIES in providers/prompts.js
+     */
+    setTranslationStyle({ style = 'natural', script = 'as-shown', variety = 'mandarin' } = {}) {
+        this.translationStyle = { style, script, variety };
+    }
+
+    /**
+     * What the prompt builders get for a request: the caller's style,
+     * script and variety (or the defaults), the matching glossary entries and the
+     * user's edits of the operation's prompt templates
+     * @param {string|null} operation - Cached operation (see OPERATION_PROMPTS)
+     */
+    _promptOptions(input, options = {}, operation = null, targetLanguage = null) {
+        const prompts = operation && OPERATION_PROMPTS[operation]
+            ? this.getPromptTemplates(targetLanguage, OPERATION_PROMPTS[operation](input))
+            : null;
+        return {
+            style: options.style || this.translationStyle.style,
+            script: options.script || this.translationStyle.script,
+            variety: options.variety || this.translationStyle.variety,
+            glossary: this.getGlossaryFor(input),
+            // Only when edited; _cacheVariant keys the edits, so unedited prompts keep their entries
+            ...(prompts ? { prompts } : {})
+        };
+    }
+
+    /**
+     * Use the user's edited prompt templates (Settings → Prompts)
+     * @param {PromptLibrary|null} library - null for the built-in prompts
+     */
+    setPromptLibrary(library) {
+        this.promptLibrary = library;
+    }
+
+    /**
+     * Edited templates for a target language, for `options.prompts`
+     * @param {string[]} ids - Templates the request uses (see providers/prompt-templates.js)
+     * @returns {object|null} { id: template }, null when none is edited
+     */
+    getPromptTemplates(targetLanguage, ids) {
+        return this.promptLibrary?.getTemplates(targetLanguage, ids) || null;
+    }
+
+    /**
+     * Enforce the user's glossary in every translation prompt
+     * @param {GlossaryService|null} glossary - null to stop
+     */
+    setGlossary(glossary) {
+        this.glossary = glossary;
+    }
+
+    /**
+     * Glossary entries sent with a request for this input (user terms plus
+     * the open document's terms - see setUsageContext)
+     * @param {string|object} input - Text, or image data (gets every entry)
+     * @returns {Array<{term, translation, notes}>}
+     */
+    getGlossaryFor(input) {
+        if (!this.glossary) return [];
+        return this.glossary
+            .getEntriesForPrompt(typeof input === 'string' ? input : null, this.usageContext.documentName)
+            .map(({ term, translation, notes }) => ({ term, translation, notes }));
+    }
+
+    /**
+     * Glossary terms in the source whose required translation the model ignored
+     * @returns {Array<{term, translation, notes}>} Empty if all were followed
+     */
+    checkGlossary(sourceText, translatedText) {
+        return this.glossary?.checkTranslation(sourceText, translatedText, this.usageContext.documentName) || [];
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // REQUEST SCHEDULING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send every provider call through a RequestScheduler (shared with
+     * the AI assistant, so they queue for the same rate limit)
+     * @param {RequestScheduler|null} scheduler - null to call directly
+     */
+    setScheduler(scheduler) {
+        this.scheduler = scheduler;
+    }
+
+    /**
+     * Runs a provider call through the scheduler (or directly without one)
+     * @param {object} options - The caller's { signal, priority } ('user',
+     *   'live' or 'background', see request-scheduler.js)
+     * @param {function(object): Promise} call - Makes the provider call with
+     *   the { signal, onStreamUpdate } it is given
+     * @param {object} job - { key } to share the call with identical
+     *   requests in flight, { onStreamUpdate } the caller's listener
+     */
+    schedule(options, call, { key = null, onStreamUpdate = null } = {}) {
+        if (!this.scheduler) {
+            return call({ signal: options.signal, onStreamUpdate });
+        }
+        return this.scheduler.schedule(
+            (signal, stream) => call({ signal, onStreamUpdate: stream }),
+            { priority: options.priority, key, signal: options.signal, onStreamUpdate }
+        );
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // USAGE ACCOUNTING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Log token usage of every provider call (see usage-tracker.js)
+     * @param {UsageTracker|null} tracker - null to stop logging
+     */
+    setUsageTracker(tracker) {
+        this.usageTracker = tracker;
+    }
+
+    /**
+     * Document the following requests belong to (for per-document usage
+     * and document glossary terms)
+     * @param {object} context - { documentId, documentName }, or null when no document is open
+     */
+    setUsageContext(context) {
+        this.usageContext = { documentId: context?.documentId || null, documentName: context?.documentName || null };
+    }
+
+    /**
+     * Returns provider options whose onUsage also logs to the usage tracker
+     * @param {string} feature - Key of USAGE_FEATURES ('vision', 'bot', 'assistant', ...)
+     * @param {object} options - Options the caller passed in
+     */
+    trackUsage(feature, options = {}) {
+        if (!this.usageTracker) return options;
+
+        const tracker = this.usageTracker;
+        const context = this.usageContext;
+        const provider = this.getProviderName();
+
+        return {
+            ...options,
+            onUsage: (usage) => {
+                options.onUsage?.(usage);
+                tracker.record({ ...usage, feature, provider, ...context });
+            }
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // TRANSLATION CACHE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Check whether a request would be answered from the cache
+     * (lets the app skip charging a credit for repeated selections)
+     * @param {string} operation - 'translate' | 'translateBatch' | 'wordPairs' | 'layout' | 'translateText' | 'verify'
+     * @param {string|object} input - Same input you'd pass to the method
+     * @param {string} targetLanguage - Target language
+     * @param {string} sourceLanguage - Only for 'translateText'
+     * @param {object} options - { style, script, variety } if the request overrides them
+     */
+    async isCached(operation, input, targetLanguage = 'english', sourceLanguage = null, options = {}) {
+        if (!this.cache?.enabled || !this.provider) return false;
+        const key = await this._cacheKey(operation, { input, targetLanguage, sourceLanguage, promptOptions: this._promptOptions(input, options, operation, targetLanguage) });
+        return this.cache.has(key);
+    }
+
+    /**
+     * Remove every cached translation
+     */
+    async clearCache() {
+        await this.cache?.clear();
+    }
+
+    /**
+     * @returns {Promise<{entries: number, bytes: number}>}
+     */
+    async getCacheStats() {
+        return this.cache ? this.cache.getStats() : { entries: 0, bytes: 0 };
+    }
+
+    _cacheKey(operation, request) {
+        return this.cache.createKey(this._describeRequest(operation, request));
+    }
+
+    _describeRequest(operation, { input, targetLanguage, sourceLanguage = null, promptOptions }) {
+        const { glossary, style, script, variety, prompts } = promptOptions;
+        return {
+            operation,
+            input,
+            targetLanguage,
+            sourceLanguage,
+            provider: this.provider.getName(),
+            model: this.provider.getModelId?.(operation) || '',
+            // Changing the style, script, variety, glossary or a prompt template must not serve
+            // translations made without it (the defaults add nothing, so their entries stay valid)
+            variant: this._cacheVariant(glossary, style, script, variety, prompts)
+        };
+    }
+
+    _cacheVariant(glossary, style, script, variety = 'mandarin', prompts = null) {
+        const parts = [];
+        if (style !== 'natural') parts.push(`style:${style}`);
+        if (script !== 'as-shown') parts.push(`script:${script}`);
+        if (variety !== 'mandarin') parts.push(`variety:${variety}`);
+        if (glossary.length) parts.push(JSON.stringify(glossary));
+        if (prompts) {
+            // Sorted by template id, so the same edits always give the same key
+            parts.push(`prompts:${JSON.stringify(Object.keys(prompts).sort().map(id => [id, prompts[id]]))}`);
+        }
+        return parts.join('|');
+    }
+
+    /**
+     * Serve from the cache or call the provider (through the scheduler)
+     * and store the result. Identical requests in flight share the call,
+     * with or without a cache.
+     * @param {function(object): Promise} callProvider - Gets { signal, onStreamUpdate }
+     */
+    async _withCache(operation, request, options, callProvider, onStreamUpdate = null) {
+        const descriptor = this._describeRequest(operation, request);
+        const requestKey = describeRequest(descriptor);
+
+        // No IndexedDB or no crypto.subtle (e.g. plain http on a LAN address)
+        if (!this.cache?.enabled) {
+            return this.schedule(options, callProvider, { key: requestKey, onStreamUpdate });
+        }
+
+        const key = await this.cache.createKey(descriptor);
+
+        if (!options.bypassCache) {
+            const cached = await this.cache.get(key);
+            // Cancelled while we were looking - don't hand back a stale answer
+            throwIfAborted(options.signal);
+            if (cached !== undefined) {
+                console.log(`[TranslationService] Cache hit (${operation})`);
+                if (onStreamUpdate && typeof cached === 'string') {
+                    onStreamUpdate(cached);
+                }
+                return cached;
+            }
+        }
+
+        const result = await this.schedule(options, callProvider, { key: requestKey, onStreamUpdate });
+
+        if (this._isCacheable(result)) {
+            await this.cache.set(key, result, operation);
+        }
+        return result;
+    }
+
+    /**
+     * Don't cache empty answers, pages without blocks, checks without a
+     * score or word-pair fallbacks (they're usually errors)
+     */
+    _isCacheable(result) {
+        if (typeof result === 'string') {
+            return result.trim().length > 0;
+        }
+        if (Array.isArray(result?.blocks)) {
+            return result.blocks.length > 0;
+        }
+        if (result && 'confidence' in result) {
+            return result.confidence != null;
+        }
+        return !!result && Array.isArray(result.wordPairs) && result.wordPairs.length > 0;
     }
 }
 
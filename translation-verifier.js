@@ -0,0 +1,157 @@
+// Translation Verifier
+// Scores a translation by translating it back into Chinese and comparing
+// the result with the original text (see TranslationService.verifyTranslation)
+//
+// The character comparison aligns the two Chinese texts (longest common
+// subsequence over letters and digits, punctuation ignored). Original text
+// the back-translation doesn't reproduce becomes a divergent span:
+//   { start, end, text, source: 'overlap' }   (offsets into the original)
+// Spans the model judge points out are added with source: 'model' and a note.
+
+// Longer texts are compared by their beginning only (the table is n × m)
+const MAX_COMPARE_CHARS = 2000;
+
+// A single missing particle (的, 了, ...) is not worth a reviewer's time
+const MIN_SPAN_CHARS = 2;
+
+const COMPARABLE_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Align the original with its back-translation
+ * @param {string} originalText - The Chinese source text
+ * @param {string} backTranslation - The translation, translated back into Chinese
+ * @returns {{ overlap: number|null, divergentSpans: Array }} overlap is 0-1
+ *   (null when the original has nothing to compare)
+ */
+export function compareWithBackTranslation(originalText = '', backTranslation = '') {
+    const original = comparableChars(originalText).slice(0, MAX_COMPARE_CHARS);
+    const back = comparableChars(backTranslation).slice(0, MAX_COMPARE_CHARS);
+    if (original.length === 0) {
+        return { overlap: null, divergentSpans: [] };
+    }
+
+    const matched = alignCharacters(original.map(c => c.char), back.map(c => c.char));
+    const overlap = (2 * matched.size) / (original.length + back.length);
+
+    // Runs of unmatched characters, in original-text offsets
+    const divergentSpans = [];
+    let run = [];
+    const closeRun = () => {
+        if (run.length >= MIN_SPAN_CHARS) {
+            const start = run[0].index;
+            const end = run[run.length - 1].index + 1;
+            divergentSpans.push({ start, end, text: originalText.slice(start, end), source: 'overlap' });
+        }
+        run = [];
+    };
+    original.forEach((c, i) => {
+        if (matched.has(i)) {
+            closeRun();
+        } else {
+            run.push(c);
+        }
+    });
+    closeRun();
+
+    return { overlap, divergentSpans };
+}
+
+/**
+ * Blend the character overlap with the model's similarity score
+ * @param {number|null} overlap - From compareWithBackTranslation
+ * @param {number|null} modelScore - 0-1, or null without a judge
+ * @param {number} overlapWeight - Share of the overlap when both exist
+ * @returns {number|null} Confidence 0-1
+ */
+export function combineConfidence(overlap, modelScore, overlapWeight = 0.4) {
+    if (overlap == null) return modelScore ?? null;
+    if (modelScore == null) return overlap;
+    return overlapWeight * overlap + (1 - overlapWeight) * modelScore;
+}
+
+/**
+ * Merge the judge's divergences into the character spans. A judged span
+ * replaces character spans it overlaps (it explains them); judged text
+ * that can't be found in the original is kept without offsets.
+ * @param {string} originalText
+ * @param {Array} overlapSpans - From compareWithBackTranslation
+ * @param {Array} divergences - [{ original, backTranslation, note }] from the judge
+ */
+export function mergeDivergentSpans(originalText, overlapSpans, divergences = []) {
+    const modelSpans = divergences
+        .filter(d => typeof d?.original === 'string' && d.original.trim())
+        .map(d => {
+            const text = d.original.trim();
+            const start = originalText.indexOf(text);
+            return {
+                start: start >= 0 ? start : null,
+                end: start >= 0 ? start + text.length : null,
+                text,
+                source: 'model',
+                note: typeof d.note === 'string' ? d.note : '',
+                backTranslation: typeof d.backTranslation === 'string' ? d.backTranslation : ''
+            };
+        });
+
+    const overlaps = (a, b) => a.start != null && b.start != null && a.start < b.end && b.start < a.end;
+    const remaining = overlapSpans.filter(span => !modelSpans.some(m => overlaps(m, span)));
+
+    return [...modelSpans, ...remaining]
+        .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+}
+
+/**
+ * Bucket a confidence score for the badge
+ * @param {object} thresholds - { high, low } (config.TRANSLATION_VERIFICATION)
+ * @returns {'high'|'medium'|'low'}
+ */
+export function getConfidenceLevel(confidence, { high = 0.85, low = 0.6 } = {}) {
+    if (confidence >= high) return 'high';
+    if (confidence >= low) return 'medium';
+    return 'low';
+}
+
+function comparableChars(text) {
+    const chars = [];
+    let index = 0;
+    for (const char of text) {
+        if (COMPARABLE_CHAR.test(char)) {
+            chars.push({ char: char.toLowerCase(), index });
+        }
+        index += char.length;
+    }
+    return chars;
+}
+
+/**
+ * Longest common subsequence of two character lists
+ * @returns {Set<number>} Indices into `a` that are part of it
+ */
+function alignCharacters(a, b) {
+    const width = b.length + 1;
+    const lengths = new Uint16Array((a.length + 1) * width);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const matched = new Set();
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            matched.add(i);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matched;
+}
@@ -0,0 +1,234 @@
+// Usage Tracker
+// Local log of provider token usage (IndexedDB), for the usage dashboard
+//
+// Providers report token counts through `options.onUsage` (see
+// BaseProvider); TranslationService adds the feature and the open
+// document and hands each record to record(). Records older than
+// `retentionDays` are dropped. Cost is estimated from USAGE_PRICING in
+// config.js - it is a guide, the provider's bill is authoritative.
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const USAGE_FEATURES = {
+    vision: 'Vision translate',
+    text: 'Text translate',
+    batch: 'Batch translate',
+    layout: 'Page layout',
+    verify: 'Confidence check',
+    wordPairs: 'Word pairs',
+    examples: 'Example sentences',
+    bot: 'Translation bot',
+    assistant: 'AI assistant'
+};
+
+export class UsageTracker {
+    constructor({
+        dbName = 'ChineseTranslatorUsage',
+        storeName = 'usage',
+        retentionDays = DEFAULT_RETENTION_DAYS,
+        pricing = {}
+    } = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.retentionDays = retentionDays;
+        this.pricing = pricing;
+        this.enabled = typeof indexedDB !== 'undefined';
+        this.dbPromise = this.enabled ? this.initDB() : null;
+
+        if (this.enabled) {
+            this.prune().catch(error => console.warn('[UsageTracker] Prune failed:', error));
+        }
+    }
+
+    initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onerror = (event) => {
+                console.error('UsageTracker IndexedDB error:', event.target.error);
+                reject(event.target.error);
+            };
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+        });
+    }
+
+    /**
+     * Store one usage record. Never throws - losing a record must not
+     * fail the translation it describes.
+     * @param {object} usage - { provider, model, operation, feature,
+     *   promptTokens, outputTokens, totalTokens, latencyMs, documentId, documentName }
+     */
+    async record(usage) {
+        if (!this.enabled) return;
+
+        const now = Date.now();
+        const entry = {
+            timestamp: now,
+            day: this.toDay(now),
+            provider: usage.provider || '',
+            model: usage.model || '',
+            operation: usage.operation || '',
+            feature: usage.feature || 'other',
+            promptTokens: usage.promptTokens || 0,
+            outputTokens: usage.outputTokens || 0,
+            totalTokens: usage.totalTokens || (usage.promptTokens || 0) + (usage.outputTokens || 0),
+            latencyMs: usage.latencyMs ?? null,
+            documentId: usage.documentId || null,
+            documentName: usage.documentName || null
+        };
+
+        try {
+            const db = await this.dbPromise;
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.storeName], 'readwrite');
+                transaction.objectStore(this.storeName).add(entry);
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = (e) => reject(e.target.error);
+            });
+        } catch (error) {
+            console.warn('[UsageTracker] Store failed:', error);
+        }
+    }
+
+    /**
+     * @param {number} days - How many days back, including today
+     * @returns {Promise<Array>} Records, oldest first
+     */
+    async getRecords(days = 30) {
+        if (!this.enabled) return [];
+
+        const since = this.startOfDay(Date.now()) - (days - 1) * DAY_MS;
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('timestamp');
+            const request = index.getAll(IDBKeyRange.lowerBound(since));
+
+            request.onsuccess = (e) => resolve(e.target.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Totals for the dashboard
+     * @param {number} days - How many days back, including today
+     * @returns {Promise<object>} { total, byDay, byFeature, byDocument, byModel } -
+     *   each group maps a key to { requests, promptTokens, outputTokens, totalTokens, cost, avgLatencyMs }
+     */
+    async getSummary(days = 30) {
+        const records = await this.getRecords(days);
+        const total = this.emptyTotals();
+        const byDay = {};
+        const byFeature = {};
+        const byDocument = {};
+        const byModel = {};
+
+        for (const record of records) {
+            const cost = this.estimateCost(record);
+            this.add(total, record, cost);
+            this.add(byDay[record.day] ??= this.emptyTotals(), record, cost);
+            this.add(byFeature[record.feature] ??= this.emptyTotals(), record, cost);
+            this.add(byDocument[record.documentName || '(no document)'] ??= this.emptyTotals(), record, cost);
+            this.add(byModel[record.model || record.provider] ??= this.emptyTotals(), record, cost);
+        }
+
+        for (const totals of [total, ...[byDay, byFeature, byDocument, byModel].flatMap(Object.values)]) {
+            totals.avgLatencyMs = totals.latencySamples > 0 ? Math.round(totals.latencySum / totals.latencySamples) : null;
+            delete totals.latencySum;
+            delete totals.latencySamples;
+        }
+
+        return { total, byDay, byFeature, byDocument, byModel };
+    }
+
+    /**
+     * @returns {number|null} USD, or null if the model has no price configured
+     */
+    estimateCost(record) {
+        const price = this.pricing[record.model];
+        if (!price) return null;
+        return (record.promptTokens * price.input + record.outputTokens * price.output) / 1_000_000;
+    }
+
+    /**
+     * Delete records older than the retention period
+     */
+    async prune() {
+        if (!this.enabled) return;
+
+        const cutoff = Date.now() - this.retentionDays * DAY_MS;
+        const db = await this.dbPromise;
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readwrite');
+            const index = transaction.objectStore(this.storeName).index('timestamp');
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    async clear() {
+        if (!this.enabled) return;
+
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readwrite');
+            const request = transaction.objectStore(this.storeName).clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    emptyTotals() {
+        return { requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, latencySum: 0, latencySamples: 0 };
+    }
+
+    add(totals, record, cost) {
+        totals.requests++;
+        totals.promptTokens += record.promptTokens;
+        totals.outputTokens += record.outputTokens;
+        totals.totalTokens += record.totalTokens;
+        totals.cost += cost || 0;
+        if (record.latencyMs != null) {
+            totals.latencySum += record.latencyMs;
+            totals.latencySamples++;
+        }
+    }
+
+    /**
+     * Local calendar day, e.g. '2025-03-14'
+     */
+    toDay(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    startOfDay(timestamp) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+}
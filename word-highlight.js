@@ -1,12 +1,19 @@
 // Word Highlight Component
 // Renders translation with interactive word highlighting
 
+import { formatPinyin, formatPairPinyin } from './providers/pinyin.js';
+
 export class WordHighlighter {
     constructor(containerId) {
         this.containerId = containerId; // Store ID instead of element
         this.wordPairs = [];
         this.mode = 'click'; // 'click' or 'sidebyside'
         this.activeWordIndex = null;
+        this.examplesEnabled = true; // Hidden when the provider can't generate examples
+        this.glossaryTerms = new Set(); // Chips for these terms are marked
+        this.romanization = 'pinyin'; // 'pinyin', 'pinyin-numbers', 'zhuyin' (see ROMANIZATIONS) or 'jyutping'
+        this.sandhi = false; // Show tones as spoken instead of as written
+        this.displayPinyin = []; // Each pair's pinyin in the chosen romanization
     }
 
     /**
@@ -18,7 +25,9 @@ export class WordHighlighter {
 
     /**
      * Set the word pairs data and render
-     * @param {Array} wordPairs - Array of {chinese, pinyin, translation}
+     * @param {Array} wordPairs - Array of {chinese, pinyin, translation}, with
+     *   { start, end } in the original text and { untranslated } for text the
+     *   model left out (see providers/word-pair-aligner.js)
      */
     setWordPairs(wordPairs) {
         this.wordPairs = wordPairs || [];
@@ -41,6 +50,17 @@ export class WordHighlighter {
         this.render();
     }
 
+    /**
+     * Choose how pinyin is shown; pair.pinyin itself stays as the provider sent it
+     * @param {string} romanization - A key of ROMANIZATIONS (providers/pinyin.js),
+     *   or 'jyutping' for Cantonese (pair.pinyin holds Jyutping and is shown as it is)
+     * @param {object} options - { sandhi: apply tone sandhi to 一, 不 and third tones }
+     */
+    setRomanization(romanization, { sandhi = false } = {}) {
+        this.romanization = romanization;
+        this.sandhi = sandhi;
+    }
+
     /**
      * Render the highlighting UI based on current mode
      */
@@ -52,6 +72,7 @@ export class WordHighlighter {
         }
 
         console.log('WordHighlighter: Rendering', this.wordPairs.length, 'pairs in', this.mode, 'mode');
+        this.displayPinyin = formatPairPinyin(this.wordPairs, this.romanization, { sandhi: this.sandhi });
 
         if (this.mode === 'click') {
             this.renderClickMode(container);
@@ -70,9 +91,9 @@ export class WordHighlighter {
                     <h4>中文 (Chinese)</h4>
                     <div class="word-row chinese-row">
                         ${this.wordPairs.map((pair, index) => `
-                            <span class="word-chip chinese-chip" data-index="${index}">
+                            <span class="word-chip chinese-chip${this.glossaryTerms.has(pair.chinese) ? ' glossary-chip' : ''}${pair.untranslated ? ' untranslated-chip' : ''}" data-index="${index}"${this.offsetAttributes(pair)}>
                                 <span class="word-text">${pair.chinese}</span>
-                                <span class="word-pinyin">${pair.pinyin}</span>
+                                <span class="word-pinyin">${this.displayPinyin[index]}</span>
                             </span>
                         `).join('')}
                     </div>
@@ -81,15 +102,16 @@ export class WordHighlighter {
                     <h4>Translation</h4>
                     <div class="word-row translation-row">
                         ${this.wordPairs.map((pair, index) => `
-                            <span class="word-chip translation-chip" data-index="${index}">
-                                ${pair.translation}
+                            <span class="word-chip translation-chip${pair.untranslated ? ' untranslated-chip' : ''}" data-index="${index}">
+                                ${this.translationText(pair)}
                             </span>
                         `).join('')}
                     </div>
                 </div>
                 <div class="word-action-bar" id="wordActionBar" style="display: none;">
                     <span class="selected-word-label" id="selectedWordLabel"></span>
-                    <button class="example-action-btn" id="generateExampleBtn">📝 Generate Examples</button>
+                    <button class="example-action-btn" id="generateExampleBtn"${this.examplesEnabled ? '' : ' style="display: none;"'}>📝 Generate Examples</button>
+                    <button class="example-action-btn" id="glossaryTermBtn"${this.onEditGlossary ? '' : ' style="display: none;"'}>📘 Glossary</button>
                 </div>
                 <div id="exampleSentencePopover" class="example-popover" style="display: none;">
                     <div class="example-popover-content">
@@ -114,9 +136,9 @@ export class WordHighlighter {
                     <div class="sidebyside-column chinese-column">
                         <h4>中文 (Chinese)</h4>
                         ${this.wordPairs.map((pair, index) => `
-                            <div class="sidebyside-item" data-index="${index}">
+                            <div class="sidebyside-item${pair.untranslated ? ' untranslated-item' : ''}" data-index="${index}"${this.offsetAttributes(pair)}>
                                 <span class="chinese-text">${pair.chinese}</span>
-                                <span class="pinyin-text">${pair.pinyin}</span>
+                                <span class="pinyin-text">${this.displayPinyin[index]}</span>
                             </div>
                         `).join('')}
                     </div>
@@ -137,8 +159,8 @@ export class WordHighlighter {
                     <div class="sidebyside-column translation-column">
                         <h4>Translation</h4>
                         ${this.wordPairs.map((pair, index) => `
-                            <div class="sidebyside-item" data-index="${index}">
-                                <span class="translation-text">${pair.translation}</span>
+                            <div class="sidebyside-item${pair.untranslated ? ' untranslated-item' : ''}" data-index="${index}">
+                                <span class="translation-text">${this.translationText(pair)}</span>
                             </div>
                         `).join('')}
                     </div>
@@ -192,6 +214,25 @@ export class WordHighlighter {
             });
         }
 
+        // Handle Glossary button click
+        const glossaryBtn = container.querySelector('#glossaryTermBtn');
+        if (glossaryBtn) {
+            glossaryBtn.addEventListener('pointerdown', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+            });
+            glossaryBtn.addEventListener('pointerup', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                if (e.isPrimary && this.activeWordIndex !== null) {
+                    const pair = this.wordPairs[this.activeWordIndex];
+                    if (pair && this.onEditGlossary) {
+                        this.onEditGlossary(pair);
+                    }
+                }
+            });
+        }
+
         // Handle popover close button
         const closeBtn = container.querySelector('.example-popover-close');
         if (closeBtn) {
@@ -202,6 +243,20 @@ export class WordHighlighter {
         }
     }
 
+    /**
+     * data-start/data-end: the pair's characters in the original text
+     */
+    offsetAttributes(pair) {
+        return Number.isInteger(pair.start) ? ` data-start="${pair.start}" data-end="${pair.end}"` : '';
+    }
+
+    /**
+     * A pair's translation ('…' for text the model left out)
+     */
+    translationText(pair) {
+        return pair.untranslated && !pair.translation ? '…' : pair.translation;
+    }
+
     /**
      * Show action bar with selected word info
      */
@@ -211,7 +266,8 @@ export class WordHighlighter {
 
         if (actionBar && label && this.wordPairs[index]) {
             const pair = this.wordPairs[index];
-            label.textContent = `${pair.chinese} (${pair.pinyin})`;
+            const pinyin = this.displayPinyin[index] ?? pair.pinyin;
+            label.textContent = pinyin ? `${pair.chinese} (${pinyin})` : pair.chinese;
             actionBar.style.display = 'flex';
         }
     }
@@ -226,6 +282,18 @@ export class WordHighlighter {
         }
     }
 
+    /**
+     * Enable/disable the "Generate Examples" action
+     * @param {boolean} enabled
+     */
+    setExamplesEnabled(enabled) {
+        this.examplesEnabled = enabled;
+        const generateBtn = document.getElementById('generateExampleBtn');
+        if (generateBtn) {
+            generateBtn.style.display = enabled ? '' : 'none';
+        }
+    }
+
     /**
      * Set callback for generating example sentences
      */
@@ -233,6 +301,27 @@ export class WordHighlighter {
         this.onGenerateExample = callback;
     }
 
+    /**
+     * Set callback for editing the selected word's glossary entry
+     * @param {function({chinese, pinyin, translation})} callback
+     */
+    setGlossaryCallback(callback) {
+        this.onEditGlossary = callback;
+    }
+
+    /**
+     * Mark chips whose Chinese text is a glossary term
+     * @param {Array<string>} terms
+     */
+    setGlossaryTerms(terms) {
+        this.glossaryTerms = new Set(terms);
+        const container = this.getContainer();
+        container?.querySelectorAll('.chinese-chip').forEach(chip => {
+            const pair = this.wordPairs[parseInt(chip.dataset.index)];
+            chip.classList.toggle('glossary-chip', !!pair && this.glossaryTerms.has(pair.chinese));
+        });
+    }
+
     /**
      * Show example sentences in popover
      */
@@ -247,7 +336,7 @@ export class WordHighlighter {
             ${sentences.map(s => `
                 <div class="example-sentence">
                     <div class="example-chinese">${s.chinese}</div>
-                    <div class="example-pinyin">${s.pinyin}</div>
+                    <div class="example-pinyin">${formatPinyin(s.pinyin, this.romanization, { sandhi: this.sandhi, chinese: s.chinese })}</div>
                     <div class="example-translation">${s.translation}</div>
                 </div>
             `).join('')}